@@ -1,10 +1,20 @@
 const express = require('express');
 const { PORT } = require('./config/config');
+const { seedAdmin } = require('./db/seed');
+const { startEmailWorker } = require('./utils/email');
+const { startReminderScheduler } = require('./services/reminderService');
+const { startLifecycleScheduler } = require('./services/lifecycleService');
+const { startRealtime } = require('./services/realtimeService');
+const { startWebhookWorker } = require('./services/webhookService');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const eventRoutes = require('./routes/event.routes');
 const userRoutes = require('./routes/user.routes');
+const adminRoutes = require('./routes/admin.routes');
+const seriesRoutes = require('./routes/series.routes');
+const analyticsRoutes = require('./routes/analytics.routes');
+const webhookRoutes = require('./routes/webhook.routes');
 
 const app = express();
 app.use(express.json());
@@ -13,7 +23,34 @@ app.use(express.json());
 app.use('/auth', authRoutes);
 app.use('/events', eventRoutes);
 app.use('/user', userRoutes);
+app.use('/admin', adminRoutes);
+app.use('/series', seriesRoutes);
+app.use('/analytics', analyticsRoutes);
+app.use('/webhooks', webhookRoutes);
 
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+// Malformed JSON bodies get the same 400 shape as schema validation errors
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ 
+            error: 'Validation failed',
+            details: [{ location: 'body', field: null, message: 'Request body must be valid JSON' }]
+        });
+    }
+    next(err);
+});
+
+seedAdmin()
+    .then(() => {
+        startEmailWorker();
+        startReminderScheduler();
+        startLifecycleScheduler();
+        startRealtime();
+        startWebhookWorker();
+        app.listen(PORT, () => {
+            console.log(`Server is running on port ${PORT}`);
+        });
+    })
+    .catch(error => {
+        console.error('Failed to seed admin account:', error);
+        process.exit(1);
+    });
\ No newline at end of file
@@ -1,9 +1,80 @@
 require('dotenv').config();
 
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
 module.exports = {
     PORT: process.env.PORT || 3000,
     JWT_SECRET: process.env.JWT_SECRET,
+    // Access tokens are short-lived; refresh tokens rotate on every use
+    ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+    REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    // Base URL used to build links in emails (verification, password reset)
+    APP_URL,
+    // Where password reset emails link to, with ?token= appended. Point it at
+    // the client's reset form; the default only checks the token.
+    PASSWORD_RESET_URL: process.env.PASSWORD_RESET_URL || `${APP_URL}/auth/reset-password`,
+    EMAIL_VERIFICATION_TTL: process.env.EMAIL_VERIFICATION_TTL || '24h',
+    PASSWORD_RESET_TTL_MINUTES: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    // Block login and/or event registration until the email is verified
+    REQUIRE_VERIFIED_EMAIL_FOR_LOGIN: process.env.REQUIRE_VERIFIED_EMAIL_FOR_LOGIN === 'true',
+    REQUIRE_VERIFIED_EMAIL_FOR_EVENTS: process.env.REQUIRE_VERIFIED_EMAIL_FOR_EVENTS === 'true',
+    // Email transport: 'smtp' (default) or 'capture' (writes each message as a
+    // JSON file to EMAIL_CAPTURE_DIR instead of sending it, for dev and tests)
+    EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT || 'smtp',
+    EMAIL_CAPTURE_DIR: process.env.EMAIL_CAPTURE_DIR || 'data/emails',
+    // SMTP_HOST takes precedence over the well-known EMAIL_SERVICE name
+    SMTP_HOST: process.env.SMTP_HOST,
+    SMTP_PORT: parseInt(process.env.SMTP_PORT) || 587,
+    SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+    EMAIL_SERVICE: process.env.EMAIL_SERVICE || 'gmail',
     EMAIL_USER: process.env.EMAIL_USER,
     EMAIL_PASS: process.env.EMAIL_PASS,
-    NODE_ENV: process.env.NODE_ENV || 'development'
+    EMAIL_FROM: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    // Outbox delivery: failed sends are retried with exponential backoff and
+    // moved to the dead-letter list after EMAIL_MAX_ATTEMPTS
+    EMAIL_MAX_ATTEMPTS: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+    EMAIL_RETRY_BASE_SECONDS: parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 30,
+    EMAIL_RETRY_MAX_SECONDS: parseInt(process.env.EMAIL_RETRY_MAX_SECONDS) || 3600,
+    EMAIL_POLL_INTERVAL_SECONDS: parseInt(process.env.EMAIL_POLL_INTERVAL_SECONDS) || 10,
+    // Sent and dead messages are deleted from the outbox this long after
+    // they finished. Sent messages lose their bodies as soon as they go out.
+    EMAIL_RETENTION_DAYS: parseInt(process.env.EMAIL_RETENTION_DAYS) || 7,
+    NODE_ENV: process.env.NODE_ENV || 'development',
+    // Time zone used for events and users that don't specify one
+    DEFAULT_TIME_ZONE: process.env.DEFAULT_TIME_ZONE || 'UTC',
+    DEFAULT_EVENT_DURATION_MINUTES: parseInt(process.env.DEFAULT_EVENT_DURATION_MINUTES) || 60,
+    // Minutes before an event's start to email participants a reminder;
+    // organizers can override this per event
+    REMINDER_OFFSETS_MINUTES: (process.env.REMINDER_OFFSETS_MINUTES || '1440,15')
+        .split(',')
+        .map(offset => parseInt(offset))
+        .filter(offset => offset > 0),
+    REMINDER_POLL_INTERVAL_SECONDS: parseInt(process.env.REMINDER_POLL_INTERVAL_SECONDS) || 60,
+    // GET /events/:id/join opens this many minutes before the start and
+    // closes when the event ends
+    JOIN_WINDOW_OPENS_MINUTES: parseInt(process.env.JOIN_WINDOW_OPENS_MINUTES) || 15,
+    // How often scheduled drafts are published and ended events completed
+    LIFECYCLE_POLL_INTERVAL_SECONDS: parseInt(process.env.LIFECYCLE_POLL_INTERVAL_SECONDS) || 60,
+    // Real-time streams (GET /events/stream) get a keep-alive comment this
+    // often, which also closes streams whose login session was revoked
+    REALTIME_HEARTBEAT_SECONDS: parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 25,
+    REALTIME_MAX_STREAMS_PER_USER: parseInt(process.env.REALTIME_MAX_STREAMS_PER_USER) || 5,
+    // Stream tickets only need to live long enough to open (or reopen) a stream
+    REALTIME_TICKET_TTL_SECONDS: parseInt(process.env.REALTIME_TICKET_TTL_SECONDS) || 60,
+    // Outgoing webhooks are POSTed by a background worker like emails, with
+    // the same kind of exponential backoff between failed attempts
+    WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    WEBHOOK_RETRY_BASE_SECONDS: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    WEBHOOK_RETRY_MAX_SECONDS: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 3600,
+    WEBHOOK_POLL_INTERVAL_SECONDS: parseInt(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 10,
+    WEBHOOK_TIMEOUT_SECONDS: parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10,
+    // Webhooks may not target this host or private networks. Only turn this
+    // on for local development against a receiver on localhost.
+    WEBHOOK_ALLOW_PRIVATE_TARGETS: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+    // Persistence adapter: 'memory' (default, wiped on restart) or 'file'
+    DB_ADAPTER: process.env.DB_ADAPTER || 'memory',
+    DB_FILE: process.env.DB_FILE || 'data/db.json',
+    // Bootstrap admin account, created at startup if it doesn't exist yet
+    ADMIN_EMAIL: process.env.ADMIN_EMAIL,
+    ADMIN_PASSWORD: process.env.ADMIN_PASSWORD
 };
\ No newline at end of file
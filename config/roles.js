@@ -0,0 +1,39 @@
+// Roles a user can hold and what each of them is allowed to do
+const ROLES = {
+    ATTENDEE: 'attendee',
+    ORGANIZER: 'organizer',
+    ADMIN: 'admin'
+};
+
+const ROLE_PERMISSIONS = {
+    [ROLES.ATTENDEE]: [
+        'events:register'
+    ],
+    [ROLES.ORGANIZER]: [
+        'events:create',
+        'events:update',
+        'events:delete',
+        'logs:read',
+        'analytics:read',
+        // Register webhooks for activity on their own events
+        'webhooks:manage'
+    ],
+    [ROLES.ADMIN]: [
+        'events:create',
+        'events:update',
+        'events:delete',
+        // Act on events created by someone else
+        'events:manage-any',
+        'logs:read',
+        'analytics:read',
+        'webhooks:manage',
+        'users:manage',
+        // Inspect the email outbox and requeue failed messages
+        'emails:manage'
+    ]
+};
+
+const hasPermission = (user, permission) =>
+    Boolean(user && (ROLE_PERMISSIONS[user.role] || []).includes(permission));
+
+module.exports = { ROLES, ROLE_PERMISSIONS, hasPermission };
\ No newline at end of file
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const InMemoryDb = require('./inMemoryDb');
+
+// JSON has no Set/Map, so tag them on the way out and rebuild them on load
+const replacer = (key, value) => {
+    if (value instanceof Set) {
+        return { __set: Array.from(value) };
+    }
+    if (value instanceof Map) {
+        return { __map: Array.from(value.entries()) };
+    }
+    return value;
+};
+
+const reviver = (key, value) => {
+    if (value && Array.isArray(value.__set)) {
+        return new Set(value.__set);
+    }
+    if (value && Array.isArray(value.__map)) {
+        return new Map(value.__map);
+    }
+    return value;
+};
+
+class FileDb extends InMemoryDb {
+    constructor(filePath) {
+        super();
+        this.filePath = path.resolve(filePath);
+        this.flushScheduled = false;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.load();
+
+        // Make sure pending writes hit the disk before the process goes away
+        process.on('exit', () => this.flush());
+        ['SIGINT', 'SIGTERM'].forEach(signal => {
+            process.once(signal, () => process.exit(0));
+        });
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'), reviver);
+        Object.entries(data).forEach(([name, entries]) => {
+            this.collections.set(name, new Map(entries));
+        });
+    }
+
+    // Coalesce all writes made during the current tick into a single flush
+    persist() {
+        if (this.flushScheduled) {
+            return;
+        }
+        this.flushScheduled = true;
+        setImmediate(() => this.flush());
+    }
+
+    // Write to a temp file and rename it over the original so a crash
+    // mid-write never leaves a truncated database behind
+    flush() {
+        this.flushScheduled = false;
+
+        const data = {};
+        this.collections.forEach((records, name) => {
+            data[name] = Array.from(records.entries());
+        });
+
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, replacer));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+module.exports = FileDb;
\ No newline at end of file
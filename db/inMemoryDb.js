@@ -1,17 +1,18 @@
 class InMemoryDb {
     constructor() {
-        this.users = new Map();
-        this.events = new Map();
-        this.userEvents = new Map();
+        this.collections = new Map();
     }
 
-    // Add methods to interact with the data structures
-    static getInstance() {
-        if (!InMemoryDb.instance) {
-            InMemoryDb.instance = new InMemoryDb();
+    // Get (or lazily create) a named collection keyed by record id
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
         }
-        return InMemoryDb.instance;
+        return this.collections.get(name);
     }
+
+    // Nothing to persist in memory; durable adapters override this
+    persist() {}
 }
 
-module.exports = InMemoryDb.getInstance();
\ No newline at end of file
+module.exports = InMemoryDb;
\ No newline at end of file
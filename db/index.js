@@ -0,0 +1,42 @@
+const { DB_ADAPTER, DB_FILE } = require('../config/config');
+const InMemoryDb = require('./inMemoryDb');
+const FileDb = require('./fileDb');
+const UserRepository = require('./repositories/userRepository');
+const EventRepository = require('./repositories/eventRepository');
+const RegistrationRepository = require('./repositories/registrationRepository');
+const SessionRepository = require('./repositories/sessionRepository');
+const PasswordResetRepository = require('./repositories/passwordResetRepository');
+const SeriesRepository = require('./repositories/seriesRepository');
+const EmailOutboxRepository = require('./repositories/emailOutboxRepository');
+const ReminderRepository = require('./repositories/reminderRepository');
+const AttendanceRepository = require('./repositories/attendanceRepository');
+const WebhookRepository = require('./repositories/webhookRepository');
+
+const adapters = {
+    memory: () => new InMemoryDb(),
+    file: () => new FileDb(DB_FILE)
+};
+
+const createStore = () => {
+    const createAdapter = adapters[DB_ADAPTER];
+    if (!createAdapter) {
+        throw new Error(`Unknown DB_ADAPTER "${DB_ADAPTER}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+    }
+    return createAdapter();
+};
+
+const store = createStore();
+
+module.exports = {
+    store,
+    users: new UserRepository(store),
+    events: new EventRepository(store),
+    registrations: new RegistrationRepository(store),
+    sessions: new SessionRepository(store),
+    passwordResets: new PasswordResetRepository(store),
+    series: new SeriesRepository(store),
+    emailOutbox: new EmailOutboxRepository(store),
+    reminders: new ReminderRepository(store),
+    attendance: new AttendanceRepository(store),
+    webhooks: new WebhookRepository(store)
+};
\ No newline at end of file
@@ -0,0 +1,34 @@
+// One record per user who checked in to an event, with every join/leave
+// interval. Keyed by "<eventId>:<userId>".
+class AttendanceRepository {
+    constructor(store) {
+        this.store = store;
+        this.attendance = store.collection('attendance');
+    }
+
+    key(eventId, userId) {
+        return `${eventId}:${userId}`;
+    }
+
+    find(eventId, userId) {
+        return this.attendance.get(this.key(eventId, userId));
+    }
+
+    listForEvent(eventId) {
+        return Array.from(this.attendance.values())
+            .filter(record => record.eventId === eventId);
+    }
+
+    listForUser(userId) {
+        return Array.from(this.attendance.values())
+            .filter(record => record.userId === userId);
+    }
+
+    save(record) {
+        this.attendance.set(this.key(record.eventId, record.userId), record);
+        this.store.persist();
+        return record;
+    }
+}
+
+module.exports = AttendanceRepository;
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Queued outgoing emails. A message is 'pending' until the outbox worker
+// delivers it ('sent') or gives up after too many failures ('dead').
+const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+class EmailOutboxRepository {
+    constructor(store) {
+        this.store = store;
+        this.messages = store.collection('emailOutbox');
+    }
+
+    findById(id) {
+        return this.messages.get(id);
+    }
+
+    list({ status } = {}) {
+        const messages = Array.from(this.messages.values());
+        return status ? messages.filter(message => message.status === status) : messages;
+    }
+
+    // Pending messages whose next attempt is due, oldest first
+    listDue(now = new Date()) {
+        return this.list({ status: 'pending' })
+            .filter(message => new Date(message.nextAttemptAt) <= now)
+            .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt));
+    }
+
+    countByStatus() {
+        const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+        this.messages.forEach(message => {
+            counts[message.status] += 1;
+        });
+        return counts;
+    }
+
+    create(message) {
+        this.messages.set(message.id, message);
+        this.store.persist();
+        return message;
+    }
+
+    save(message) {
+        this.messages.set(message.id, message);
+        this.store.persist();
+        return message;
+    }
+
+    // Delete sent and dead messages that finished before `before`
+    pruneFinished(before) {
+        this.messages.forEach((message, id) => {
+            const finishedAt = message.status === 'sent' ? message.sentAt
+                : message.status === 'dead' ? message.deadAt
+                : null;
+            if (finishedAt && new Date(finishedAt) < before) {
+                this.messages.delete(id);
+            }
+        });
+        this.store.persist();
+    }
+}
+
+EmailOutboxRepository.STATUSES = STATUSES;
+
+module.exports = EmailOutboxRepository;
\ No newline at end of file
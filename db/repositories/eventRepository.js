@@ -0,0 +1,34 @@
+class EventRepository {
+    constructor(store) {
+        this.store = store;
+        this.events = store.collection('events');
+    }
+
+    findById(id) {
+        return this.events.get(id);
+    }
+
+    list() {
+        return Array.from(this.events.values());
+    }
+
+    create(event) {
+        this.events.set(event.id, event);
+        this.store.persist();
+        return event;
+    }
+
+    save(event) {
+        this.events.set(event.id, event);
+        this.store.persist();
+        return event;
+    }
+
+    delete(id) {
+        const deleted = this.events.delete(id);
+        this.store.persist();
+        return deleted;
+    }
+}
+
+module.exports = EventRepository;
\ No newline at end of file
@@ -0,0 +1,39 @@
+// Single-use password reset tokens, keyed by the hash of the token so the
+// raw value is only stored in the reset email until the outbox sends it
+class PasswordResetRepository {
+    constructor(store) {
+        this.store = store;
+        this.resets = store.collection('passwordResets');
+    }
+
+    findByTokenHash(tokenHash) {
+        return this.resets.get(tokenHash);
+    }
+
+    create(reset) {
+        this.resets.set(reset.tokenHash, reset);
+        this.store.persist();
+        return reset;
+    }
+
+    markUsed(tokenHash) {
+        const reset = this.resets.get(tokenHash);
+        if (reset) {
+            reset.usedAt = new Date().toISOString();
+            this.store.persist();
+        }
+        return reset;
+    }
+
+    // Drop every outstanding token for a user, e.g. once one has been used
+    deleteAllForUser(userId) {
+        this.resets.forEach((reset, tokenHash) => {
+            if (reset.userId === userId) {
+                this.resets.delete(tokenHash);
+            }
+        });
+        this.store.persist();
+    }
+}
+
+module.exports = PasswordResetRepository;
\ No newline at end of file
@@ -0,0 +1,215 @@
+const { eventBus } = require('../../utils/eventBus');
+
+// Registrations live in two places: the event's participant set and the
+// per-user set of event ids. This repository keeps both sides in sync, and
+// does the same for the event's ordered waitlist and the per-user waitlists,
+// and for registration requests waiting for the organizer's approval.
+// Every change is also appended to the registration activity history that
+// analytics are computed from, and announced on the event bus.
+class RegistrationRepository {
+    constructor(store) {
+        this.store = store;
+        this.events = store.collection('events');
+        this.userEvents = store.collection('userEvents');
+        this.userWaitlists = store.collection('userWaitlists');
+        this.userPending = store.collection('userPendingRegistrations');
+        this.details = store.collection('registrationDetails');
+        this.activity = store.collection('registrationActivity');
+    }
+
+    // type is one of 'registered', 'promoted', 'waitlisted', 'left_waitlist',
+    // 'cancelled', 'removed', 'requested', 'approved', 'rejected',
+    // 'request_withdrawn' or 'event_deleted' (from before events were
+    // cancelled instead of deleted)
+    recordActivity(event, userId, type) {
+        const at = new Date().toISOString();
+        const entry = {
+            eventId: event.id,
+            // Kept so history doesn't depend on the event record
+            organizerId: event.createdBy,
+            title: event.title,
+            userId,
+            type,
+            at
+        };
+        this.activity.set(`${at}:${this.activity.size}`, entry);
+        eventBus.emit('registration.activity', { event, entry });
+    }
+
+    listActivity() {
+        return Array.from(this.activity.values());
+    }
+
+    initUser(userId) {
+        if (!this.userEvents.has(userId)) {
+            this.userEvents.set(userId, new Set());
+            this.store.persist();
+        }
+    }
+
+    eventIdsForUser(userId) {
+        return Array.from(this.userEvents.get(userId) || []);
+    }
+
+    isRegistered(eventId, userId) {
+        const event = this.events.get(eventId);
+        return Boolean(event && event.participants.has(userId));
+    }
+
+    // Registration form answers and when the user got their seat, per event
+    // and user: { eventId, userId, answers, answeredAt, registeredAt }
+    getDetails(eventId, userId) {
+        return this.details.get(`${eventId}:${userId}`) || null;
+    }
+
+    recordDetails(eventId, userId, changes) {
+        const key = `${eventId}:${userId}`;
+        this.details.set(key, { eventId, userId, answers: {}, ...this.details.get(key), ...changes });
+        this.store.persist();
+    }
+
+    add(eventId, userId, activityType = 'registered') {
+        const event = this.events.get(eventId);
+        event.participants.add(userId);
+        this.recordActivity(event, userId, activityType);
+        this.recordDetails(eventId, userId, { registeredAt: new Date().toISOString() });
+
+        this.initUser(userId);
+        this.userEvents.get(userId).add(eventId);
+        this.store.persist();
+    }
+
+    // activityType is 'removed' when an organizer removes the attendee
+    remove(eventId, userId, activityType = 'cancelled') {
+        const event = this.events.get(eventId);
+        if (event && event.participants.delete(userId)) {
+            this.recordActivity(event, userId, activityType);
+            // Leaving the event also clears their agenda picks
+            (event.agenda || []).forEach(session => session.attendees.delete(userId));
+        }
+
+        const userEventSet = this.userEvents.get(userId);
+        if (userEventSet) {
+            userEventSet.delete(eventId);
+        }
+        this.store.persist();
+    }
+
+    waitlistedEventIdsForUser(userId) {
+        return Array.from(this.userWaitlists.get(userId) || []);
+    }
+
+    // 1-based position in the event's waitlist, or 0 if not waitlisted
+    waitlistPosition(eventId, userId) {
+        const event = this.events.get(eventId);
+        if (!event || !event.waitlist) {
+            return 0;
+        }
+        return event.waitlist.indexOf(userId) + 1;
+    }
+
+    addToWaitlist(eventId, userId) {
+        const event = this.events.get(eventId);
+        if (!event.waitlist) {
+            event.waitlist = [];
+        }
+        event.waitlist.push(userId);
+        this.recordActivity(event, userId, 'waitlisted');
+
+        if (!this.userWaitlists.has(userId)) {
+            this.userWaitlists.set(userId, new Set());
+        }
+        this.userWaitlists.get(userId).add(eventId);
+        this.store.persist();
+
+        return event.waitlist.length;
+    }
+
+    // Pass activityType null to skip the history entry (used for promotions)
+    removeFromWaitlist(eventId, userId, activityType = 'left_waitlist') {
+        const event = this.events.get(eventId);
+        const position = this.waitlistPosition(eventId, userId);
+        if (position) {
+            event.waitlist.splice(position - 1, 1);
+            if (activityType) {
+                this.recordActivity(event, userId, activityType);
+            }
+        }
+
+        const userWaitlistSet = this.userWaitlists.get(userId);
+        if (userWaitlistSet) {
+            userWaitlistSet.delete(eventId);
+        }
+        this.store.persist();
+
+        return position > 0;
+    }
+
+    pendingEventIdsForUser(userId) {
+        return Array.from(this.userPending.get(userId) || []);
+    }
+
+    // Requests waiting for approval, oldest first: [{ userId, requestedAt }]
+    listPending(eventId) {
+        const event = this.events.get(eventId);
+        return event && event.pendingRegistrations ? [...event.pendingRegistrations] : [];
+    }
+
+    isPending(eventId, userId) {
+        return this.listPending(eventId).some(request => request.userId === userId);
+    }
+
+    addPending(eventId, userId) {
+        const event = this.events.get(eventId);
+        if (!event.pendingRegistrations) {
+            event.pendingRegistrations = [];
+        }
+        event.pendingRegistrations.push({ userId, requestedAt: new Date().toISOString() });
+        this.recordActivity(event, userId, 'requested');
+
+        if (!this.userPending.has(userId)) {
+            this.userPending.set(userId, new Set());
+        }
+        this.userPending.get(userId).add(eventId);
+        this.store.persist();
+    }
+
+    // activityType is 'approved', 'rejected' or 'request_withdrawn'
+    removePending(eventId, userId, activityType = 'request_withdrawn') {
+        const event = this.events.get(eventId);
+        const pending = this.isPending(eventId, userId);
+        if (pending) {
+            event.pendingRegistrations = event.pendingRegistrations
+                .filter(request => request.userId !== userId);
+            this.recordActivity(event, userId, activityType);
+        }
+
+        const userPendingSet = this.userPending.get(userId);
+        if (userPendingSet) {
+            userPendingSet.delete(eventId);
+        }
+        this.store.persist();
+
+        return pending;
+    }
+
+    // Move people from the head of the waitlist into any free seats.
+    // Returns the ids of the users that were promoted, in order.
+    promoteFromWaitlist(eventId) {
+        const event = this.events.get(eventId);
+        const promoted = [];
+        if (!event || !event.waitlist) {
+            return promoted;
+        }
+
+        while (event.waitlist.length > 0 && event.participants.size < event.capacity) {
+            const userId = event.waitlist[0];
+            this.removeFromWaitlist(eventId, userId, null);
+            this.add(eventId, userId, 'promoted');
+            promoted.push(userId);
+        }
+        return promoted;
+    }
+}
+
+module.exports = RegistrationRepository;
\ No newline at end of file
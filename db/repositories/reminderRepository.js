@@ -0,0 +1,48 @@
+// Scheduled reminder emails, one per event and offset. A reminder stays
+// 'scheduled' until the scheduler sends it ('sent') or finds the event has
+// already started ('skipped').
+class ReminderRepository {
+    constructor(store) {
+        this.store = store;
+        this.reminders = store.collection('reminders');
+    }
+
+    listForEvent(eventId) {
+        return Array.from(this.reminders.values())
+            .filter(reminder => reminder.eventId === eventId);
+    }
+
+    // Scheduled reminders whose send time has come, oldest first
+    listDue(now = new Date()) {
+        return Array.from(this.reminders.values())
+            .filter(reminder => reminder.status === 'scheduled' && new Date(reminder.sendAt) <= now)
+            .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+    }
+
+    create(reminder) {
+        this.reminders.set(reminder.id, reminder);
+        this.store.persist();
+        return reminder;
+    }
+
+    save(reminder) {
+        this.reminders.set(reminder.id, reminder);
+        this.store.persist();
+        return reminder;
+    }
+
+    deleteScheduledForEvent(eventId) {
+        this.listForEvent(eventId)
+            .filter(reminder => reminder.status === 'scheduled')
+            .forEach(reminder => this.reminders.delete(reminder.id));
+        this.store.persist();
+    }
+
+    deleteAllForEvent(eventId) {
+        this.listForEvent(eventId)
+            .forEach(reminder => this.reminders.delete(reminder.id));
+        this.store.persist();
+    }
+}
+
+module.exports = ReminderRepository;
\ No newline at end of file
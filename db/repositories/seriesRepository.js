@@ -0,0 +1,36 @@
+// Recurring event series. Each series keeps its recurrence rule and the ids
+// of the event instances it was expanded into.
+class SeriesRepository {
+    constructor(store) {
+        this.store = store;
+        this.series = store.collection('series');
+    }
+
+    findById(id) {
+        return this.series.get(id);
+    }
+
+    list() {
+        return Array.from(this.series.values());
+    }
+
+    create(series) {
+        this.series.set(series.id, series);
+        this.store.persist();
+        return series;
+    }
+
+    save(series) {
+        this.series.set(series.id, series);
+        this.store.persist();
+        return series;
+    }
+
+    delete(id) {
+        const deleted = this.series.delete(id);
+        this.store.persist();
+        return deleted;
+    }
+}
+
+module.exports = SeriesRepository;
\ No newline at end of file
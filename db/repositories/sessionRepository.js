@@ -0,0 +1,69 @@
+// A session backs one logged-in device: it owns the current refresh token
+// (stored hashed) and every access token issued for it carries its id.
+class SessionRepository {
+    constructor(store) {
+        this.store = store;
+        this.sessions = store.collection('sessions');
+    }
+
+    findById(id) {
+        return this.sessions.get(id);
+    }
+
+    listForUser(userId) {
+        return Array.from(this.sessions.values())
+            .filter(session => session.userId === userId);
+    }
+
+    isActive(id) {
+        const session = this.sessions.get(id);
+        return Boolean(
+            session &&
+            !session.revokedAt &&
+            new Date(session.expiresAt) > new Date()
+        );
+    }
+
+    create(session) {
+        this.sessions.set(session.id, session);
+        this.store.persist();
+        return session;
+    }
+
+    save(session) {
+        this.sessions.set(session.id, session);
+        this.store.persist();
+        return session;
+    }
+
+    revoke(id, reason) {
+        const session = this.sessions.get(id);
+        if (!session || session.revokedAt) {
+            return false;
+        }
+        session.revokedAt = new Date().toISOString();
+        session.revokedReason = reason;
+        this.store.persist();
+        return true;
+    }
+
+    // Returns the number of sessions that were still active
+    revokeAllForUser(userId, reason) {
+        return this.listForUser(userId)
+            .filter(session => this.revoke(session.id, reason))
+            .length;
+    }
+
+    // Forget sessions that can no longer be used for anything
+    pruneExpired() {
+        const now = new Date();
+        this.sessions.forEach((session, id) => {
+            if (new Date(session.expiresAt) <= now) {
+                this.sessions.delete(id);
+            }
+        });
+        this.store.persist();
+    }
+}
+
+module.exports = SessionRepository;
\ No newline at end of file
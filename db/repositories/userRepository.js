@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Email addresses are matched case-insensitively everywhere (login, invites,
+// co-organizer lookups), so the index is keyed by the lowercased address
+const emailKey = (email) => String(email || '').trim().toLowerCase();
+
+class UserRepository {
+    constructor(store) {
+        this.store = store;
+        this.users = store.collection('users');
+
+        // Secondary index so login/registration don't scan every user
+        this.emailIndex = new Map();
+        this.users.forEach(user => this.emailIndex.set(emailKey(user.email), user.id));
+
+        // Calendar feed tokens are only stored hashed; this maps hash to user id.
+        // Tokens stored in clear by older versions are hashed on load, so
+        // existing feed URLs keep working.
+        this.calendarIndex = new Map();
+        this.users.forEach(user => {
+            if (user.calendarFeedToken) {
+                user.calendarFeedTokenHash = crypto.createHash('sha256').update(user.calendarFeedToken).digest('hex');
+                delete user.calendarFeedToken;
+            }
+            if (user.calendarFeedTokenHash) {
+                this.calendarIndex.set(user.calendarFeedTokenHash, user.id);
+            }
+        });
+    }
+
+    findById(id) {
+        return this.users.get(id);
+    }
+
+    findByEmail(email) {
+        const id = this.emailIndex.get(emailKey(email));
+        return id ? this.users.get(id) : undefined;
+    }
+
+    existsByEmail(email) {
+        return this.emailIndex.has(emailKey(email));
+    }
+
+    findByCalendarTokenHash(tokenHash) {
+        const id = this.calendarIndex.get(tokenHash);
+        return id ? this.users.get(id) : undefined;
+    }
+
+    // Replace the user's feed token; the old URL stops working
+    setCalendarTokenHash(user, tokenHash) {
+        this.calendarIndex.delete(user.calendarFeedTokenHash);
+        user.calendarFeedTokenHash = tokenHash;
+        user.calendarFeedCreatedAt = new Date().toISOString();
+        this.calendarIndex.set(tokenHash, user.id);
+        return this.save(user);
+    }
+
+    list() {
+        return Array.from(this.users.values());
+    }
+
+    create(user) {
+        this.users.set(user.id, user);
+        this.emailIndex.set(emailKey(user.email), user.id);
+        this.store.persist();
+        return user;
+    }
+
+    save(user) {
+        this.users.set(user.id, user);
+        this.store.persist();
+        return user;
+    }
+}
+
+module.exports = UserRepository;
\ No newline at end of file
@@ -0,0 +1,89 @@
+// Organizers' webhook endpoints and the log of deliveries made to them. A
+// delivery is 'pending' until the webhook worker gets a 2xx response from the
+// endpoint ('delivered') or gives up after too many failures ('dead').
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'dead'];
+
+class WebhookRepository {
+    constructor(store) {
+        this.store = store;
+        this.webhooks = store.collection('webhooks');
+        this.deliveries = store.collection('webhookDeliveries');
+    }
+
+    findById(id) {
+        return this.webhooks.get(id);
+    }
+
+    list({ ownerId } = {}) {
+        const webhooks = Array.from(this.webhooks.values());
+        return ownerId ? webhooks.filter(webhook => webhook.ownerId === ownerId) : webhooks;
+    }
+
+    // Active webhooks subscribed to the given type
+    listSubscribed(type) {
+        return this.list().filter(webhook => webhook.active && webhook.events.includes(type));
+    }
+
+    create(webhook) {
+        this.webhooks.set(webhook.id, webhook);
+        this.store.persist();
+        return webhook;
+    }
+
+    save(webhook) {
+        this.webhooks.set(webhook.id, webhook);
+        this.store.persist();
+        return webhook;
+    }
+
+    // Removing a webhook also drops its delivery log and anything still queued
+    delete(id) {
+        const deleted = this.webhooks.delete(id);
+        this.listDeliveries({ webhookId: id }).forEach(delivery => this.deliveries.delete(delivery.id));
+        this.store.persist();
+        return deleted;
+    }
+
+    findDelivery(id) {
+        return this.deliveries.get(id);
+    }
+
+    // Newest first
+    listDeliveries({ webhookId, status } = {}) {
+        return Array.from(this.deliveries.values())
+            .filter(delivery => (!webhookId || delivery.webhookId === webhookId) &&
+                (!status || delivery.status === status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Pending deliveries whose next attempt is due, oldest first
+    listDueDeliveries(now = new Date()) {
+        return this.listDeliveries({ status: 'pending' })
+            .filter(delivery => new Date(delivery.nextAttemptAt) <= now)
+            .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt));
+    }
+
+    countDeliveriesByStatus(webhookId) {
+        const counts = Object.fromEntries(DELIVERY_STATUSES.map(status => [status, 0]));
+        this.listDeliveries({ webhookId }).forEach(delivery => {
+            counts[delivery.status] += 1;
+        });
+        return counts;
+    }
+
+    createDelivery(delivery) {
+        this.deliveries.set(delivery.id, delivery);
+        this.store.persist();
+        return delivery;
+    }
+
+    saveDelivery(delivery) {
+        this.deliveries.set(delivery.id, delivery);
+        this.store.persist();
+        return delivery;
+    }
+}
+
+WebhookRepository.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookRepository;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const bcrypt = require('bcrypt');
+const { ADMIN_EMAIL, ADMIN_PASSWORD } = require('../config/config');
+const { ROLES } = require('../config/roles');
+const { logEvent } = require('../config/logger');
+const db = require('./index');
+const { generateId } = require('../utils/ids');
+
+// Self-registration only ever creates attendees, so the first admin has to
+// come from configuration
+const seedAdmin = async () => {
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD || db.users.existsByEmail(ADMIN_EMAIL)) {
+        return;
+    }
+
+    const user = {
+        email: ADMIN_EMAIL.toLowerCase(),
+        password: await bcrypt.hash(ADMIN_PASSWORD, 10),
+        name: 'Administrator',
+        role: ROLES.ADMIN,
+        emailVerified: true,
+        id: generateId(),
+        profile: {
+            name: 'Administrator',
+            bio: '',
+            interests: [],
+            createdAt: new Date().toISOString(),
+            eventsOrganized: 0,
+            eventsAttended: 0
+        }
+    };
+
+    db.users.create(user);
+    db.registrations.initUser(user.id);
+
+    logEvent('info', 'Admin account seeded', {
+        userId: user.id,
+        action: 'SEED_ADMIN'
+    });
+};
+
+module.exports = { seedAdmin };
\ No newline at end of file
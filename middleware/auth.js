@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/config');
+const { JWT_SECRET, REQUIRE_VERIFIED_EMAIL_FOR_EVENTS } = require('../config/config');
 const { logEvent } = require('../config/logger');
+const { hasPermission } = require('../config/roles');
+const { verifyStreamTicket } = require('../utils/tokens');
+const db = require('../db');
 
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
@@ -22,6 +25,27 @@ const authenticateToken = (req, res, next) => {
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
 
+        // Stream tickets, join links and the like are signed with the same
+        // secret but are only good for their own purpose, not as access tokens
+        if (user.purpose) {
+            logEvent('warn', 'Authentication failed - Not an access token', {
+                userId: user.id,
+                action: 'AUTH_ERROR',
+                metadata: { purpose: user.purpose }
+            });
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        // Reject tokens whose session was logged out or revoked
+        if (!db.sessions.isActive(user.sid)) {
+            logEvent('warn', 'Authentication failed - Session revoked', {
+                userId: user.id,
+                action: 'AUTH_ERROR',
+                error: 'Session revoked or expired'
+            });
+            return res.status(401).json({ error: 'Session has been revoked' });
+        }
+
         // Log successful authentication
         logEvent('info', 'User authenticated successfully', {
             userId: user.id,
@@ -33,4 +57,112 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+// Streaming endpoints take the usual Authorization header, or a ?ticket=
+// from POST /events/stream/ticket for clients that can't send headers
+const authenticateStream = (req, res, next) => {
+    if (req.headers['authorization'] || !req.query.ticket) {
+        return authenticateToken(req, res, next);
+    }
+
+    const user = verifyStreamTicket(req.query.ticket);
+    if (!user) {
+        logEvent('warn', 'Authentication failed - Invalid stream ticket', {
+            action: 'AUTH_ERROR'
+        });
+        return res.status(403).json({ error: 'Invalid or expired stream ticket' });
+    }
+
+    if (!db.sessions.isActive(user.sid)) {
+        logEvent('warn', 'Authentication failed - Session revoked', {
+            userId: user.id,
+            action: 'AUTH_ERROR',
+            error: 'Session revoked or expired'
+        });
+        return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    req.user = user;
+    next();
+};
+
+// Resolve the authenticated user's record onto req.currentUser.
+// Must run after authenticateToken.
+const loadCurrentUser = (req, res) => {
+    const user = db.users.findById(req.user?.id);
+    if (!user) {
+        logEvent('warn', 'Authorization failed - User no longer exists', {
+            userId: req.user?.id,
+            action: 'AUTH_ERROR'
+        });
+        res.status(401).json({ error: 'User not authenticated properly' });
+        return null;
+    }
+    req.currentUser = user;
+    return user;
+};
+
+const denyAccess = (req, res, required) => {
+    logEvent('warn', 'Access denied', {
+        userId: req.user.id,
+        action: 'ACCESS_DENIED',
+        metadata: {
+            method: req.method,
+            // Without the query string, which may hold a stream ticket
+            path: req.baseUrl + req.path,
+            required
+        }
+    });
+    return res.status(403).json({ 
+        error: 'Insufficient permissions',
+        required
+    });
+};
+
+// Allow the request through only if the user holds one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+    const user = loadCurrentUser(req, res);
+    if (!user) {
+        return;
+    }
+
+    if (!roles.includes(user.role)) {
+        return denyAccess(req, res, { roles });
+    }
+    next();
+};
+
+// Allow the request through only if the user's role grants every given permission
+const requirePermission = (...permissions) => (req, res, next) => {
+    const user = loadCurrentUser(req, res);
+    if (!user) {
+        return;
+    }
+
+    if (!permissions.every(permission => hasPermission(user, permission))) {
+        return denyAccess(req, res, { permissions });
+    }
+    next();
+};
+
+// Block the request until the user has verified their email address,
+// when REQUIRE_VERIFIED_EMAIL_FOR_EVENTS is enabled
+const requireVerifiedEmail = (req, res, next) => {
+    if (!REQUIRE_VERIFIED_EMAIL_FOR_EVENTS) {
+        return next();
+    }
+
+    const user = req.currentUser || loadCurrentUser(req, res);
+    if (!user) {
+        return;
+    }
+
+    if (!user.emailVerified) {
+        return res.status(403).json({ 
+            error: 'Email address not verified',
+            message: 'Verify your email address before registering for events'
+        });
+    }
+    next();
+};
+
+module.exports = { authenticateToken, authenticateStream, requireRole, requirePermission, requireVerifiedEmail };
\ No newline at end of file
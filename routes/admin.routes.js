@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { ROLES } = require('../config/roles');
+const schemas = require('../schemas/admin.schemas');
+const db = require('../db');
+const { logEvent } = require('../config/logger');
+const { sendEmail, retryEmail } = require('../utils/email');
+
+router.use(authenticateToken);
+
+const toUserSummary = (user) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    createdAt: user.profile.createdAt,
+    eventsOrganized: user.profile.eventsOrganized,
+    eventsAttended: user.profile.eventsAttended
+});
+
+const toEmailSummary = (message) => ({
+    id: message.id,
+    to: message.to,
+    template: message.template,
+    subject: message.subject,
+    status: message.status,
+    attempts: message.attempts,
+    lastError: message.lastError,
+    createdAt: message.createdAt,
+    lastAttemptAt: message.lastAttemptAt,
+    nextAttemptAt: message.status === 'pending' ? message.nextAttemptAt : null,
+    sentAt: message.sentAt || null,
+    deadAt: message.deadAt || null
+});
+
+// List all users
+router.get('/users', requirePermission('users:manage'), validateRequest(schemas.listUsers), (req, res) => {
+    try {
+        const { role } = req.query;
+        let users = db.users.list();
+
+        if (role) {
+            users = users.filter(user => user.role === role);
+        }
+
+        res.json({
+            total: users.length,
+            users: users.map(toUserSummary)
+        });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Error fetching users' });
+    }
+});
+
+// Grant or revoke a role, e.g. promote an attendee to organizer
+router.put('/users/:id/role', requirePermission('users:manage'), validateRequest(schemas.updateRole), async (req, res) => {
+    try {
+        const adminId = req.user.id;
+        const user = db.users.findById(req.params.id);
+        const { role } = req.body;
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Stop an admin from locking everyone out by demoting themselves
+        if (user.id === adminId && role !== ROLES.ADMIN) {
+            return res.status(400).json({ error: 'Admins cannot change their own role' });
+        }
+
+        const previousRole = user.role;
+        user.role = role;
+        db.users.save(user);
+
+        logEvent('info', 'User role changed', {
+            userId: adminId,
+            action: 'CHANGE_USER_ROLE',
+            metadata: {
+                targetUserId: user.id,
+                previousRole,
+                role
+            }
+        });
+
+        if (previousRole !== role) {
+            try {
+                await sendEmail(user.email, 'roleChanged', {
+                    name: user.name,
+                    previousRole,
+                    role
+                });
+            } catch (emailError) {
+                logEvent('warn', 'Failed to send role change email', {
+                    userId: adminId,
+                    action: 'CHANGE_USER_ROLE_EMAIL_FAILED',
+                    error: emailError.message
+                });
+            }
+        }
+
+        res.json({
+            message: 'User role updated successfully',
+            user: toUserSummary(user)
+        });
+    } catch (error) {
+        console.error('Error updating user role:', error);
+        res.status(500).json({ error: 'Error updating user role' });
+    }
+});
+
+// Outbox messages, newest first. ?status=dead lists the dead-letter queue.
+router.get('/emails', requirePermission('emails:manage'), validateRequest(schemas.listEmails), (req, res) => {
+    try {
+        const { status } = req.query;
+        const messages = db.emailOutbox.list({ status })
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        res.json({
+            counts: db.emailOutbox.countByStatus(),
+            total: messages.length,
+            emails: messages.map(toEmailSummary)
+        });
+    } catch (error) {
+        console.error('Error fetching emails:', error);
+        res.status(500).json({ error: 'Error fetching emails' });
+    }
+});
+
+// Delivery details of one message. Bodies are never shown: they hold other
+// users' reset, verification and join links.
+router.get('/emails/:id', requirePermission('emails:manage'), (req, res) => {
+    try {
+        const message = db.emailOutbox.findById(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Email not found' });
+        }
+
+        res.json({
+            ...toEmailSummary(message),
+            messageId: message.messageId || null,
+            attachments: (message.attachments || []).map(({ filename, contentType }) => ({ filename, contentType }))
+        });
+    } catch (error) {
+        console.error('Error fetching email:', error);
+        res.status(500).json({ error: 'Error fetching email' });
+    }
+});
+
+// Requeue a dead or still-pending message for immediate delivery
+router.post('/emails/:id/retry', requirePermission('emails:manage'), (req, res) => {
+    try {
+        const message = db.emailOutbox.findById(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Email not found' });
+        }
+        if (message.status === 'sent' || message.status === 'sending') {
+            return res.status(400).json({ error: `Email is already ${message.status}` });
+        }
+
+        retryEmail(message);
+
+        logEvent('info', 'Email requeued', {
+            userId: req.user.id,
+            action: 'RETRY_EMAIL',
+            metadata: { messageId: message.id, template: message.template }
+        });
+
+        res.json({
+            message: 'Email requeued for delivery',
+            email: toEmailSummary(message)
+        });
+    } catch (error) {
+        console.error('Error retrying email:', error);
+        res.status(500).json({ error: 'Error retrying email' });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
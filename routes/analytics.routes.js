@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { hasPermission } = require('../config/roles');
+const schemas = require('../schemas/analytics.schemas');
+const { logEvent } = require('../config/logger');
+const { toCsv } = require('../utils/csv');
+const {
+    overview,
+    topEvents,
+    registrationsOverTime
+} = require('../services/analyticsService');
+
+router.use(authenticateToken, requirePermission('analytics:read'));
+
+// Organizers see the events they own or co-organize. Admins see everyone's, or one
+// organizer's with ?organizerId=. Sends the error response and returns null
+// when the request can't be served.
+const resolveScope = (req, res) => {
+    const user = req.currentUser;
+    const { from, to, organizerId } = req.query;
+    const canSeeAll = hasPermission(user, 'events:manage-any');
+
+    if (from && to && from > to) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: [{ location: 'query', field: 'to', message: 'to must not be before from' }]
+        });
+        return null;
+    }
+
+    if (organizerId && organizerId !== user.id && !canSeeAll) {
+        res.status(403).json({ error: 'Organizers can only view analytics for their own events' });
+        return null;
+    }
+
+    return {
+        organizerId: organizerId || (canSeeAll ? null : user.id),
+        from: from || null,
+        to: to || null
+    };
+};
+
+// JSON by default; ?format=csv downloads `rows` as a CSV file instead
+const sendReport = (req, res, { name, scope, rows, columns, body }) => {
+    logEvent('info', 'Analytics report generated', {
+        userId: req.user.id,
+        action: 'VIEW_ANALYTICS',
+        metadata: { report: name, format: req.query.format, ...scope }
+    });
+
+    if (req.query.format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+        return res.send(toCsv(rows, columns));
+    }
+
+    res.json({ filters: scope, ...body });
+};
+
+// Totals across the organizer's events plus the top five by registrations
+router.get('/overview', validateRequest(schemas.overview), (req, res) => {
+    try {
+        const scope = resolveScope(req, res);
+        if (!scope) {
+            return;
+        }
+
+        const summary = overview(scope);
+        sendReport(req, res, {
+            name: 'overview',
+            scope,
+            rows: [summary],
+            columns: Object.keys(summary),
+            body: {
+                ...summary,
+                topEvents: topEvents(scope, { limit: 5 })
+            }
+        });
+    } catch (error) {
+        console.error('Error building analytics overview:', error);
+        res.status(500).json({ error: 'Error building analytics overview' });
+    }
+});
+
+// Registrations, waitlist joins and cancellations per day, week or month
+router.get('/registrations', validateRequest(schemas.registrations), (req, res) => {
+    try {
+        const scope = resolveScope(req, res);
+        if (!scope) {
+            return;
+        }
+
+        const series = registrationsOverTime(scope, req.query.interval);
+        sendReport(req, res, {
+            name: 'registrations',
+            scope,
+            rows: series,
+            columns: ['period', 'registrations', 'waitlisted', 'cancellations', 'eventDeletions'],
+            body: {
+                interval: req.query.interval,
+                series
+            }
+        });
+    } catch (error) {
+        console.error('Error building registration analytics:', error);
+        res.status(500).json({ error: 'Error building registration analytics' });
+    }
+});
+
+// Per-event fill rate, waitlist, cancellations and attendance; use
+// ?sort= and ?limit= for top events
+router.get('/events', validateRequest(schemas.events), (req, res) => {
+    try {
+        const scope = resolveScope(req, res);
+        if (!scope) {
+            return;
+        }
+
+        const { sort, limit } = req.query;
+        const events = topEvents(scope, { sort, limit });
+        sendReport(req, res, {
+            name: 'events',
+            scope,
+            rows: events,
+            columns: ['eventId', 'title', 'status', 'startsAt', 'capacity', 'registered', 'fillRate', 'waitlist', 'registrations', 'cancellations', 'attended'],
+            body: {
+                sort,
+                total: events.length,
+                events
+            }
+        });
+    } catch (error) {
+        console.error('Error building event analytics:', error);
+        res.status(500).json({ error: 'Error building event analytics' });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
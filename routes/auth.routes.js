@@ -1,16 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/config');
-const db = require('../db/inMemoryDb');
+const { APP_URL, PASSWORD_RESET_URL, REQUIRE_VERIFIED_EMAIL_FOR_LOGIN } = require('../config/config');
+const { ROLES } = require('../config/roles');
+const db = require('../db');
+const { logEvent } = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const schemas = require('../schemas/auth.schemas');
 const { sendEmail } = require('../utils/email');
+const { generateId } = require('../utils/ids');
+const {
+    createSession,
+    rotateSession,
+    signEmailVerificationToken,
+    verifyEmailVerificationToken,
+    createPasswordResetToken,
+    findPasswordReset,
+    consumePasswordResetToken
+} = require('../utils/tokens');
 
-router.post('/register', async (req, res) => {
+const verificationLink = (user) =>
+    `${APP_URL}/auth/verify-email?token=${encodeURIComponent(signEmailVerificationToken(user))}`;
+
+router.post('/register', validateRequest(schemas.register), async (req, res) => {
     try {
-        const { email, password, name, role = 'attendee' } = req.body;
+        const { password, name, timeZone } = req.body;
+        // Stored lowercased so it matches invites and other lookups by email
+        const email = req.body.email.toLowerCase();
+
+        // Everyone starts as an attendee; elevated roles are granted by an admin
+        const role = ROLES.ATTENDEE;
 
-        if (db.users.has(email)) {
+        if (db.users.existsByEmail(email)) {
             return res.status(400).json({ error: 'Email already registered' });
         }
 
@@ -21,25 +43,29 @@ router.post('/register', async (req, res) => {
             password: hashedPassword,
             name,
             role,
-            id: Date.now().toString(),
+            emailVerified: false,
+            id: generateId(),
             profile: {
                 name,
                 bio: '',
                 interests: [],
+                timeZone: timeZone || null,
+                emailReminders: true,
+                interestAlerts: false,
                 createdAt: new Date().toISOString(),
                 eventsOrganized: 0,
                 eventsAttended: 0
             }
         };
 
-        db.users.set(email, user);
-        db.userEvents.set(user.id, new Set());
+        db.users.create(user);
+        db.registrations.initUser(user.id);
 
-        await sendEmail(
-            email,
-            'Welcome to Virtual Event Platform',
-            `Hi ${name}, your account has been successfully created as an ${role}!`
-        );
+        await sendEmail(email, 'welcome', {
+            name,
+            role,
+            verificationLink: verificationLink(user)
+        });
 
         res.status(201).json({ 
             message: 'User registered successfully',
@@ -50,10 +76,10 @@ router.post('/register', async (req, res) => {
     }
 });
 
-router.post('/login', async (req, res) => {
+router.post('/login', validateRequest(schemas.login), async (req, res) => {
     try {
         const { email, password } = req.body;
-        const user = db.users.get(email);
+        const user = db.users.findByEmail(email);
 
         if (!user) {
             return res.status(401).json({ error: 'Invalid credentials' });
@@ -64,16 +90,206 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        const token = jwt.sign(
-            { id: user.id, email: user.email },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        if (REQUIRE_VERIFIED_EMAIL_FOR_LOGIN && !user.emailVerified) {
+            return res.status(403).json({ 
+                error: 'Email address not verified',
+                message: 'Check your inbox for the verification link or request a new one'
+            });
+        }
+
+        db.sessions.pruneExpired();
+        const tokens = createSession(user, { userAgent: req.headers['user-agent'] });
 
-        res.json({ token });
+        logEvent('info', 'User logged in', {
+            userId: user.id,
+            action: 'LOGIN'
+        });
+
+        res.json(tokens);
     } catch (error) {
         res.status(500).json({ error: 'Error during login' });
     }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', validateRequest(schemas.refresh), (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const result = rotateSession(refreshToken);
+        if (!result) {
+            logEvent('warn', 'Token refresh rejected', {
+                action: 'REFRESH_TOKEN_ERROR'
+            });
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        logEvent('info', 'Access token refreshed', {
+            userId: result.user.id,
+            action: 'REFRESH_TOKEN'
+        });
+
+        res.json(result.tokens);
+    } catch (error) {
+        res.status(500).json({ error: 'Error refreshing token' });
+    }
+});
+
+// Revoke the current session, or every session with { allDevices: true }
+router.post('/logout', authenticateToken, validateRequest(schemas.logout), (req, res) => {
+    try {
+        const { allDevices } = req.body;
+        const userId = req.user.id;
+
+        const sessionsRevoked = allDevices
+            ? db.sessions.revokeAllForUser(userId, 'logout_all')
+            : Number(db.sessions.revoke(req.user.sid, 'logout'));
+
+        logEvent('info', allDevices ? 'User logged out of all devices' : 'User logged out', {
+            userId,
+            action: allDevices ? 'LOGOUT_ALL' : 'LOGOUT',
+            metadata: { sessionsRevoked }
+        });
+
+        res.json({ 
+            message: 'Logged out successfully',
+            sessionsRevoked
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error during logout' });
+    }
+});
+
+// Confirm an email address from the link sent by email
+router.get('/verify-email', validateRequest(schemas.verifyEmail), (req, res) => {
+    try {
+        const user = verifyEmailVerificationToken(req.query.token);
+
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date().toISOString();
+            db.users.save(user);
+
+            logEvent('info', 'Email address verified', {
+                userId: user.id,
+                action: 'VERIFY_EMAIL'
+            });
+        }
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error verifying email' });
+    }
+});
+
+// Send a fresh verification link. Always answers the same way so it can't be
+// used to find out which emails have accounts.
+router.post('/resend-verification', validateRequest(schemas.emailOnly), async (req, res) => {
+    try {
+        const { email } = req.body;
+        const user = db.users.findByEmail(email);
+
+        if (user && !user.emailVerified) {
+            await sendEmail(user.email, 'verifyEmail', {
+                name: user.name,
+                verificationLink: verificationLink(user)
+            });
+        }
+
+        res.json({ message: 'If the account exists and is unverified, a verification email has been sent' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error sending verification email' });
+    }
+});
+
+// Email a single-use password reset token
+router.post('/forgot-password', validateRequest(schemas.emailOnly), async (req, res) => {
+    try {
+        const { email } = req.body;
+        const user = db.users.findByEmail(email);
+
+        if (user) {
+            const token = createPasswordResetToken(user);
+
+            logEvent('info', 'Password reset requested', {
+                userId: user.id,
+                action: 'FORGOT_PASSWORD'
+            });
+
+            await sendEmail(user.email, 'passwordReset', {
+                name: user.name,
+                resetLink: `${PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}`
+            });
+        }
+
+        res.json({ message: 'If the account exists, a password reset email has been sent' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error requesting password reset' });
+    }
+});
+
+// Where reset emails link to when PASSWORD_RESET_URL isn't set to a client
+// page. Checks the token without using it up.
+router.get('/reset-password', validateRequest(schemas.checkResetToken), (req, res) => {
+    try {
+        const reset = findPasswordReset(req.query.token);
+
+        if (!reset) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        res.json({
+            message: 'Reset token is valid. POST it to /auth/reset-password with the new password.',
+            expiresAt: reset.expiresAt
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error checking reset token' });
+    }
+});
+
+// Set a new password using a reset token
+router.post('/reset-password', validateRequest(schemas.resetPassword), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const user = consumePasswordResetToken(token);
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        user.password = await bcrypt.hash(password, 10);
+        // Receiving the token proves the user owns the address
+        user.emailVerified = true;
+        db.users.save(user);
+
+        // Any other outstanding tokens and all existing sessions are now stale
+        db.passwordResets.deleteAllForUser(user.id);
+        const sessionsRevoked = db.sessions.revokeAllForUser(user.id, 'password_reset');
+
+        logEvent('info', 'Password reset completed', {
+            userId: user.id,
+            action: 'RESET_PASSWORD',
+            metadata: { sessionsRevoked }
+        });
+
+        try {
+            await sendEmail(user.email, 'passwordChanged', { name: user.name });
+        } catch (emailError) {
+            logEvent('warn', 'Failed to send password change confirmation email', {
+                userId: user.id,
+                action: 'RESET_PASSWORD_EMAIL_FAILED',
+                error: emailError.message
+            });
+        }
+
+        res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error resetting password' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
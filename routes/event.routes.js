@@ -1,68 +1,156 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
-const db = require('../db/inMemoryDb');
+const { authenticateToken, authenticateStream, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { validateRequest } = require('../middleware/validate');
+const schemas = require('../schemas/event.schemas');
+const db = require('../db');
 const { logEvent, inMemoryLogs } = require('../config/logger');
-const { sendEmail, sendBulkEmails } = require('../utils/email');
+const { sendEmail } = require('../utils/email');
+const { describeEventTime, eventStart, localSchedule, viewerTimeZone } = require('../utils/time');
+const { buildCalendar } = require('../utils/ical');
+const { toCsv } = require('../utils/csv');
+const {
+    isEventOwner,
+    canManageEvent,
+    canAccessEvent,
+    canViewEvent,
+    redeemInviteCode,
+    joinWindow,
+    eventInvite,
+    bumpCalendarSequence,
+    promoteWaitlistedUsers,
+    createEvent,
+    registrationWindowError,
+    unknownSpeakerError,
+    eventUpdateError,
+    updateEvent,
+    cancelEvent,
+    registerForEvent,
+    approveRegistration,
+    rejectRegistration,
+    inviteToEvent,
+    attendeeRoster,
+    attendeeRosterCsv,
+    eventSpeakers,
+    eventOrganizers,
+    addCoOrganizer,
+    removeCoOrganizer,
+    transferOwnership
+} = require('../services/eventService');
+const { reminderOffsets } = require('../services/reminderService');
+const { listEvents, decodeCursor } = require('../services/eventListService');
+const {
+    findSession,
+    sortedAgenda,
+    createSession,
+    updateSession,
+    removeSession,
+    conflictsWith,
+    addToSchedule,
+    removeFromSchedule
+} = require('../services/agendaService');
+const { recommendEvents, notifyInterestedUsers } = require('../services/recommendationService');
+const { highlightEvent } = require('../services/searchService');
+const { streamCount, openStream } = require('../services/realtimeService');
+const { REALTIME_MAX_STREAMS_PER_USER, REALTIME_TICKET_TTL_SECONDS } = require('../config/config');
+const { checkIn, checkOut, attendanceReport } = require('../services/attendanceService');
+const { publishEvent } = require('../services/lifecycleService');
+const { eventStatus, canTransition, registrationClosedReason } = require('../utils/eventStatus');
+const {
+    eventCheckInCode,
+    verifyEventCheckInCode,
+    newEventInviteCode,
+    verifyEventInviteCode,
+    signStreamTicket,
+    verifyJoinToken
+} = require('../utils/tokens');
+
+// An agenda session as the viewer sees it. Join details stay behind
+// GET /events/:id/agenda/:sessionId/join.
+const describeSession = (event, session, viewer, timeZone) => ({
+    id: session.id,
+    title: session.title,
+    description: session.description,
+    track: session.track,
+    speakers: eventSpeakers(session),
+    startsAt: session.startsAt,
+    endsAt: session.endsAt,
+    durationMinutes: session.durationMinutes,
+    local: localSchedule(session, timeZone),
+    capacity: session.capacity,
+    attendeeCount: session.attendees.size,
+    spotsRemaining: session.capacity ? session.capacity - session.attendees.size : null,
+    inSchedule: session.attendees.has(viewer.id),
+    // Sessions in the viewer's schedule that this one overlaps
+    conflicts: conflictsWith(event, session, viewer.id).map(other => other.id)
+});
 
-// Create event
-router.post('/', authenticateToken, (req, res) => {
-    try {
-        // Get user ID from authenticated request
-        const userId = req.user?.id; 
-        const user = Array.from(db.users.values()).find(u => u.id === userId);
+// Shared by the account-wide and per-event log endpoints
+const filterLogs = (logs, { startDate, endDate, action, level }) => {
+    let filteredLogs = [...logs]; // Create a copy of logs array
 
-        // Check if user is an organizer
-        if (user.role !== 'organizer') {
-            logEvent('warn', 'Unauthorized event creation attempt', {
-                userId,
-                action: 'CREATE_EVENT_UNAUTHORIZED'
-            });
-            return res.status(403).json({ 
-                error: 'Only organizers can create events' 
-            });
-        }
+    // Apply filters
+    if (startDate) {
+        const start = new Date(startDate);
+        filteredLogs = filteredLogs.filter(log => 
+            new Date(log.timestamp) >= start
+        );
+    }
 
+    if (endDate) {
+        const end = new Date(endDate);
+        filteredLogs = filteredLogs.filter(log => 
+            new Date(log.timestamp) <= end
+        );
+    }
 
-        // Validate user ID
-        if (!userId) {
-            logEvent('error', 'User ID not found in request', {
-                action: 'CREATE_EVENT_ERROR',
-                error: 'User not authenticated properly'
-            });
-            return res.status(401).json({ error: 'User not authenticated properly' });
-        }
+    if (action) {
+        filteredLogs = filteredLogs.filter(log => 
+            log.action && log.action.toLowerCase() === action.toLowerCase()
+        );
+    }
 
-        const { title, description, date, time, capacity } = req.body;
+    if (level) {
+        filteredLogs = filteredLogs.filter(log => 
+            log.level && log.level.toLowerCase() === level.toLowerCase()
+        );
+    }
 
-        // Validate required fields
-        if (!title || !date || !time || !capacity) {
-            logEvent('warn', 'Missing required fields in event creation', {
-                userId: userId,
-                action: 'CREATE_EVENT_VALIDATION_ERROR'
-            });
+    // Sort logs by timestamp in descending order (newest first)
+    return filteredLogs.sort((a, b) => 
+        new Date(b.timestamp) - new Date(a.timestamp)
+    );
+};
+
+// Create event
+router.post('/', authenticateToken, requirePermission('events:create'), validateRequest(schemas.createEvent), async (req, res) => {
+    try {
+        const user = req.currentUser;
+        const userId = user.id;
+
+        const { title, date, time, status, publishAt, registrationOpensAt, registrationClosesAt } = req.body;
+
+        if (status === 'published' && publishAt) {
             return res.status(400).json({ 
-                error: 'Missing required fields',
-                required: ['title', 'date', 'time', 'capacity']
+                error: 'Validation failed',
+                details: [{ location: 'body', field: 'publishAt', message: 'publishAt can only be set for drafts' }]
             });
         }
 
-        const eventId = Date.now().toString();
+        const windowError = registrationWindowError(registrationOpensAt, registrationClosesAt);
+        if (windowError) {
+            return res.status(400).json(windowError);
+        }
 
-        const event = {
-            id: eventId,
-            title,
-            description: description || '',
-            date,
-            time,
-            capacity: parseInt(capacity),
-            createdBy: userId,
-            participants: new Set(),
-            createdAt: new Date().toISOString()
-        };
+        const speakerError = unknownSpeakerError(req.body.speakers);
+        if (speakerError) {
+            return res.status(400).json(speakerError);
+        }
 
         // Store event in database
-        db.events.set(eventId, event);
+        const event = createEvent(req.body, userId);
+        const eventId = event.id;
 
         // Log successful creation
         logEvent('info', 'Event created successfully', {
@@ -72,13 +160,29 @@ router.post('/', authenticateToken, (req, res) => {
             metadata: {
                 title,
                 date,
-                time
+                time,
+                status: event.status,
+                publishAt: event.publishAt
             }
         });
 
         // Update user's profile
         user.profile.eventsOrganized++;
-        db.users.set(user.email, user);
+        db.users.save(user);
+
+        // Drafts alert interested users once they are published
+        if (event.status === 'published') {
+            try {
+                await notifyInterestedUsers(event);
+            } catch (emailError) {
+                logEvent('warn', 'Failed to queue interest alerts', {
+                    userId,
+                    eventId,
+                    action: 'INTEREST_ALERTS_FAILED',
+                    error: emailError.message
+                });
+            }
+        }
 
         res.status(201).json({ 
             message: 'Event created successfully', 
@@ -88,7 +192,24 @@ router.post('/', authenticateToken, (req, res) => {
                 description: event.description,
                 date: event.date,
                 time: event.time,
+                timeZone: event.timeZone,
+                durationMinutes: event.durationMinutes,
+                startsAt: event.startsAt,
+                endsAt: event.endsAt,
                 capacity: event.capacity,
+                category: event.category,
+                tags: event.tags,
+                joinDetails: event.joinDetails,
+                reminderOffsetsMinutes: reminderOffsets(event),
+                status: event.status,
+                publishAt: event.publishAt,
+                registrationOpensAt: event.registrationOpensAt,
+                registrationClosesAt: event.registrationClosesAt,
+                registrationMode: event.registrationMode,
+                visibility: event.visibility,
+                inviteCode: event.inviteCode,
+                registrationQuestions: event.registrationQuestions,
+                speakers: eventSpeakers(event),
                 createdAt: event.createdAt
             }
         });
@@ -111,19 +232,12 @@ router.post('/', authenticateToken, (req, res) => {
 });
 
 // Update event
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('events:update'), validateRequest(schemas.updateEvent), async (req, res) => {
     try {
         const eventId = req.params.id;
-        const event = db.events.get(eventId);
-        const userId = req.user.id;
-        const user = Array.from(db.users.values()).find(u => u.id === userId);
-
-        // Check if user is an organizer
-        if (user.role !== 'organizer') {
-            return res.status(403).json({ 
-                error: 'Attendees cannot update events' 
-            });
-        }
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+        const userId = user.id;
 
         // Check if event exists
         if (!event) {
@@ -135,97 +249,28 @@ router.put('/:id', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Event not found' });
         }
 
-        // Check if user is the event creator
-        if (event.createdBy !== userId) {
+        // Check if user organizes the event (or is an admin)
+        if (!canManageEvent(user, event)) {
             logEvent('warn', 'Unauthorized event update attempt', {
                 userId,
                 eventId,
                 action: 'UPDATE_EVENT_UNAUTHORIZED'
             });
             return res.status(403).json({ 
-                error: 'Unauthorized: Only the event creator can update this event' 
+                error: 'Unauthorized: Only the event organizers can update this event' 
             });
         }
 
-        const { title, description, date, time, capacity } = req.body;
-
-        // Validate new capacity
-        if (capacity && capacity < event.participants.size) {
-            return res.status(400).json({ 
-                error: 'New capacity cannot be less than current number of participants',
-                currentParticipants: event.participants.size
-            });
-        }
-
-        // Update event with new values while preserving existing participants
-        const updatedEvent = {
-            ...event,
-            title: title || event.title,
-            description: description || event.description,
-            date: date || event.date,
-            time: time || event.time,
-            capacity: capacity || event.capacity,
-            updatedAt: new Date().toISOString()
-        };
-
-        // Track what was updated for logging
-        const updates = {
-            title: title !== event.title ? title : undefined,
-            description: description !== event.description ? description : undefined,
-            date: date !== event.date ? date : undefined,
-            time: time !== event.time ? time : undefined,
-            capacity: capacity !== event.capacity ? capacity : undefined
-        };
-
-        // Filter out undefined values
-        const changedFields = Object.entries(updates)
-            .filter(([_, value]) => value !== undefined)
-            .map(([key]) => key);
-
-        try {
-            // If date/time changed, attempt to notify participants
-            if (date !== event.date || time !== event.time) {
-                const participants = Array.from(event.participants);
-                const notifications = await Promise.all(
-                    participants.map(async (participantId) => {
-                        const participant = Array.from(db.users.values())
-                            .find(user => user.id === participantId);
-                        
-                        if (participant) {
-                            try {
-                                await sendEmail(
-                                    participant.email,
-                                    'Event Update Notification',
-                                    `The event "${updatedEvent.title}" has been updated.\n
-                                    New date: ${updatedEvent.date}\n
-                                    New time: ${updatedEvent.time}`
-                                );
-                            } catch (emailError) {
-                                // Log email failure but continue with update
-                                logEvent('warn', 'Failed to send update notification email', {
-                                    userId,
-                                    eventId,
-                                    participantId,
-                                    action: 'UPDATE_EVENT_EMAIL_FAILED',
-                                    error: emailError.message
-                                });
-                            }
-                        }
-                    })
-                );
-            }
-        } catch (notificationError) {
-            // Log notification failure but continue with update
-            logEvent('warn', 'Failed to process notifications', {
-                userId,
-                eventId,
-                action: 'UPDATE_EVENT_NOTIFICATIONS_FAILED',
-                error: notificationError.message
-            });
+        const updateError = eventUpdateError(event, req.body);
+        if (updateError) {
+            return res.status(updateError.status).json(updateError.body);
         }
 
-        // Update event in database
-        db.events.set(eventId, updatedEvent);
+        const {
+            event: updatedEvent,
+            changedFields,
+            promotedFromWaitlist
+        } = await updateEvent(event, req.body, userId);
 
         // Log successful update
         logEvent('info', 'Event updated successfully', {
@@ -238,10 +283,6 @@ router.put('/:id', authenticateToken, async (req, res) => {
             }
         });
 
-        // Update user's profile
-        user.profile.eventsAttended++;
-        db.users.set(user.email, user);
-
         res.json({
             message: 'Event updated successfully',
             event: {
@@ -250,11 +291,30 @@ router.put('/:id', authenticateToken, async (req, res) => {
                 description: updatedEvent.description,
                 date: updatedEvent.date,
                 time: updatedEvent.time,
+                timeZone: updatedEvent.timeZone,
+                durationMinutes: updatedEvent.durationMinutes,
+                startsAt: updatedEvent.startsAt,
+                endsAt: updatedEvent.endsAt,
                 capacity: updatedEvent.capacity,
                 participantCount: updatedEvent.participants.size,
+                waitlistCount: (updatedEvent.waitlist || []).length,
+                category: updatedEvent.category,
+                tags: updatedEvent.tags,
+                joinDetails: updatedEvent.joinDetails,
+                reminderOffsetsMinutes: reminderOffsets(updatedEvent),
+                status: eventStatus(updatedEvent),
+                registrationOpensAt: updatedEvent.registrationOpensAt || null,
+                registrationClosesAt: updatedEvent.registrationClosesAt || null,
+                registrationMode: updatedEvent.registrationMode,
+                visibility: updatedEvent.visibility,
+                inviteCode: updatedEvent.inviteCode || null,
+                registrationQuestions: updatedEvent.registrationQuestions,
+                speakers: eventSpeakers(updatedEvent),
+                coOrganizers: eventOrganizers(updatedEvent).coOrganizers,
                 updatedAt: updatedEvent.updatedAt
             },
-            updatedFields: changedFields
+            updatedFields: changedFields,
+            promotedFromWaitlist: promotedFromWaitlist.length
         });
 
     } catch (error) {
@@ -272,131 +332,239 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// Delete event
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Cancel event. The event and its registrations are kept for reporting;
+// everyone registered or waitlisted is notified.
+router.delete('/:id', authenticateToken, requirePermission('events:delete'), validateRequest(schemas.cancelEvent), async (req, res) => {
     try {
         const eventId = req.params.id;
-        const event = db.events.get(eventId);
-        const userId = req.user.id;
-        const user = Array.from(db.users.values()).find(u => u.id === userId);
-
-        if (user.role !== 'organizer') {
-            return res.status(403).json({ 
-                error: 'Attendees cannot delete events' 
-            });
-        }
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+        const { reason } = req.body;
 
         // Check if event exists
         if (!event) {
             return res.status(404).json({ error: 'Event not found' });
         }
 
-        // Check if user is the event creator
-        if (event.createdBy !== userId) {
+        // Co-organizers can edit the event but not cancel it
+        if (!isEventOwner(user, event)) {
             return res.status(403).json({ 
-                error: 'Unauthorized: Only the event creator can delete this event' 
+                error: 'Unauthorized: Only the event owner can cancel this event' 
             });
         }
 
-        // Get list of participants before deleting
-        const participants = Array.from(event.participants);
-
-        // Prepare cancellation notifications
-        const notifications = await Promise.all(
-            participants.map(async (participantId) => {
-                const participant = Array.from(db.users.values())
-                    .find(user => user.id === participantId);
-                
-                if (participant) {
-                    return {
-                        email: participant.email,
-                        subject: 'Event Cancellation Notice',
-                        text: `The event "${event.title}" scheduled for ${event.date} at ${event.time} has been cancelled.`
-                    };
-                }
-            }).filter(Boolean)
-        );
+        if (!canTransition(event, 'cancelled')) {
+            return res.status(409).json({ 
+                error: `Cannot cancel a ${eventStatus(event)} event`,
+                status: eventStatus(event)
+            });
+        }
 
-        // Delete event and clean up registrations
-        await Promise.all([
-            // Remove event from all participants' registered events
-            ...participants.map(participantId => {
-                const userEventSet = db.userEvents.get(participantId);
-                if (userEventSet) {
-                    return Promise.resolve(userEventSet.delete(eventId));
-                }
-                return Promise.resolve();
-            }),
-            // Send cancellation notifications
-            notifications.length > 0 ? sendBulkEmails(notifications) : Promise.resolve()
-        ]);
+        const participants = await cancelEvent(event, { actorId: user.id, reason });
 
-        // Delete event
-        db.events.delete(eventId);
+        logEvent('info', 'Event cancelled successfully', {
+            userId: user.id,
+            eventId,
+            action: 'CANCEL_EVENT',
+            metadata: {
+                reason: reason || null,
+                participantsNotified: participants.length
+            }
+        });
 
         res.json({
-            message: 'Event deleted successfully',
+            message: 'Event cancelled successfully',
             eventDetails: {
                 id: eventId,
                 title: event.title,
+                status: event.status,
+                cancelledAt: event.cancelledAt,
+                reason: reason || null,
                 participantsNotified: participants.length
             }
         });
 
     } catch (error) {
-        console.error('Error deleting event:', error);
-        res.status(500).json({ error: 'Error deleting event' });
+        console.error('Error cancelling event:', error);
+        res.status(500).json({ error: 'Error cancelling event' });
     }
 });
 
-// Register for event
-router.post('/:id/register', authenticateToken, async (req, res) => {
+// Publish a draft now, or schedule it for publication at publishAt
+router.post('/:id/publish', authenticateToken, requirePermission('events:update'), validateRequest(schemas.publishEvent), async (req, res) => {
     try {
         const eventId = req.params.id;
-        const event = db.events.get(eventId);
-        const userId = req.user.id;
-        const user = Array.from(db.users.values()).find(u => u.id === userId);
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+        const { publishAt } = req.body;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
 
-        // Check if user is an attendee
-        if (user.role !== 'attendee') {
+        if (!canManageEvent(user, event)) {
             return res.status(403).json({ 
-                error: 'Organizers cannot register for events' 
+                error: 'Unauthorized: Only the event organizers can publish this event' 
+            });
+        }
+
+        if (eventStatus(event) !== 'draft') {
+            return res.status(409).json({ 
+                error: 'Only drafts can be published',
+                status: eventStatus(event)
+            });
+        }
+
+        if (publishAt) {
+            event.publishAt = publishAt;
+            db.events.save(event);
+
+            logEvent('info', 'Event publication scheduled', {
+                userId: user.id,
+                eventId,
+                action: 'SCHEDULE_EVENT_PUBLICATION',
+                metadata: { publishAt }
+            });
+
+            return res.json({
+                message: 'Event publication scheduled',
+                eventId,
+                status: event.status,
+                publishAt
             });
         }
 
+        await publishEvent(event, { actorId: user.id });
+
+        res.json({
+            message: 'Event published successfully',
+            eventId,
+            status: event.status,
+            publishedAt: event.publishedAt
+        });
+    } catch (error) {
+        console.error('Error publishing event:', error);
+        res.status(500).json({ error: 'Error publishing event' });
+    }
+});
+
+// Keep a scheduled draft unpublished
+router.delete('/:id/publish', authenticateToken, requirePermission('events:update'), (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+
         if (!event) {
             return res.status(404).json({ error: 'Event not found' });
         }
 
-        if (event.participants.size >= event.capacity) {
-            return res.status(400).json({ error: 'Event is full' });
+        if (!canManageEvent(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can unschedule this event' 
+            });
         }
 
-        if (event.participants.has(userId)) {
-            return res.status(400).json({ error: 'Already registered for this event' });
+        if (eventStatus(event) !== 'draft' || !event.publishAt) {
+            return res.status(409).json({ error: 'Event is not scheduled for publication' });
+        }
+
+        event.publishAt = null;
+        db.events.save(event);
+
+        logEvent('info', 'Event publication unscheduled', {
+            userId: user.id,
+            eventId,
+            action: 'UNSCHEDULE_EVENT_PUBLICATION'
+        });
+
+        res.json({
+            message: 'Event publication unscheduled',
+            eventId,
+            status: event.status
+        });
+    } catch (error) {
+        console.error('Error unscheduling event publication:', error);
+        res.status(500).json({ error: 'Error unscheduling event publication' });
+    }
+});
+
+// Register for event
+router.post('/:id/register', authenticateToken, requirePermission('events:register'), requireVerifiedEmail, validateRequest(schemas.registerForEvent), async (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+        const { inviteCode, answers } = req.body;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        // Registering with a private event's invite code also grants access
+        if (inviteCode && !canAccessEvent(user, event) && redeemInviteCode(event, user, inviteCode)) {
+            logEvent('info', 'Event invite code redeemed', {
+                userId: user.id,
+                eventId,
+                action: 'REDEEM_INVITE_CODE'
+            });
+        }
+
+        if (!canViewEvent(user, event)) {
+            return res.status(404).json({ error: 'Event not found' });
         }
 
+        const result = await registerForEvent(event, user, answers);
 
-        // Add user to event participants
-        event.participants.add(userId);
+        if (result.status === 'closed') {
+            return res.status(400).json({ 
+                error: result.reason,
+                status: eventStatus(event)
+            });
+        }
 
-        // Initialize user's events set if it doesn't exist
-        if (!db.userEvents.has(userId)) {
-            db.userEvents.set(userId, new Set());
+        if (result.status === 'invalid') {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: result.errors
+            });
         }
 
-        // Add event to user's registered events
-        db.userEvents.get(userId).add(eventId);
+        if (result.status === 'already_registered') {
+            return res.status(400).json({ error: 'Already registered for this event' });
+        }
 
-        if (user) {
-            await sendEmail(
-                user.email,
-                'Event Registration Confirmation',
-                `You have successfully registered for "${event.title}"\n
-                 Date: ${event.date}\n
-                 Time: ${event.time}\n
-                 Location: Online`
-            );
+        if (result.status === 'already_pending') {
+            return res.status(400).json({ error: 'Registration request is already waiting for approval' });
+        }
+
+        if (result.status === 'pending') {
+            return res.status(202).json({ 
+                message: 'Registration request sent to the organizer for approval',
+                eventId: eventId,
+                status: 'pending'
+            });
+        }
+
+        if (result.status === 'already_waitlisted') {
+            return res.status(400).json({ 
+                error: 'Already on the waitlist for this event',
+                waitlistPosition: result.waitlistPosition
+            });
+        }
+
+        if (result.status === 'waitlisted') {
+            return res.status(202).json({ 
+                message: 'Event is full, added to waitlist',
+                eventId: eventId,
+                waitlistPosition: result.waitlistPosition,
+                event: {
+                    title: event.title,
+                    date: event.date,
+                    time: event.time,
+                    spotsRemaining: 0
+                }
+            });
         }
 
         res.json({ 
@@ -418,188 +586,1881 @@ router.post('/:id/register', authenticateToken, async (req, res) => {
     }
 });
 
-// Get all events
-router.get('/', authenticateToken, (req, res) => {
+// Download a single event as an iCalendar file
+router.get('/:id/calendar.ics', authenticateToken, (req, res) => {
     try {
-        // Convert Map values to array
-        const eventList = Array.from(db.events.values()).map(event => {
-            // Get creator's name
-            const creator = Array.from(db.users.values())
-                .find(user => user.id === event.createdBy);
+        const event = db.events.findById(req.params.id);
+        const user = db.users.findById(req.user.id);
 
-            // Check if current user is registered
-            const isUserRegistered = event.participants.has(req.user.id);
-            
-            // Calculate remaining spots
-            const spotsRemaining = event.capacity - event.participants.size;
+        if (!user) {
+            return res.status(401).json({ error: 'User not authenticated properly' });
+        }
 
-            return {
-                id: event.id,
-                title: event.title,
-                description: event.description,
-                date: event.date,
-                time: event.time,
-                capacity: event.capacity,
-                participantCount: event.participants.size,
-                spotsRemaining,
-                isUserRegistered,
-                createdBy: {
-                    id: creator?.id,
-                    name: creator?.name
-                },
-                isFull: event.participants.size >= event.capacity,
-                registrationStatus: isUserRegistered ? 'registered' : 
-                                  (event.participants.size >= event.capacity ? 'full' : 'open')
-            };
+        if (!event || !canViewEvent(user, event)) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const calendar = buildCalendar([{
+            event,
+            cancelled: eventStatus(event) === 'cancelled',
+            organizer: db.users.findById(event.createdBy)
+        }]);
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="event-${event.id}.ics"`);
+        res.send(calendar);
+    } catch (error) {
+        console.error('Error exporting event calendar:', error);
+        res.status(500).json({ error: 'Error exporting event calendar' });
+    }
+});
+
+// Checks shared by GET /:id/join and the emailed join link: confirmed
+// participants can join from shortly before the start until the event ends,
+// and its organizers at any time. Sends the error response and returns null
+// on failure, otherwise the join window.
+const checkCanJoin = (res, event, user) => {
+    const isOrganizer = canManageEvent(user, event);
+
+    if (!isOrganizer && !event.participants.has(user.id)) {
+        logEvent('warn', 'Join attempted by non-participant', {
+            userId: user.id,
+            eventId: event.id,
+            action: 'JOIN_EVENT_DENIED'
+        });
+        res.status(403).json({ error: 'Only registered participants can join this event' });
+        return null;
+    }
+
+    if (!isOrganizer && eventStatus(event) === 'cancelled') {
+        res.status(403).json({ error: 'This event has been cancelled' });
+        return null;
+    }
+
+    if (!event.joinDetails) {
+        res.status(404).json({ error: 'The organizer has not added join details yet' });
+        return null;
+    }
+
+    const { opensAt, closesAt } = joinWindow(event);
+    const now = new Date();
+
+    if (!isOrganizer && (now < opensAt || now > closesAt)) {
+        res.status(403).json({ 
+            error: now < opensAt ? 'Joining is not open yet' : 'This event has ended',
+            opensAt: opensAt.toISOString(),
+            closesAt: closesAt.toISOString()
         });
+        return null;
+    }
 
-        // Sort events by date
-        eventList.sort((a, b) => new Date(a.date) - new Date(b.date));
+    return { opensAt, closesAt };
+};
+
+const toJoinDetails = (event, { opensAt, closesAt }) => ({
+    eventId: event.id,
+    title: event.title,
+    startsAt: event.startsAt,
+    endsAt: event.endsAt,
+    joinDetails: event.joinDetails,
+    opensAt: opensAt.toISOString(),
+    closesAt: closesAt.toISOString()
+});
 
-        // Add optional filtering
-        const { date, query } = req.query;
-        let filteredEvents = eventList;
+// Meeting details for a confirmed participant, available from shortly before
+// the start until the event ends. The event's organizers can always see them.
+router.get('/:id/join', authenticateToken, (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const userId = req.user.id;
+        const user = db.users.findById(userId);
 
-        // Filter by date if provided
-        if (date) {
-            filteredEvents = filteredEvents.filter(event => event.date === date);
+        if (!user) {
+            return res.status(401).json({ error: 'User not authenticated properly' });
         }
 
-        // Filter by search query if provided
-        if (query) {
-            const searchQuery = query.toLowerCase();
-            filteredEvents = filteredEvents.filter(event => 
-                event.title.toLowerCase().includes(searchQuery) || 
-                event.description.toLowerCase().includes(searchQuery)
-            );
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
         }
 
-        res.json({
-            total: filteredEvents.length,
-            events: filteredEvents,
-            filters: {
-                date,
-                query
-            }
+        const window = checkCanJoin(res, event, user);
+        if (!window) {
+            return;
+        }
+
+        logEvent('info', 'Join details retrieved', {
+            userId,
+            eventId,
+            action: 'JOIN_EVENT'
         });
 
+        res.json(toJoinDetails(event, window));
     } catch (error) {
-        console.error('Error fetching events:', error);
-        res.status(500).json({ error: 'Error fetching events' });
+        console.error('Error fetching join details:', error);
+        res.status(500).json({ error: 'Error fetching join details' });
     }
 });
 
-// Get event logs
-router.get('/logs', authenticateToken, (req, res) => {
+// The personal link in registration and reminder emails. It is opened from
+// a mail client, so it is authenticated by its token rather than a header,
+// and sends the participant straight to the meeting when it has a URL.
+router.get('/:id/join-link', validateRequest(schemas.joinLink), (req, res) => {
     try {
-        const userId = req.user.id;
-        const user = Array.from(db.users.values()).find(u => u.id === userId);
+        const link = verifyJoinToken(req.query.token);
+        const user = link && db.users.findById(link.userId);
 
-        // Check if user is an organizer
-        if (user.role !== 'organizer') {
-            return res.status(403).json({ 
-                error: 'Attendees cannot get logs' 
-            });
-        }
-        
-        // Validate if user exists
-        if (!userId) {
-            logEvent('warn', 'Log request without valid user ID', {
-                action: 'FETCH_LOGS_ERROR'
+        if (!user || link.eventId !== req.params.id) {
+            logEvent('warn', 'Invalid join link used', {
+                eventId: req.params.id,
+                action: 'JOIN_EVENT_DENIED'
             });
-            return res.status(401).json({ error: 'User not authenticated' });
+            return res.status(403).json({ error: 'Invalid join link' });
         }
 
-        // Get logs from memory
-        const userLogs = inMemoryLogs.get(userId) || [];
-        
-        // Get query parameters for filtering
-        const { startDate, endDate, action, level } = req.query;
-        
-        let filteredLogs = [...userLogs]; // Create a copy of logs array
-
-        // Apply filters
-        if (startDate) {
-            const start = new Date(startDate);
-            if (isNaN(start.getTime())) {
-                return res.status(400).json({ error: 'Invalid start date format' });
-            }
-            filteredLogs = filteredLogs.filter(log => 
-                new Date(log.timestamp) >= start
-            );
+        const event = db.events.findById(link.eventId);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
         }
 
-        if (endDate) {
-            const end = new Date(endDate);
-            if (isNaN(end.getTime())) {
-                return res.status(400).json({ error: 'Invalid end date format' });
-            }
-            filteredLogs = filteredLogs.filter(log => 
-                new Date(log.timestamp) <= end
-            );
+        const window = checkCanJoin(res, event, user);
+        if (!window) {
+            return;
         }
 
-        if (action) {
-            filteredLogs = filteredLogs.filter(log => 
-                log.action && log.action.toLowerCase() === action.toLowerCase()
-            );
-        }
+        logEvent('info', 'Join details retrieved', {
+            userId: user.id,
+            eventId: event.id,
+            action: 'JOIN_EVENT',
+            metadata: { via: 'email_link' }
+        });
 
-        if (level) {
-            filteredLogs = filteredLogs.filter(log => 
-                log.level && log.level.toLowerCase() === level.toLowerCase()
-            );
+        if (event.joinDetails.url) {
+            return res.redirect(event.joinDetails.url);
         }
+        res.json(toJoinDetails(event, window));
+    } catch (error) {
+        console.error('Error opening join link:', error);
+        res.status(500).json({ error: 'Error opening join link' });
+    }
+});
 
-        // Sort logs by timestamp in descending order (newest first)
-        filteredLogs.sort((a, b) => 
-            new Date(b.timestamp) - new Date(a.timestamp)
-        );
+// The code organizers show during the event for participants to check in
+router.get('/:id/check-in-code', authenticateToken, (req, res) => {
+    try {
+        const event = db.events.findById(req.params.id);
 
-        logEvent('info', 'Logs retrieved successfully', {
-            userId,
-            action: 'FETCH_LOGS',
-            metadata: {
-                totalLogs: userLogs.length,
-                filteredLogs: filteredLogs.length,
-                filters: { startDate, endDate, action, level }
-            }
-        });
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
 
+        if (!canManageEvent(db.users.findById(req.user.id), event)) {
+            return res.status(403).json({ error: 'Only the event organizers can view the check-in code' });
+        }
+
+        const { opensAt, closesAt } = joinWindow(event);
         res.json({
-            total: filteredLogs.length,
-            filters: {
-                startDate: startDate || null,
-                endDate: endDate || null,
-                action: action || null,
-                level: level || null
-            },
-            logs: filteredLogs.map(log => ({
-                ...log,
-                timestamp: new Date(log.timestamp).toISOString()
-            }))
+            eventId: event.id,
+            code: eventCheckInCode(event),
+            validFrom: opensAt.toISOString(),
+            validUntil: closesAt.toISOString()
         });
-
     } catch (error) {
-        console.error('Error fetching logs:', error);
-        logEvent('error', 'Failed to fetch logs', {
-            userId: req.user?.id,
-            error: error.message,
-            action: 'FETCH_LOGS_ERROR'
-        });
-        res.status(500).json({ 
-            error: 'Error fetching logs',
-            details: error.message 
-        });
+        console.error('Error fetching check-in code:', error);
+        res.status(500).json({ error: 'Error fetching check-in code' });
     }
 });
 
-// Just to verify the auth middleware is working
-router.get('/test-auth', authenticateToken, (req, res) => {
-    res.json({
-        message: 'Auth working',
+// Check in to an event with the organizer's code. Checking in again after
+// checking out starts a new session.
+router.post('/:id/check-in', authenticateToken, validateRequest(schemas.checkIn), (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = db.users.findById(req.user.id);
+
+        if (!user) {
+            return res.status(401).json({ error: 'User not authenticated properly' });
+        }
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!event.participants.has(user.id)) {
+            return res.status(403).json({ error: 'Only registered participants can check in' });
+        }
+
+        if (eventStatus(event) === 'cancelled') {
+            return res.status(403).json({ error: 'This event has been cancelled' });
+        }
+
+        const { opensAt, closesAt } = joinWindow(event);
+        const now = new Date();
+        if (now < opensAt || now > closesAt) {
+            return res.status(403).json({ 
+                error: now < opensAt ? 'Check-in is not open yet' : 'This event has ended',
+                opensAt: opensAt.toISOString(),
+                closesAt: closesAt.toISOString()
+            });
+        }
+
+        if (!verifyEventCheckInCode(event, req.body.code)) {
+            logEvent('warn', 'Invalid check-in code submitted', {
+                userId: user.id,
+                eventId,
+                action: 'CHECK_IN_INVALID_CODE'
+            });
+            return res.status(400).json({ error: 'Invalid check-in code' });
+        }
+
+        const { record, firstCheckIn, alreadyPresent } = checkIn(event, user, { method: 'code' });
+
+        if (!alreadyPresent) {
+            logEvent('info', 'User checked in to event', {
+                userId: user.id,
+                eventId,
+                action: 'CHECK_IN',
+                metadata: { firstCheckIn }
+            });
+        }
+
+        res.json({
+            message: alreadyPresent ? 'Already checked in' : 'Checked in successfully',
+            eventId,
+            checkedInAt: record.checkedInAt,
+            sessions: record.sessions
+        });
+    } catch (error) {
+        console.error('Error checking in:', error);
+        res.status(500).json({ error: 'Error checking in' });
+    }
+});
+
+// Record that the current user left the event
+router.post('/:id/check-out', authenticateToken, (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const userId = req.user.id;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const record = checkOut(event, userId);
+        if (!record) {
+            return res.status(400).json({ error: 'Not checked in to this event' });
+        }
+
+        logEvent('info', 'User checked out of event', {
+            userId,
+            eventId,
+            action: 'CHECK_OUT'
+        });
+
+        res.json({
+            message: 'Checked out successfully',
+            eventId,
+            sessions: record.sessions
+        });
+    } catch (error) {
+        console.error('Error checking out:', error);
+        res.status(500).json({ error: 'Error checking out' });
+    }
+});
+
+// Registered vs. attended, no-show rate and per-attendee join/leave times
+router.get('/:id/attendance', authenticateToken, (req, res) => {
+    try {
+        const event = db.events.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(db.users.findById(req.user.id), event)) {
+            return res.status(403).json({ error: 'Only the event organizers can view attendance' });
+        }
+
+        res.json(attendanceReport(event));
+    } catch (error) {
+        console.error('Error building attendance report:', error);
+        res.status(500).json({ error: 'Error building attendance report' });
+    }
+});
+
+// Attendee roster with form answers, as JSON or CSV (?format=csv)
+router.get('/:id/attendees', authenticateToken, requirePermission('events:update'), validateRequest(schemas.exportAttendees), (req, res) => {
+    try {
+        const event = db.events.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(req.currentUser, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can export attendees' 
+            });
+        }
+
+        const roster = attendeeRoster(event);
+
+        logEvent('info', 'Attendee roster exported', {
+            userId: req.user.id,
+            eventId: event.id,
+            action: 'EXPORT_ATTENDEES',
+            metadata: { format: req.query.format, attendees: roster.length }
+        });
+
+        if (req.query.format === 'csv') {
+            const { columns, rows } = attendeeRosterCsv(event, roster);
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="event-${event.id}-attendees.csv"`);
+            return res.send(toCsv(rows, columns));
+        }
+
+        res.json({
+            eventId: event.id,
+            title: event.title,
+            questions: event.registrationQuestions || [],
+            total: roster.length,
+            attendees: roster
+        });
+    } catch (error) {
+        console.error('Error exporting attendees:', error);
+        res.status(500).json({ error: 'Error exporting attendees' });
+    }
+});
+
+// Cancel own registration (or leave the waitlist)
+router.delete('/:id/register', authenticateToken, async (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const userId = req.user.id;
+        const user = db.users.findById(userId);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        // Registrations of cancelled and completed events are kept as they were
+        if (eventStatus(event) === 'cancelled' || eventStatus(event) === 'completed') {
+            return res.status(400).json({ 
+                error: registrationClosedReason(event),
+                status: eventStatus(event)
+            });
+        }
+
+        // A pending request never held a seat either
+        if (db.registrations.removePending(eventId, userId)) {
+            logEvent('info', 'User withdrew registration request', {
+                userId,
+                eventId,
+                action: 'WITHDRAW_REGISTRATION_REQUEST'
+            });
+
+            return res.json({ 
+                message: 'Registration request withdrawn',
+                eventId: eventId
+            });
+        }
+
+        // Leaving the waitlist doesn't free a seat, so no promotion needed
+        if (db.registrations.removeFromWaitlist(eventId, userId)) {
+            logEvent('info', 'User left event waitlist', {
+                userId,
+                eventId,
+                action: 'LEAVE_WAITLIST'
+            });
+
+            return res.json({ 
+                message: 'Successfully removed from waitlist',
+                eventId: eventId
+            });
+        }
+
+        if (!event.participants.has(userId)) {
+            return res.status(400).json({ error: 'Not registered for this event' });
+        }
+
+        db.registrations.remove(eventId, userId);
+        bumpCalendarSequence(event);
+
+        logEvent('info', 'User cancelled event registration', {
+            userId,
+            eventId,
+            action: 'UNREGISTER_EVENT'
+        });
+
+        try {
+            await sendEmail(
+                user.email,
+                'registrationCancelled',
+                { title: event.title, when: describeEventTime(event, user) },
+                [eventInvite(event, { cancelled: true })]
+            );
+        } catch (emailError) {
+            logEvent('warn', 'Failed to send cancellation confirmation email', {
+                userId,
+                eventId,
+                action: 'UNREGISTER_EVENT_EMAIL_FAILED',
+                error: emailError.message
+            });
+        }
+
+        const promotedFromWaitlist = await promoteWaitlistedUsers(event);
+
+        res.json({ 
+            message: 'Successfully cancelled registration',
+            eventId: eventId,
+            event: {
+                title: event.title,
+                spotsRemaining: event.capacity - event.participants.size
+            },
+            promotedFromWaitlist: promotedFromWaitlist.length
+        });
+    } catch (error) {
+        console.error('Error cancelling registration:', error);
+        logEvent('error', 'Failed to cancel event registration', {
+            userId: req.user.id,
+            eventId: req.params.id,
+            error: error.message,
+            action: 'UNREGISTER_EVENT_ERROR'
+        });
+        res.status(500).json({ 
+            error: 'Error cancelling registration',
+            details: error.message 
+        });
+    }
+});
+
+// Turn reminder emails for one event on or off for the current participant
+router.put('/:id/reminders', authenticateToken, validateRequest(schemas.updateReminders), (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const userId = req.user.id;
+        const { enabled } = req.body;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!event.participants.has(userId) && !db.registrations.waitlistPosition(eventId, userId)) {
+            return res.status(400).json({ error: 'Not registered for this event' });
+        }
+
+        // Events stored before reminders existed have no opt-out set yet
+        event.reminderOptOuts = event.reminderOptOuts || new Set();
+        if (enabled) {
+            event.reminderOptOuts.delete(userId);
+        } else {
+            event.reminderOptOuts.add(userId);
+        }
+        db.events.save(event);
+
+        logEvent('info', 'Event reminder preference updated', {
+            userId,
+            eventId,
+            action: 'UPDATE_EVENT_REMINDERS',
+            metadata: { enabled }
+        });
+
+        res.json({
+            message: `Reminders ${enabled ? 'enabled' : 'disabled'} for this event`,
+            eventId,
+            remindersEnabled: enabled
+        });
+    } catch (error) {
+        console.error('Error updating reminder preference:', error);
+        res.status(500).json({ error: 'Error updating reminder preference' });
+    }
+});
+
+// Remove an attendee from an event (Creator only)
+router.delete('/:id/participants/:userId', authenticateToken, requirePermission('events:update'), validateRequest(schemas.removeParticipant), async (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+        const userId = user.id;
+        const participantId = req.params.userId;
+        const { reason } = req.body;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(user, event)) {
+            logEvent('warn', 'Unauthorized participant removal attempt', {
+                userId,
+                eventId,
+                action: 'REMOVE_PARTICIPANT_UNAUTHORIZED'
+            });
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can remove participants' 
+            });
+        }
+
+        if (!event.participants.has(participantId)) {
+            return res.status(404).json({ error: 'User is not registered for this event' });
+        }
+
+        db.registrations.remove(eventId, participantId, 'removed');
+        bumpCalendarSequence(event);
+
+        logEvent('info', 'Participant removed from event', {
+            userId,
+            eventId,
+            action: 'REMOVE_PARTICIPANT',
+            metadata: {
+                participantId,
+                reason: reason || null
+            }
+        });
+
+        const participant = db.users.findById(participantId);
+        if (participant) {
+            try {
+                await sendEmail(
+                    participant.email,
+                    'participantRemoved',
+                    { title: event.title, when: describeEventTime(event, participant), reason },
+                    [eventInvite(event, { cancelled: true })]
+                );
+            } catch (emailError) {
+                logEvent('warn', 'Failed to send participant removal email', {
+                    userId,
+                    eventId,
+                    participantId,
+                    action: 'REMOVE_PARTICIPANT_EMAIL_FAILED',
+                    error: emailError.message
+                });
+            }
+        }
+
+        const promotedFromWaitlist = await promoteWaitlistedUsers(event);
+
+        res.json({
+            message: 'Participant removed successfully',
+            eventId: eventId,
+            participantId,
+            reason: reason || null,
+            spotsRemaining: event.capacity - event.participants.size,
+            promotedFromWaitlist: promotedFromWaitlist.length
+        });
+    } catch (error) {
+        console.error('Error removing participant:', error);
+        logEvent('error', 'Failed to remove participant', {
+            userId: req.user.id,
+            eventId: req.params.id,
+            error: error.message,
+            action: 'REMOVE_PARTICIPANT_ERROR'
+        });
+        res.status(500).json({ 
+            error: 'Error removing participant',
+            details: error.message 
+        });
+    }
+});
+
+// Mark a registered participant as present
+router.post('/:id/participants/:userId/check-in', authenticateToken, requirePermission('events:update'), (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+        const participant = db.users.findById(req.params.userId);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can check in participants' 
+            });
+        }
+
+        if (!participant || !event.participants.has(participant.id)) {
+            return res.status(404).json({ error: 'User is not registered for this event' });
+        }
+
+        const { record, firstCheckIn, alreadyPresent } = checkIn(event, participant, {
+            method: 'organizer',
+            checkedInBy: user.id
+        });
+
+        if (!alreadyPresent) {
+            logEvent('info', 'Participant checked in by organizer', {
+                userId: user.id,
+                eventId,
+                action: 'CHECK_IN_PARTICIPANT',
+                metadata: { participantId: participant.id, firstCheckIn }
+            });
+        }
+
+        res.json({
+            message: alreadyPresent ? 'Participant is already checked in' : 'Participant checked in successfully',
+            eventId,
+            userId: participant.id,
+            checkedInAt: record.checkedInAt,
+            sessions: record.sessions
+        });
+    } catch (error) {
+        console.error('Error checking in participant:', error);
+        res.status(500).json({ error: 'Error checking in participant' });
+    }
+});
+
+// Registration requests waiting for approval, oldest first
+router.get('/:id/registrations/pending', authenticateToken, requirePermission('events:update'), (req, res) => {
+    try {
+        const event = db.events.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(req.currentUser, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can view registration requests' 
+            });
+        }
+
+        const requests = db.registrations.listPending(event.id).map(request => {
+            const requester = db.users.findById(request.userId);
+            return {
+                userId: request.userId,
+                name: requester?.name,
+                email: requester?.email,
+                requestedAt: request.requestedAt,
+                answers: db.registrations.getDetails(event.id, request.userId)?.answers || {}
+            };
+        });
+
+        res.json({
+            eventId: event.id,
+            registrationMode: event.registrationMode || 'open',
+            spotsRemaining: event.capacity - event.participants.size,
+            total: requests.length,
+            requests
+        });
+    } catch (error) {
+        console.error('Error fetching registration requests:', error);
+        res.status(500).json({ error: 'Error fetching registration requests' });
+    }
+});
+
+// Approve a registration request: a seat, or a waitlist spot when full
+router.post('/:id/registrations/:userId/approve', authenticateToken, requirePermission('events:update'), async (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+        const requester = db.users.findById(req.params.userId);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can approve registrations' 
+            });
+        }
+
+        if (!requester || !db.registrations.isPending(eventId, requester.id)) {
+            return res.status(404).json({ error: 'No pending registration request from this user' });
+        }
+
+        // Requests made before registration closed can still be approved
+        const closedReason = registrationClosedReason(event, { ignoreWindow: true });
+        if (closedReason) {
+            return res.status(400).json({ 
+                error: closedReason,
+                status: eventStatus(event)
+            });
+        }
+
+        const result = await approveRegistration(event, requester);
+
+        logEvent('info', 'Registration request approved', {
+            userId: user.id,
+            eventId,
+            action: 'APPROVE_REGISTRATION',
+            metadata: {
+                participantId: requester.id,
+                status: result.status
+            }
+        });
+
+        res.json({
+            message: result.status === 'waitlisted'
+                ? 'Registration approved, added to the waitlist because the event is full'
+                : 'Registration approved',
+            eventId,
+            userId: requester.id,
+            status: result.status,
+            waitlistPosition: result.waitlistPosition || null,
+            spotsRemaining: event.capacity - event.participants.size
+        });
+    } catch (error) {
+        console.error('Error approving registration:', error);
+        res.status(500).json({ 
+            error: 'Error approving registration',
+            details: error.message 
+        });
+    }
+});
+
+// Decline a registration request, with an optional reason
+router.post('/:id/registrations/:userId/reject', authenticateToken, requirePermission('events:update'), validateRequest(schemas.rejectRegistration), async (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+        const requester = db.users.findById(req.params.userId);
+        const { reason } = req.body;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can reject registrations' 
+            });
+        }
+
+        if (!requester || !db.registrations.isPending(eventId, requester.id)) {
+            return res.status(404).json({ error: 'No pending registration request from this user' });
+        }
+
+        await rejectRegistration(event, requester, reason);
+
+        logEvent('info', 'Registration request rejected', {
+            userId: user.id,
+            eventId,
+            action: 'REJECT_REGISTRATION',
+            metadata: {
+                participantId: requester.id,
+                reason: reason || null
+            }
+        });
+
+        res.json({
+            message: 'Registration rejected',
+            eventId,
+            userId: requester.id,
+            reason: reason || null
+        });
+    } catch (error) {
+        console.error('Error rejecting registration:', error);
+        res.status(500).json({ 
+            error: 'Error rejecting registration',
+            details: error.message 
+        });
+    }
+});
+
+// Invites of a private event and their progress, plus the invite code
+router.get('/:id/invites', authenticateToken, requirePermission('events:update'), (req, res) => {
+    try {
+        const event = db.events.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(req.currentUser, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can view invitations' 
+            });
+        }
+
+        const invites = (event.invites || []).map(invite => {
+            const invitee = db.users.findByEmail(invite.email);
+            return {
+                ...invite,
+                status: !invitee ? 'invited' :
+                    event.participants.has(invitee.id) ? 'registered' :
+                    db.registrations.waitlistPosition(event.id, invitee.id) ? 'waitlisted' :
+                    db.registrations.isPending(event.id, invitee.id) ? 'pending' : 'invited'
+            };
+        });
+
+        res.json({
+            eventId: event.id,
+            visibility: event.visibility || 'public',
+            inviteCode: event.inviteCode || null,
+            total: invites.length,
+            invites
+        });
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ error: 'Error fetching invitations' });
+    }
+});
+
+// Invite email addresses to a private event
+router.post('/:id/invites', authenticateToken, requirePermission('events:update'), validateRequest(schemas.inviteToEvent), async (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can invite people' 
+            });
+        }
+
+        if (event.visibility !== 'private') {
+            return res.status(409).json({ error: 'Invitations are only needed for private events' });
+        }
+
+        const invited = await inviteToEvent(event, req.body.emails, user.id);
+
+        logEvent('info', 'Users invited to event', {
+            userId: user.id,
+            eventId,
+            action: 'INVITE_TO_EVENT',
+            metadata: { invited: invited.length }
+        });
+
+        res.status(201).json({
+            message: 'Invitations sent',
+            eventId,
+            invited,
+            alreadyInvited: req.body.emails
+                .map(email => email.toLowerCase())
+                .filter(email => !invited.includes(email))
+        });
+    } catch (error) {
+        console.error('Error inviting to event:', error);
+        res.status(500).json({ 
+            error: 'Error inviting to event',
+            details: error.message 
+        });
+    }
+});
+
+// Withdraw an invitation. Existing registrations are kept
+router.delete('/:id/invites/:email', authenticateToken, requirePermission('events:update'), (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+        const email = req.params.email.toLowerCase();
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can withdraw invitations' 
+            });
+        }
+
+        if (!(event.invites || []).some(invite => invite.email === email)) {
+            return res.status(404).json({ error: 'This email has not been invited' });
+        }
+
+        event.invites = event.invites.filter(invite => invite.email !== email);
+        db.events.save(event);
+
+        logEvent('info', 'Event invitation withdrawn', {
+            userId: user.id,
+            eventId,
+            action: 'UNINVITE_FROM_EVENT'
+        });
+
+        res.json({
+            message: 'Invitation withdrawn',
+            eventId,
+            email
+        });
+    } catch (error) {
+        console.error('Error withdrawing invitation:', error);
+        res.status(500).json({ error: 'Error withdrawing invitation' });
+    }
+});
+
+// Replace the invite code. People who redeemed the old one keep access
+router.post('/:id/invite-code/reset', authenticateToken, requirePermission('events:update'), (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can reset the invite code' 
+            });
+        }
+
+        if (event.visibility !== 'private') {
+            return res.status(409).json({ error: 'Only private events have an invite code' });
+        }
+
+        event.inviteCode = newEventInviteCode();
+        db.events.save(event);
+
+        logEvent('info', 'Event invite code reset', {
+            userId: user.id,
+            eventId,
+            action: 'RESET_INVITE_CODE'
+        });
+
+        res.json({
+            message: 'Invite code reset successfully',
+            eventId,
+            inviteCode: event.inviteCode
+        });
+    } catch (error) {
+        console.error('Error resetting invite code:', error);
+        res.status(500).json({ error: 'Error resetting invite code' });
+    }
+});
+
+// The event's agenda in start order, optionally for one track. Each session
+// says whether it's in the viewer's schedule and which picks it overlaps.
+router.get('/:id/agenda', authenticateToken, validateRequest(schemas.listAgenda), (req, res) => {
+    try {
+        const event = db.events.findById(req.params.id);
+        const viewer = db.users.findById(req.user.id);
+        const { track, timeZone } = req.query;
+
+        if (!event || !canViewEvent(viewer, event)) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const agenda = sortedAgenda(event);
+        const sessions = agenda
+            .filter(session => !track || session.track === track)
+            .map(session => describeSession(event, session, viewer, timeZone || viewerTimeZone(viewer, event)));
+
+        res.json({
+            eventId: event.id,
+            title: event.title,
+            tracks: [...new Set(agenda.map(session => session.track).filter(Boolean))].sort(),
+            total: sessions.length,
+            sessions
+        });
+    } catch (error) {
+        console.error('Error fetching agenda:', error);
+        res.status(500).json({ error: 'Error fetching agenda' });
+    }
+});
+
+// Add an agenda session. It has to fit inside the event
+router.post('/:id/agenda', authenticateToken, requirePermission('events:update'), validateRequest(schemas.createAgendaSession), (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can change the agenda' 
+            });
+        }
+
+        const status = eventStatus(event);
+        if (status === 'cancelled' || status === 'completed') {
+            return res.status(409).json({ 
+                error: `Cannot change the agenda of a ${status} event`,
+                status
+            });
+        }
+
+        const speakerError = unknownSpeakerError(req.body.speakers);
+        if (speakerError) {
+            return res.status(400).json(speakerError);
+        }
+
+        const result = createSession(event, req.body);
+        if (result.error) {
+            return res.status(400).json({ 
+                error: result.error,
+                eventStartsAt: event.startsAt,
+                eventEndsAt: event.endsAt
+            });
+        }
+
+        logEvent('info', 'Agenda session created', {
+            userId: user.id,
+            eventId,
+            action: 'CREATE_AGENDA_SESSION',
+            metadata: { sessionId: result.session.id, title: result.session.title }
+        });
+
+        res.status(201).json({
+            message: 'Session added to the agenda',
+            session: describeSession(event, result.session, user, viewerTimeZone(user, event))
+        });
+    } catch (error) {
+        console.error('Error creating agenda session:', error);
+        res.status(500).json({ error: 'Error creating agenda session' });
+    }
+});
+
+// Update an agenda session
+router.put('/:id/agenda/:sessionId', authenticateToken, requirePermission('events:update'), validateRequest(schemas.updateAgendaSession), (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can change the agenda' 
+            });
+        }
+
+        const status = eventStatus(event);
+        if (status === 'cancelled' || status === 'completed') {
+            return res.status(409).json({ 
+                error: `Cannot change the agenda of a ${status} event`,
+                status
+            });
+        }
+
+        const session = findSession(event, req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const speakerError = unknownSpeakerError(req.body.speakers);
+        if (speakerError) {
+            return res.status(400).json(speakerError);
+        }
+
+        const result = updateSession(event, session, req.body);
+        if (result.error) {
+            return res.status(400).json({ 
+                error: result.error,
+                eventStartsAt: event.startsAt,
+                eventEndsAt: event.endsAt
+            });
+        }
+
+        logEvent('info', 'Agenda session updated', {
+            userId: user.id,
+            eventId,
+            action: 'UPDATE_AGENDA_SESSION',
+            metadata: { sessionId: session.id, updatedFields: Object.keys(req.body) }
+        });
+
+        res.json({
+            message: 'Session updated successfully',
+            session: describeSession(event, result.session, user, viewerTimeZone(user, event))
+        });
+    } catch (error) {
+        console.error('Error updating agenda session:', error);
+        res.status(500).json({ error: 'Error updating agenda session' });
+    }
+});
+
+// Remove an agenda session and take it off everyone's schedule
+router.delete('/:id/agenda/:sessionId', authenticateToken, requirePermission('events:update'), (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can change the agenda' 
+            });
+        }
+
+        const session = findSession(event, req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        removeSession(event, session.id);
+
+        logEvent('info', 'Agenda session removed', {
+            userId: user.id,
+            eventId,
+            action: 'DELETE_AGENDA_SESSION',
+            metadata: { sessionId: session.id, attendees: session.attendees.size }
+        });
+
+        res.json({
+            message: 'Session removed from the agenda',
+            sessionId: session.id
+        });
+    } catch (error) {
+        console.error('Error removing agenda session:', error);
+        res.status(500).json({ error: 'Error removing agenda session' });
+    }
+});
+
+// Meeting details for a session in the participant's schedule, from shortly
+// before it starts until it ends. Sessions without their own details use
+// the event's. The event's organizers can always see them.
+router.get('/:id/agenda/:sessionId/join', authenticateToken, (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const userId = req.user.id;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const session = findSession(event, req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const isOrganizer = canManageEvent(db.users.findById(userId), event);
+
+        if (!isOrganizer && !session.attendees.has(userId)) {
+            logEvent('warn', 'Session join attempted without a pick', {
+                userId,
+                eventId,
+                action: 'JOIN_AGENDA_SESSION_DENIED',
+                metadata: { sessionId: session.id }
+            });
+            return res.status(403).json({ error: 'Add this session to your schedule to join it' });
+        }
+
+        if (!isOrganizer && eventStatus(event) === 'cancelled') {
+            return res.status(403).json({ error: 'This event has been cancelled' });
+        }
+
+        const joinDetails = session.joinDetails || event.joinDetails;
+        if (!joinDetails) {
+            return res.status(404).json({ error: 'The organizer has not added join details yet' });
+        }
+
+        const { opensAt, closesAt } = joinWindow(session);
+        const now = new Date();
+
+        if (!isOrganizer && (now < opensAt || now > closesAt)) {
+            return res.status(403).json({ 
+                error: now < opensAt ? 'Joining is not open yet' : 'This session has ended',
+                opensAt: opensAt.toISOString(),
+                closesAt: closesAt.toISOString()
+            });
+        }
+
+        logEvent('info', 'Session join details retrieved', {
+            userId,
+            eventId,
+            action: 'JOIN_AGENDA_SESSION',
+            metadata: { sessionId: session.id }
+        });
+
+        res.json({
+            eventId,
+            sessionId: session.id,
+            title: session.title,
+            startsAt: session.startsAt,
+            endsAt: session.endsAt,
+            joinDetails,
+            opensAt: opensAt.toISOString(),
+            closesAt: closesAt.toISOString()
+        });
+    } catch (error) {
+        console.error('Error fetching session join details:', error);
+        res.status(500).json({ error: 'Error fetching session join details' });
+    }
+});
+
+// The current user's personal schedule for the event, in start order
+router.get('/:id/schedule', authenticateToken, validateRequest(schemas.listAgenda), (req, res) => {
+    try {
+        const event = db.events.findById(req.params.id);
+        const viewer = db.users.findById(req.user.id);
+
+        if (!event || !canViewEvent(viewer, event)) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const timeZone = req.query.timeZone || viewerTimeZone(viewer, event);
+        const sessions = sortedAgenda(event)
+            .filter(session => session.attendees.has(viewer.id))
+            .map(session => describeSession(event, session, viewer, timeZone));
+
+        res.json({
+            eventId: event.id,
+            title: event.title,
+            total: sessions.length,
+            hasConflicts: sessions.some(session => session.conflicts.length > 0),
+            sessions
+        });
+    } catch (error) {
+        console.error('Error fetching schedule:', error);
+        res.status(500).json({ error: 'Error fetching schedule' });
+    }
+});
+
+// Pick a session into the personal schedule. Overlaps with earlier picks are
+// allowed but reported as conflicts (registered participants)
+router.post('/:id/schedule', authenticateToken, validateRequest(schemas.addToSchedule), (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const userId = req.user.id;
+
+        if (!event || !canViewEvent(db.users.findById(userId), event)) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!event.participants.has(userId)) {
+            return res.status(403).json({ error: 'Register for the event before building a schedule' });
+        }
+
+        const status = eventStatus(event);
+        if (status === 'cancelled' || status === 'completed') {
+            return res.status(409).json({ 
+                error: `Cannot change your schedule for a ${status} event`,
+                status
+            });
+        }
+
+        const session = findSession(event, req.body.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (new Date(session.endsAt) <= new Date()) {
+            return res.status(400).json({ error: 'This session has ended' });
+        }
+
+        const result = addToSchedule(event, session, userId);
+
+        if (result.status === 'already_added') {
+            return res.status(400).json({ error: 'Session is already in your schedule' });
+        }
+
+        if (result.status === 'full') {
+            return res.status(409).json({ error: 'Session is full' });
+        }
+
+        logEvent('info', 'Session added to schedule', {
+            userId,
+            eventId,
+            action: 'ADD_TO_SCHEDULE',
+            metadata: { sessionId: session.id, conflicts: result.conflicts.length }
+        });
+
+        res.status(201).json({
+            message: result.conflicts.length > 0
+                ? 'Session added to your schedule, but it overlaps other sessions you picked'
+                : 'Session added to your schedule',
+            sessionId: session.id,
+            conflicts: result.conflicts.map(other => ({
+                id: other.id,
+                title: other.title,
+                startsAt: other.startsAt,
+                endsAt: other.endsAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error adding session to schedule:', error);
+        res.status(500).json({ error: 'Error adding session to schedule' });
+    }
+});
+
+router.delete('/:id/schedule/:sessionId', authenticateToken, (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const userId = req.user.id;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const session = findSession(event, req.params.sessionId);
+        if (!session || !removeFromSchedule(event, session, userId)) {
+            return res.status(404).json({ error: 'Session is not in your schedule' });
+        }
+
+        logEvent('info', 'Session removed from schedule', {
+            userId,
+            eventId,
+            action: 'REMOVE_FROM_SCHEDULE',
+            metadata: { sessionId: session.id }
+        });
+
+        res.json({
+            message: 'Session removed from your schedule',
+            sessionId: session.id
+        });
+    } catch (error) {
+        console.error('Error removing session from schedule:', error);
+        res.status(500).json({ error: 'Error removing session from schedule' });
+    }
+});
+
+// Get the owner and co-organizers
+router.get('/:id/organizers', authenticateToken, requirePermission('events:update'), (req, res) => {
+    try {
+        const event = db.events.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(req.currentUser, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can view organizers' 
+            });
+        }
+
+        res.json({
+            eventId: event.id,
+            ...eventOrganizers(event),
+            ownershipHistory: event.ownershipHistory || []
+        });
+    } catch (error) {
+        console.error('Error fetching organizers:', error);
+        res.status(500).json({ error: 'Error fetching organizers' });
+    }
+});
+
+// Add a co-organizer by email
+router.post('/:id/organizers', authenticateToken, requirePermission('events:update'), validateRequest(schemas.addCoOrganizer), async (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!isEventOwner(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event owner can add co-organizers' 
+            });
+        }
+
+        const coOrganizer = db.users.findByEmail(req.body.email);
+        if (!coOrganizer) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!hasPermission(coOrganizer, 'events:update')) {
+            return res.status(400).json({ error: 'Co-organizers need an organizer account' });
+        }
+
+        if (!await addCoOrganizer(event, coOrganizer, user.id)) {
+            return res.status(409).json({ error: 'User already organizes this event' });
+        }
+
+        logEvent('info', 'Co-organizer added to event', {
+            userId: user.id,
+            eventId,
+            action: 'ADD_CO_ORGANIZER',
+            metadata: { coOrganizerId: coOrganizer.id }
+        });
+
+        res.status(201).json({
+            message: 'Co-organizer added successfully',
+            eventId,
+            coOrganizers: eventOrganizers(event).coOrganizers
+        });
+    } catch (error) {
+        console.error('Error adding co-organizer:', error);
+        res.status(500).json({ error: 'Error adding co-organizer' });
+    }
+});
+
+// Remove a co-organizer, or step down as one
+router.delete('/:id/organizers/:userId', authenticateToken, (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = db.users.findById(req.user.id);
+        const coOrganizerId = req.params.userId;
+
+        if (!user) {
+            return res.status(401).json({ error: 'User not authenticated properly' });
+        }
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!isEventOwner(user, event) && coOrganizerId !== user.id) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event owner can remove co-organizers' 
+            });
+        }
+
+        if (!removeCoOrganizer(event, coOrganizerId)) {
+            return res.status(404).json({ error: 'User is not a co-organizer of this event' });
+        }
+
+        logEvent('info', 'Co-organizer removed from event', {
+            userId: user.id,
+            eventId,
+            action: 'REMOVE_CO_ORGANIZER',
+            metadata: { coOrganizerId }
+        });
+
+        res.json({
+            message: 'Co-organizer removed successfully',
+            eventId,
+            coOrganizers: eventOrganizers(event).coOrganizers
+        });
+    } catch (error) {
+        console.error('Error removing co-organizer:', error);
+        res.status(500).json({ error: 'Error removing co-organizer' });
+    }
+});
+
+// Hand the event over to another organizer by email
+router.post('/:id/transfer-ownership', authenticateToken, requirePermission('events:update'), validateRequest(schemas.transferOwnership), async (req, res) => {
+    try {
+        const eventId = req.params.id;
+        const event = db.events.findById(eventId);
+        const user = req.currentUser;
+        const { email, keepPreviousOwner } = req.body;
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!isEventOwner(user, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event owner can transfer this event' 
+            });
+        }
+
+        const newOwner = db.users.findByEmail(email);
+        if (!newOwner) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!hasPermission(newOwner, 'events:update')) {
+            return res.status(400).json({ error: 'Events can only be transferred to an organizer account' });
+        }
+
+        if (newOwner.id === event.createdBy) {
+            return res.status(400).json({ error: 'User already owns this event' });
+        }
+
+        const previousOwnerId = event.createdBy;
+        await transferOwnership(event, newOwner, user.id, { keepPreviousOwner });
+
+        logEvent('info', 'Event ownership transferred', {
+            userId: user.id,
+            eventId,
+            action: 'TRANSFER_EVENT_OWNERSHIP',
+            metadata: { from: previousOwnerId, to: newOwner.id, keepPreviousOwner }
+        });
+
+        res.json({
+            message: 'Event ownership transferred successfully',
+            eventId,
+            ...eventOrganizers(event)
+        });
+    } catch (error) {
+        console.error('Error transferring event ownership:', error);
+        res.status(500).json({ error: 'Error transferring event ownership' });
+    }
+});
+
+// Get logs about this event, filtered like GET /events/logs
+router.get('/:id/logs', authenticateToken, requirePermission('logs:read'), validateRequest(schemas.listLogs), (req, res) => {
+    try {
+        const event = db.events.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (!canManageEvent(req.currentUser, event)) {
+            return res.status(403).json({ 
+                error: 'Unauthorized: Only the event organizers can view its logs' 
+            });
+        }
+
+        const eventLogs = [...inMemoryLogs.values()]
+            .flat()
+            .filter(log => log.eventId === event.id);
+        const filteredLogs = filterLogs(eventLogs, req.query);
+
+        logEvent('info', 'Event logs retrieved successfully', {
+            userId: req.user.id,
+            eventId: event.id,
+            action: 'FETCH_EVENT_LOGS',
+            metadata: { filteredLogs: filteredLogs.length }
+        });
+
+        res.json({
+            eventId: event.id,
+            total: filteredLogs.length,
+            logs: filteredLogs.map(log => ({
+                ...log,
+                timestamp: new Date(log.timestamp).toISOString()
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching event logs:', error);
+        res.status(500).json({ error: 'Error fetching event logs' });
+    }
+});
+
+// Unlock a private event with its invite code, so it shows up in listings
+// and can be registered for
+router.post('/invites/redeem', authenticateToken, validateRequest(schemas.redeemInvite), (req, res) => {
+    try {
+        const user = db.users.findById(req.user.id);
+        const { code } = req.body;
+
+        const event = db.events.list()
+            .find(candidate => candidate.visibility === 'private' &&
+                eventStatus(candidate) !== 'draft' &&
+                verifyEventInviteCode(candidate, code));
+
+        if (!event) {
+            logEvent('warn', 'Invalid invite code submitted', {
+                userId: user.id,
+                action: 'REDEEM_INVITE_CODE_INVALID'
+            });
+            return res.status(404).json({ error: 'Invalid invite code' });
+        }
+
+        redeemInviteCode(event, user, code);
+
+        logEvent('info', 'Event invite code redeemed', {
+            userId: user.id,
+            eventId: event.id,
+            action: 'REDEEM_INVITE_CODE'
+        });
+
+        res.json({
+            message: 'Invite code accepted',
+            event: {
+                id: event.id,
+                title: event.title,
+                startsAt: event.startsAt,
+                endsAt: event.endsAt,
+                status: eventStatus(event),
+                registrationMode: event.registrationMode || 'open'
+            }
+        });
+    } catch (error) {
+        console.error('Error redeeming invite code:', error);
+        res.status(500).json({ error: 'Error redeeming invite code' });
+    }
+});
+
+// Short-lived ticket for opening a stream from a browser's EventSource,
+// which can't send the Authorization header: GET /events/stream?ticket=
+router.post('/stream/ticket', authenticateToken, (req, res) => {
+    try {
+        res.status(201).json({
+            ticket: signStreamTicket(req.user),
+            expiresIn: REALTIME_TICKET_TTL_SECONDS
+        });
+    } catch (error) {
+        console.error('Error issuing stream ticket:', error);
+        res.status(500).json({ error: 'Error issuing stream ticket' });
+    }
+});
+
+// Server-Sent Events stream of seat counts, updates and status changes for
+// the events the user follows (registered, waitlisted, pending, organizing
+// or listed in ?events=), plus registration activity for organizers
+router.get('/stream', authenticateStream, validateRequest(schemas.streamEvents), (req, res) => {
+    try {
+        const user = db.users.findById(req.user.id);
+
+        if (!user) {
+            return res.status(401).json({ error: 'User not authenticated properly' });
+        }
+
+        if (streamCount(user.id) >= REALTIME_MAX_STREAMS_PER_USER) {
+            return res.status(429).json({ 
+                error: `At most ${REALTIME_MAX_STREAMS_PER_USER} streams can be open at once`
+            });
+        }
+
+        // Events the user can't see are silently left out
+        const followed = [...new Set((req.query.events || '').split(',').filter(Boolean))]
+            .slice(0, 100)
+            .filter(eventId => {
+                const event = db.events.findById(eventId);
+                return event && canViewEvent(user, event);
+            });
+
+        openStream(req, res, user, followed);
+
+        logEvent('info', 'Real-time stream opened', {
+            userId: user.id,
+            action: 'OPEN_EVENT_STREAM',
+            metadata: { followed: followed.length }
+        });
+    } catch (error) {
+        console.error('Error opening event stream:', error);
+        res.status(500).json({ error: 'Error opening event stream' });
+    }
+});
+
+// Upcoming events with free seats, ranked by the viewer's interests and
+// past registrations
+router.get('/recommended', authenticateToken, validateRequest(schemas.recommendedEvents), (req, res) => {
+    try {
+        const viewer = db.users.findById(req.user.id);
+        const { limit, timeZone } = req.query;
+
+        if (!viewer) {
+            return res.status(401).json({ error: 'User not authenticated properly' });
+        }
+
+        const recommendations = recommendEvents(viewer, { limit }).map(({ event, score, reasons }) => {
+            const creator = db.users.findById(event.createdBy);
+            return {
+                id: event.id,
+                title: event.title,
+                description: event.description,
+                category: event.category || null,
+                tags: event.tags || [],
+                startsAt: event.startsAt,
+                endsAt: event.endsAt,
+                local: localSchedule(event, timeZone || viewerTimeZone(viewer, event)),
+                spotsRemaining: event.capacity - event.participants.size,
+                createdBy: {
+                    id: creator?.id,
+                    name: creator?.name
+                },
+                speakers: eventSpeakers(event),
+                score,
+                reasons
+            };
+        });
+
+        res.json({
+            total: recommendations.length,
+            interests: viewer.profile.interests,
+            events: recommendations
+        });
+    } catch (error) {
+        console.error('Error fetching recommendations:', error);
+        res.status(500).json({ error: 'Error fetching recommendations' });
+    }
+});
+
+// An event as listed and shown on its own, from the viewer's point of view.
+// Times are also given in `timeZone`, or the viewer's preferred zone.
+const toEventSummary = (event, viewer, timeZone) => {
+    const creator = db.users.findById(event.createdBy);
+
+    // Check if current user is registered or waitlisted
+    const isUserRegistered = event.participants.has(viewer.id);
+    const waitlistPosition = db.registrations.waitlistPosition(event.id, viewer.id);
+
+    // Calculate remaining spots
+    const spotsRemaining = event.capacity - event.participants.size;
+
+    return {
+        id: event.id,
+        title: event.title,
+        description: event.description,
+        date: event.date,
+        time: event.time,
+        timeZone: event.timeZone,
+        durationMinutes: event.durationMinutes,
+        startsAt: eventStart(event).toISOString(),
+        endsAt: event.endsAt,
+        // Start/end in the requested or the viewer's preferred time zone
+        local: localSchedule(event, timeZone || viewerTimeZone(viewer, event)),
+        capacity: event.capacity,
+        category: event.category || null,
+        tags: event.tags || [],
+        seriesId: event.seriesId || null,
+        participantCount: event.participants.size,
+        spotsRemaining,
+        waitlistCount: (event.waitlist || []).length,
+        isUserRegistered,
+        waitlistPosition: waitlistPosition || null,
+        createdBy: {
+            id: creator?.id,
+            name: creator?.name
+        },
+        coOrganizers: eventOrganizers(event).coOrganizers.map(({ id, name }) => ({ id, name })),
+        speakers: eventSpeakers(event),
+        sessionCount: (event.agenda || []).length,
+        status: eventStatus(event),
+        publishAt: event.publishAt || null,
+        registrationOpensAt: event.registrationOpensAt || null,
+        registrationClosesAt: event.registrationClosesAt || null,
+        registrationMode: event.registrationMode || 'open',
+        visibility: event.visibility || 'public',
+        registrationQuestions: event.registrationQuestions || [],
+        createdAt: event.createdAt,
+        isFull: event.participants.size >= event.capacity,
+        registrationStatus: isUserRegistered ? 'registered' : 
+                          waitlistPosition ? 'waitlisted' :
+                          db.registrations.isPending(event.id, viewer.id) ? 'pending' :
+                          registrationClosedReason(event) ? 'closed' :
+                          (event.participants.size >= event.capacity ? 'full' : 'open')
+    };
+};
+
+// List events with filters, sorting and cursor pagination
+router.get('/', authenticateToken, validateRequest(schemas.listEvents), (req, res) => {
+    try {
+        const viewer = db.users.findById(req.user.id);
+        const { order, limit, cursor, ...filters } = req.query;
+        const sort = req.query.sort || (filters.query ? 'relevance' : 'date');
+
+        const decodedCursor = cursor && decodeCursor(cursor);
+        if (decodedCursor && (decodedCursor.sort !== sort || decodedCursor.order !== order)) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [{ location: 'query', field: 'cursor', message: 'cursor belongs to a different sort or order' }]
+            });
+        }
+
+        const page = listEvents(viewer, { ...filters, sort, order, limit, cursor: decodedCursor });
+
+        // Only the events on this page are shaped for the response
+        const events = page.events.map(event => ({
+            ...toEventSummary(event, viewer, filters.timeZone),
+            // Search score and <mark>-highlighted matches when ?query= is set
+            ...(page.matches && {
+                score: Number(page.matches.get(event.id).score.toFixed(4)),
+                highlights: highlightEvent(event, page.matches.get(event.id).terms)
+            })
+        }));
+
+        res.json({
+            total: page.total,
+            events,
+            pagination: {
+                limit,
+                sort,
+                order,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            },
+            filters
+        });
+
+    } catch (error) {
+        console.error('Error fetching events:', error);
+        res.status(500).json({ error: 'Error fetching events' });
+    }
+});
+
+// Get event logs
+router.get('/logs', authenticateToken, requirePermission('logs:read'), validateRequest(schemas.listLogs), (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        // Get logs from memory
+        const userLogs = inMemoryLogs.get(userId) || [];
+        
+        // Get query parameters for filtering
+        const { startDate, endDate, action, level } = req.query;
+        
+        const filteredLogs = filterLogs(userLogs, req.query);
+
+        logEvent('info', 'Logs retrieved successfully', {
+            userId,
+            action: 'FETCH_LOGS',
+            metadata: {
+                totalLogs: userLogs.length,
+                filteredLogs: filteredLogs.length,
+                filters: { startDate, endDate, action, level }
+            }
+        });
+
+        res.json({
+            total: filteredLogs.length,
+            filters: {
+                startDate: startDate || null,
+                endDate: endDate || null,
+                action: action || null,
+                level: level || null
+            },
+            logs: filteredLogs.map(log => ({
+                ...log,
+                timestamp: new Date(log.timestamp).toISOString()
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error fetching logs:', error);
+        logEvent('error', 'Failed to fetch logs', {
+            userId: req.user?.id,
+            error: error.message,
+            action: 'FETCH_LOGS_ERROR'
+        });
+        res.status(500).json({ 
+            error: 'Error fetching logs',
+            details: error.message 
+        });
+    }
+});
+
+// Just to verify the auth middleware is working
+router.get('/test-auth', authenticateToken, (req, res) => {
+    res.json({
+        message: 'Auth working',
         user: req.user
     });
 });
 
+// Event details, including speakers and organizers. Drafts and private
+// events the viewer can't see are reported as not found.
+router.get('/:id', authenticateToken, validateRequest(schemas.getEvent), (req, res) => {
+    try {
+        const event = db.events.findById(req.params.id);
+        const viewer = db.users.findById(req.user.id);
+
+        if (!event || !canViewEvent(viewer, event)) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const { owner, coOrganizers } = eventOrganizers(event);
+        res.json({
+            event: {
+                ...toEventSummary(event, viewer, req.query.timeZone),
+                organizers: [owner, ...coOrganizers].map(({ id, name }) => ({ id, name }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching event:', error);
+        res.status(500).json({ error: 'Error fetching event' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,547 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const schemas = require('../schemas/series.schemas');
+const db = require('../db');
+const { logEvent } = require('../config/logger');
+const { sendEmail } = require('../utils/email');
+const { generateId } = require('../utils/ids');
+const { expandRecurrence } = require('../utils/recurrence');
+const { eventStart, describeEventTime } = require('../utils/time');
+const { calendarAttachment } = require('../utils/ical');
+const {
+    canManageEvent,
+    canViewEvent,
+    promoteWaitlistedUsers,
+    createEvent,
+    normalizeTags,
+    eventUpdateError,
+    updateEvent,
+    cancelEvent,
+    registerForEvent,
+    bumpCalendarSequence
+} = require('../services/eventService');
+const { reminderOffsets } = require('../services/reminderService');
+const { notifyInterestedUsers } = require('../services/recommendationService');
+const { eventStatus, canTransition } = require('../utils/eventStatus');
+
+// registerForEvent outcomes that count as signing up for an occurrence
+const SERIES_REGISTERED_STATUSES = ['registered', 'waitlisted', 'pending'];
+
+const SERIES_SKIP_REASONS = {
+    invalid: 'Registration answers are invalid',
+    already_registered: 'Already registered for this occurrence',
+    already_waitlisted: 'Already on the waitlist for this occurrence',
+    already_pending: 'Registration request is already waiting for approval'
+};
+
+// Occurrences of a series that still exist, in date order
+const seriesEvents = (series) => series.eventIds
+    .map(eventId => db.events.findById(eventId))
+    .filter(Boolean)
+    .sort((a, b) => a.seriesDate.localeCompare(b.seriesDate));
+
+// The occurrence itself, plus every later one when scope is 'following'
+const eventsInScope = (series, event, scope) => scope === 'following'
+    ? seriesEvents(series).filter(occurrence => occurrence.seriesDate >= event.seriesDate)
+    : [event];
+
+// Occurrences the user may see: drafts only for organizers, private events
+// only for people with access
+const visibleSeriesEvents = (series, user) =>
+    seriesEvents(series).filter(event => canViewEvent(user, event));
+
+const toSeriesSummary = (series, user) => ({
+    id: series.id,
+    title: series.title,
+    description: series.description,
+    time: series.time,
+    timeZone: series.timeZone,
+    durationMinutes: series.durationMinutes,
+    capacity: series.capacity,
+    category: series.category || null,
+    tags: series.tags || [],
+    reminderOffsetsMinutes: reminderOffsets(series),
+    recurrence: series.recurrence,
+    createdBy: series.createdBy,
+    createdAt: series.createdAt,
+    updatedAt: series.updatedAt,
+    occurrences: visibleSeriesEvents(series, user).map(event => ({
+        id: event.id,
+        title: event.title,
+        date: event.date,
+        time: event.time,
+        startsAt: event.startsAt,
+        capacity: event.capacity,
+        spotsRemaining: event.capacity - event.participants.size,
+        status: eventStatus(event),
+        isUserRegistered: event.participants.has(user.id)
+    }))
+});
+
+// Load the series (and optionally one of its occurrences) and check that the
+// current user may manage it. Sends the error response and returns null on failure.
+const loadManagedSeries = (req, res) => {
+    const series = db.series.findById(req.params.id);
+    if (!series) {
+        res.status(404).json({ error: 'Series not found' });
+        return null;
+    }
+
+    if (!canManageEvent(req.currentUser, series)) {
+        logEvent('warn', 'Unauthorized series management attempt', {
+            userId: req.user.id,
+            action: 'MANAGE_SERIES_UNAUTHORIZED',
+            metadata: { seriesId: series.id }
+        });
+        res.status(403).json({ 
+            error: 'Unauthorized: Only the series creator can manage this series' 
+        });
+        return null;
+    }
+
+    if (req.params.eventId) {
+        const event = db.events.findById(req.params.eventId);
+        if (!event || event.seriesId !== series.id) {
+            res.status(404).json({ error: 'Occurrence not found in this series' });
+            return null;
+        }
+        return { series, event };
+    }
+
+    return { series };
+};
+
+// Create a recurring series and expand it into event instances
+router.post('/', authenticateToken, requirePermission('events:create'), validateRequest(schemas.createSeries), async (req, res) => {
+    try {
+        const user = req.currentUser;
+        const userId = user.id;
+        const { title, description, startDate, time, timeZone, durationMinutes, capacity, category, tags, joinDetails, reminderOffsetsMinutes, recurrence } = req.body;
+
+        if (recurrence.until && recurrence.until < startDate) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [{ location: 'body', field: 'recurrence.until', message: 'recurrence.until must not be before startDate' }]
+            });
+        }
+
+        const dates = expandRecurrence(startDate, recurrence);
+        if (dates.length === 0) {
+            return res.status(400).json({ error: 'Recurrence rule does not produce any occurrences' });
+        }
+
+        const series = {
+            id: generateId(),
+            title,
+            description: description || '',
+            startDate,
+            time,
+            timeZone,
+            durationMinutes,
+            capacity,
+            category: category || null,
+            tags: normalizeTags(tags || []),
+            joinDetails: joinDetails || null,
+            reminderOffsetsMinutes: reminderOffsetsMinutes || null,
+            recurrence,
+            createdBy: userId,
+            eventIds: [],
+            createdAt: new Date().toISOString()
+        };
+
+        series.eventIds = dates.map(date => createEvent(
+            { title, description, date, time, timeZone, durationMinutes, capacity, category, tags, joinDetails, reminderOffsetsMinutes },
+            userId,
+            { seriesId: series.id, seriesDate: date }
+        ).id);
+
+        db.series.create(series);
+
+        logEvent('info', 'Event series created successfully', {
+            userId,
+            action: 'CREATE_SERIES',
+            metadata: {
+                seriesId: series.id,
+                title,
+                occurrences: dates.length
+            }
+        });
+
+        user.profile.eventsOrganized += dates.length;
+        db.users.save(user);
+
+        // One alert for the whole series, about its first occurrence
+        try {
+            await notifyInterestedUsers(db.events.findById(series.eventIds[0]));
+        } catch (emailError) {
+            logEvent('warn', 'Failed to queue interest alerts', {
+                userId,
+                action: 'INTEREST_ALERTS_FAILED',
+                error: emailError.message
+            });
+        }
+
+        res.status(201).json({
+            message: 'Event series created successfully',
+            series: toSeriesSummary(series, user)
+        });
+    } catch (error) {
+        console.error('Create series error:', error);
+        logEvent('error', 'Failed to create event series', {
+            userId: req.user?.id || 'unknown',
+            error: error.message,
+            action: 'CREATE_SERIES_ERROR'
+        });
+        res.status(500).json({ 
+            error: 'Error creating event series',
+            message: error.message 
+        });
+    }
+});
+
+// Get a series and its occurrences
+router.get('/:id', authenticateToken, (req, res) => {
+    try {
+        const series = db.series.findById(req.params.id);
+        const viewer = db.users.findById(req.user.id);
+
+        // A series with nothing the user can see doesn't exist for them
+        if (!series || visibleSeriesEvents(series, viewer).length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        res.json({ series: toSeriesSummary(series, viewer) });
+    } catch (error) {
+        console.error('Error fetching series:', error);
+        res.status(500).json({ error: 'Error fetching series' });
+    }
+});
+
+// Edit one occurrence, or it and every following occurrence
+router.put('/:id/events/:eventId', authenticateToken, requirePermission('events:update'), validateRequest(schemas.updateOccurrence), async (req, res) => {
+    try {
+        const loaded = loadManagedSeries(req, res);
+        if (!loaded) {
+            return;
+        }
+
+        const { series, event } = loaded;
+        const userId = req.user.id;
+        const { scope, ...changes } = req.body;
+
+        // Moving "this and following" to other dates would need a new rule,
+        // so only single occurrences can be rescheduled
+        if (scope === 'following' && changes.date) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [{ location: 'body', field: 'date', message: 'date can only be changed for a single occurrence (scope "this")' }]
+            });
+        }
+
+        const targets = eventsInScope(series, event, scope);
+
+        // Every occurrence has to pass the checks of PUT /events/:id
+        for (const target of targets) {
+            const updateError = eventUpdateError(target, changes);
+            if (updateError) {
+                return res.status(updateError.status).json({ ...updateError.body, eventId: target.id });
+            }
+        }
+
+        const results = [];
+        for (const target of targets) {
+            results.push(await updateEvent(target, changes, userId));
+        }
+
+        // Later occurrences follow the new defaults too
+        if (scope === 'following') {
+            ['title', 'description', 'time', 'timeZone', 'durationMinutes', 'capacity', 'category', 'tags', 'joinDetails', 'reminderOffsetsMinutes'].forEach(field => {
+                if (changes[field] !== undefined) {
+                    series[field] = changes[field];
+                }
+            });
+            series.updatedAt = new Date().toISOString();
+            db.series.save(series);
+        }
+
+        logEvent('info', 'Series occurrences updated successfully', {
+            userId,
+            eventId: event.id,
+            action: 'UPDATE_SERIES_OCCURRENCES',
+            metadata: {
+                seriesId: series.id,
+                scope,
+                updatedEvents: results.map(result => result.event.id)
+            }
+        });
+
+        res.json({
+            message: 'Series updated successfully',
+            scope,
+            updatedEvents: results.map(result => ({
+                id: result.event.id,
+                date: result.event.date,
+                time: result.event.time,
+                updatedFields: result.changedFields,
+                promotedFromWaitlist: result.promotedFromWaitlist.length
+            }))
+        });
+    } catch (error) {
+        console.error('Error updating series:', error);
+        logEvent('error', 'Failed to update series occurrences', {
+            userId: req.user.id,
+            eventId: req.params.eventId,
+            error: error.message,
+            action: 'UPDATE_SERIES_OCCURRENCES_ERROR'
+        });
+        res.status(500).json({ 
+            error: 'Error updating series',
+            details: error.message 
+        });
+    }
+});
+
+// Cancel one occurrence, or it and every following occurrence
+router.delete('/:id/events/:eventId', authenticateToken, requirePermission('events:delete'), validateRequest(schemas.cancelOccurrence), async (req, res) => {
+    try {
+        const loaded = loadManagedSeries(req, res);
+        if (!loaded) {
+            return;
+        }
+
+        const { series, event } = loaded;
+        const { scope } = req.query;
+        // Occurrences that already took place stay completed
+        const targets = eventsInScope(series, event, scope)
+            .filter(target => canTransition(target, 'cancelled'));
+
+        if (targets.length === 0) {
+            return res.status(409).json({ 
+                error: `Cannot cancel a ${eventStatus(event)} occurrence`,
+                status: eventStatus(event)
+            });
+        }
+
+        let participantsNotified = 0;
+        for (const target of targets) {
+            participantsNotified += (await cancelEvent(target, { actorId: req.user.id })).length;
+        }
+
+        logEvent('info', 'Series occurrences cancelled', {
+            userId: req.user.id,
+            eventId: event.id,
+            action: 'CANCEL_SERIES_OCCURRENCES',
+            metadata: {
+                seriesId: series.id,
+                scope,
+                cancelledEvents: targets.map(target => target.id)
+            }
+        });
+
+        res.json({
+            message: 'Series occurrences cancelled successfully',
+            scope,
+            cancelledEvents: targets.map(target => ({ id: target.id, date: target.date })),
+            participantsNotified
+        });
+    } catch (error) {
+        console.error('Error cancelling series occurrences:', error);
+        res.status(500).json({ error: 'Error cancelling series occurrences' });
+    }
+});
+
+// Cancel a whole series
+router.delete('/:id', authenticateToken, requirePermission('events:delete'), async (req, res) => {
+    try {
+        const loaded = loadManagedSeries(req, res);
+        if (!loaded) {
+            return;
+        }
+
+        const { series } = loaded;
+        const events = seriesEvents(series).filter(event => canTransition(event, 'cancelled'));
+
+        let participantsNotified = 0;
+        for (const event of events) {
+            participantsNotified += (await cancelEvent(event, { actorId: req.user.id })).length;
+        }
+
+        // The occurrences are kept as standalone events, so they no longer
+        // show up under ?seriesId=
+        db.events.list()
+            .filter(event => event.seriesId === series.id)
+            .forEach(event => {
+                event.seriesId = null;
+                db.events.save(event);
+            });
+        db.series.delete(series.id);
+
+        logEvent('info', 'Event series deleted', {
+            userId: req.user.id,
+            action: 'DELETE_SERIES',
+            metadata: {
+                seriesId: series.id,
+                cancelledEvents: events.length
+            }
+        });
+
+        res.json({
+            message: 'Event series deleted successfully',
+            seriesId: series.id,
+            cancelledEvents: events.length,
+            participantsNotified
+        });
+    } catch (error) {
+        console.error('Error deleting series:', error);
+        res.status(500).json({ error: 'Error deleting series' });
+    }
+});
+
+// Register for every upcoming occurrence of a series at once
+// Occurrences are registered one by one, with the same access checks and
+// registration form as POST /events/:id/register. The ones that can't be
+// joined are reported under `skipped` with the reason.
+router.post('/:id/register', authenticateToken, requirePermission('events:register'), requireVerifiedEmail, validateRequest(schemas.registerForSeries), async (req, res) => {
+    try {
+        const series = db.series.findById(req.params.id);
+        const user = req.currentUser;
+        const { answers } = req.body;
+
+        const visible = series ? visibleSeriesEvents(series, user) : [];
+        if (visible.length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const upcoming = visible.filter(event => eventStart(event) > new Date());
+        if (upcoming.length === 0) {
+            return res.status(400).json({ error: 'Series has no upcoming occurrences' });
+        }
+
+        const occurrences = [];
+        const skipped = [];
+        for (const event of upcoming) {
+            const result = await registerForEvent(event, user, answers);
+            const occurrence = { eventId: event.id, date: event.date, time: event.time, status: result.status };
+
+            if (SERIES_REGISTERED_STATUSES.includes(result.status)) {
+                occurrences.push({ ...occurrence, waitlistPosition: result.waitlistPosition || null });
+            } else {
+                skipped.push({
+                    ...occurrence,
+                    reason: result.reason || SERIES_SKIP_REASONS[result.status],
+                    details: result.errors
+                });
+            }
+        }
+
+        logEvent('info', 'User registered for event series', {
+            userId: user.id,
+            action: 'REGISTER_SERIES',
+            metadata: {
+                seriesId: series.id,
+                occurrences: occurrences.length,
+                skipped: skipped.length
+            }
+        });
+
+        if (occurrences.length === 0) {
+            return res.status(400).json({
+                error: 'Could not register for any upcoming occurrence of this series',
+                seriesId: series.id,
+                skipped
+            });
+        }
+
+        res.json({
+            message: skipped.length === 0
+                ? 'Successfully registered for series'
+                : `Registered for ${occurrences.length} of ${upcoming.length} upcoming occurrences`,
+            seriesId: series.id,
+            occurrences,
+            skipped
+        });
+    } catch (error) {
+        console.error('Error registering for series:', error);
+        res.status(500).json({ 
+            error: 'Error registering for series',
+            details: error.message 
+        });
+    }
+});
+
+// Cancel registrations, waitlist spots and pending requests for every
+// upcoming occurrence
+router.delete('/:id/register', authenticateToken, async (req, res) => {
+    try {
+        const series = db.series.findById(req.params.id);
+        const userId = req.user.id;
+
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const cancelled = [];
+        for (const event of seriesEvents(series).filter(occurrence => eventStart(occurrence) > new Date())) {
+            if (db.registrations.removeFromWaitlist(event.id, userId) ||
+                db.registrations.removePending(event.id, userId)) {
+                cancelled.push(event);
+            } else if (event.participants.has(userId)) {
+                db.registrations.remove(event.id, userId);
+                bumpCalendarSequence(event);
+                cancelled.push(event);
+                await promoteWaitlistedUsers(event);
+            }
+        }
+
+        if (cancelled.length === 0) {
+            return res.status(400).json({ error: 'Not registered for any upcoming occurrence of this series' });
+        }
+
+        logEvent('info', 'User cancelled event series registration', {
+            userId,
+            action: 'UNREGISTER_SERIES',
+            metadata: {
+                seriesId: series.id,
+                occurrences: cancelled.length
+            }
+        });
+
+        const user = db.users.findById(userId);
+        try {
+            await sendEmail(
+                user.email,
+                'seriesRegistrationCancelled',
+                {
+                    title: series.title,
+                    dates: cancelled.map(event => describeEventTime(event, user))
+                },
+                [calendarAttachment(
+                    cancelled.map(event => ({ event, organizer: db.users.findById(event.createdBy) })),
+                    { cancelled: true }
+                )]
+            );
+        } catch (emailError) {
+            logEvent('warn', 'Failed to send series cancellation email', {
+                userId,
+                action: 'UNREGISTER_SERIES_EMAIL_FAILED',
+                error: emailError.message
+            });
+        }
+
+        res.json({
+            message: 'Successfully cancelled series registration',
+            seriesId: series.id,
+            cancelledEvents: cancelled.map(event => ({ id: event.id, date: event.date }))
+        });
+    } catch (error) {
+        console.error('Error cancelling series registration:', error);
+        res.status(500).json({ 
+            error: 'Error cancelling series registration',
+            details: error.message 
+        });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,51 +1,102 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
-const db = require('../db/inMemoryDb');
+const { validateRequest } = require('../middleware/validate');
+const schemas = require('../schemas/user.schemas');
+const { APP_URL } = require('../config/config');
+const db = require('../db');
+const { buildCalendar } = require('../utils/ical');
+const { createCalendarFeedToken, findUserByCalendarToken } = require('../utils/tokens');
+const { eventStatus } = require('../utils/eventStatus');
+const { eventStart, localSchedule, viewerTimeZone } = require('../utils/time');
 
 router.get('/events', authenticateToken, (req, res) => {
     try {
-        const userEventIds = db.userEvents.get(req.user.id);
-        const registeredEvents = Array.from(userEventIds).map(eventId => {
-            const event = db.events.get(eventId);
+        const user = db.users.findById(req.user.id);
+        const userEventIds = db.registrations.eventIdsForUser(req.user.id);
+        const registeredEvents = userEventIds.map(eventId => {
+            const event = db.events.findById(eventId);
             return {
                 id: event.id,
                 title: event.title,
                 description: event.description,
                 date: event.date,
-                time: event.time
+                time: event.time,
+                startsAt: eventStart(event).toISOString(),
+                local: localSchedule(event, viewerTimeZone(user, event)),
+                // Cancelled and completed events stay listed
+                status: eventStatus(event)
             };
         });
 
+        // Waitlisted events are listed separately since the seat isn't confirmed
+        const waitlistedEventIds = db.registrations.waitlistedEventIdsForUser(req.user.id);
+        const waitlistedEvents = waitlistedEventIds.map(eventId => {
+            const event = db.events.findById(eventId);
+            return {
+                id: event.id,
+                title: event.title,
+                description: event.description,
+                date: event.date,
+                time: event.time,
+                startsAt: eventStart(event).toISOString(),
+                local: localSchedule(event, viewerTimeZone(user, event)),
+                status: eventStatus(event),
+                waitlistPosition: db.registrations.waitlistPosition(eventId, req.user.id)
+            };
+        });
 
+        // Requests waiting for the organizer's approval
+        const pendingEvents = db.registrations.pendingEventIdsForUser(req.user.id).map(eventId => {
+            const event = db.events.findById(eventId);
+            return {
+                id: event.id,
+                title: event.title,
+                description: event.description,
+                date: event.date,
+                time: event.time,
+                startsAt: eventStart(event).toISOString(),
+                local: localSchedule(event, viewerTimeZone(user, event)),
+                status: eventStatus(event),
+                requestedAt: db.registrations.listPending(eventId)
+                    .find(request => request.userId === req.user.id).requestedAt
+            };
+        });
 
-        res.json(registeredEvents);
+        res.json({
+            registered: registeredEvents,
+            waitlisted: waitlistedEvents,
+            pending: pendingEvents
+        });
     } catch (error) {
         res.status(500).json({ error: 'Error fetching user events' });
     }
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticateToken, validateRequest(schemas.updateProfile), async (req, res) => {
     try {
         const userId = req.user.id;
-        const user = Array.from(db.users.values()).find(u => u.id === userId);
+        const user = db.users.findById(userId);
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const { bio, interests } = req.body;
+        const { bio, interests, timeZone, emailReminders, interestAlerts } = req.body;
 
         // Update profile
         user.profile = {
             ...user.profile,
             bio: bio || user.profile.bio,
             interests: interests || user.profile.interests,
+            timeZone: timeZone || user.profile.timeZone,
+            emailReminders: emailReminders !== undefined ? emailReminders : user.profile.emailReminders !== false,
+            interestAlerts: interestAlerts !== undefined ? interestAlerts : Boolean(user.profile.interestAlerts),
             updatedAt: new Date().toISOString()
         };
 
-        db.users.set(user.email, user);
+        db.users.save(user);
 
         res.json({
             message: 'Profile updated successfully',
@@ -53,6 +104,9 @@ router.put('/profile', authenticateToken, async (req, res) => {
                 name: user.profile.name,
                 bio: user.profile.bio,
                 interests: user.profile.interests,
+                timeZone: user.profile.timeZone || null,
+                emailReminders: user.profile.emailReminders !== false,
+                interestAlerts: Boolean(user.profile.interestAlerts),
                 eventsOrganized: user.profile.eventsOrganized,
                 eventsAttended: user.profile.eventsAttended
             }
@@ -67,7 +121,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
 router.get('/profile', authenticateToken, (req, res) => {
     try {
         const userId = req.user.id;
-        const user = Array.from(db.users.values()).find(u => u.id === userId);
+        const user = db.users.findById(userId);
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
@@ -78,7 +132,11 @@ router.get('/profile', authenticateToken, (req, res) => {
                 name: user.profile.name,
                 bio: user.profile.bio,
                 interests: user.profile.interests,
+                timeZone: user.profile.timeZone || null,
+                emailReminders: user.profile.emailReminders !== false,
+                interestAlerts: Boolean(user.profile.interestAlerts),
                 role: user.role,
+                emailVerified: Boolean(user.emailVerified),
                 eventsOrganized: user.profile.eventsOrganized,
                 eventsAttended: user.profile.eventsAttended,
                 createdAt: user.profile.createdAt
@@ -88,7 +146,76 @@ router.get('/profile', authenticateToken, (req, res) => {
         res.status(500).json({ error: 'Error fetching profile' });
     }
 });
- 
+
+const feedUrl = (token) => `${APP_URL}/user/calendar/${token}.ics`;
+
+// Create the subscribable calendar feed URL on first use. Only a hash of its
+// token is kept, so later calls can't show it again; reset it for a new one.
+router.get('/calendar-feed', authenticateToken, (req, res) => {
+    try {
+        const user = db.users.findById(req.user.id);
+
+        if (user.calendarFeedTokenHash) {
+            return res.json({
+                url: null,
+                createdAt: user.calendarFeedCreatedAt || null,
+                message: 'The feed URL is only shown when it is created. POST /user/calendar-feed/reset for a new one.'
+            });
+        }
+
+        res.json({ url: feedUrl(createCalendarFeedToken(user)) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching calendar feed' });
+    }
+});
+
+// Replace the feed token, e.g. after the URL was shared by mistake
+router.post('/calendar-feed/reset', authenticateToken, (req, res) => {
+    try {
+        const user = db.users.findById(req.user.id);
+
+        const token = createCalendarFeedToken(user);
+
+        res.json({ 
+            message: 'Calendar feed URL reset successfully',
+            url: feedUrl(token)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error resetting calendar feed' });
+    }
+});
+
+// The feed itself. Calendar apps can't send a bearer token, so the secret
+// token in the URL is the credential.
+router.get('/calendar/:token.ics', (req, res) => {
+    try {
+        const user = findUserByCalendarToken(req.params.token);
+
+        if (!user) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        // Cancelled events keep their registrations, so they stay in the feed
+        // marked as cancelled
+        const entries = db.registrations.eventIdsForUser(user.id)
+            .map(eventId => db.events.findById(eventId))
+            .filter(Boolean)
+            .map(event => ({
+                event,
+                cancelled: eventStatus(event) === 'cancelled',
+                organizer: db.users.findById(event.createdBy)
+            }));
+
+        const calendar = buildCalendar(entries, {
+            name: `${user.name}'s events`
+        });
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.send(calendar);
+    } catch (error) {
+        res.status(500).json({ error: 'Error building calendar feed' });
+    }
+});
 
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,342 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { hasPermission } = require('../config/roles');
+const schemas = require('../schemas/webhook.schemas');
+const db = require('../db');
+const { logEvent } = require('../config/logger');
+const { generateId } = require('../utils/ids');
+const { newWebhookSecret } = require('../utils/webhookSignature');
+const { pingWebhook, retryDelivery } = require('../services/webhookService');
+
+router.use(authenticateToken);
+
+// The signing secret is only ever returned when it is created or rotated
+const toWebhookSummary = (webhook) => ({
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description,
+    active: webhook.active,
+    ownerId: webhook.ownerId,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt || null,
+    secretRotatedAt: webhook.secretRotatedAt || null,
+    deliveries: db.webhooks.countDeliveriesByStatus(webhook.id)
+});
+
+const toDeliverySummary = (delivery) => ({
+    id: delivery.id,
+    type: delivery.type,
+    eventId: delivery.eventId,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.responseStatus,
+    lastError: delivery.lastError,
+    createdAt: delivery.createdAt,
+    lastAttemptAt: delivery.lastAttemptAt,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+    deliveredAt: delivery.deliveredAt || null,
+    deadAt: delivery.deadAt || null
+});
+
+// Load the webhook and check that the current user owns it (admins may
+// manage anyone's). Sends the error response and returns null on failure.
+const loadOwnedWebhook = (req, res) => {
+    const webhook = db.webhooks.findById(req.params.id);
+    if (!webhook) {
+        res.status(404).json({ error: 'Webhook not found' });
+        return null;
+    }
+
+    if (webhook.ownerId !== req.user.id && !hasPermission(req.currentUser, 'events:manage-any')) {
+        logEvent('warn', 'Unauthorized webhook management attempt', {
+            userId: req.user.id,
+            action: 'MANAGE_WEBHOOK_UNAUTHORIZED',
+            metadata: { webhookId: webhook.id }
+        });
+        res.status(403).json({ 
+            error: 'Unauthorized: Only the webhook owner can manage this webhook' 
+        });
+        return null;
+    }
+
+    return webhook;
+};
+
+// Load one of the webhook's deliveries, as loadOwnedWebhook does
+const loadDelivery = (req, res) => {
+    const webhook = loadOwnedWebhook(req, res);
+    if (!webhook) {
+        return null;
+    }
+
+    const delivery = db.webhooks.findDelivery(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== webhook.id) {
+        res.status(404).json({ error: 'Delivery not found' });
+        return null;
+    }
+
+    return { webhook, delivery };
+};
+
+// List your webhooks. Admins see everyone's.
+router.get('/', requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const ownerId = hasPermission(req.currentUser, 'events:manage-any') ? undefined : req.user.id;
+        const webhooks = db.webhooks.list({ ownerId })
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        res.json({
+            total: webhooks.length,
+            webhooks: webhooks.map(toWebhookSummary)
+        });
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ error: 'Error fetching webhooks' });
+    }
+});
+
+// Register an endpoint for changes to the events you organize
+router.post('/', requirePermission('webhooks:manage'), validateRequest(schemas.createWebhook), (req, res) => {
+    try {
+        const { url, events, description, active } = req.body;
+
+        const webhook = db.webhooks.create({
+            id: generateId(),
+            url,
+            events,
+            description: description || '',
+            active,
+            secret: newWebhookSecret(),
+            ownerId: req.user.id,
+            createdAt: new Date().toISOString()
+        });
+
+        logEvent('info', 'Webhook created', {
+            userId: req.user.id,
+            action: 'CREATE_WEBHOOK',
+            metadata: { webhookId: webhook.id, url, events }
+        });
+
+        res.status(201).json({
+            message: 'Webhook created successfully',
+            webhook: { ...toWebhookSummary(webhook), secret: webhook.secret }
+        });
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        logEvent('error', 'Failed to create webhook', {
+            userId: req.user?.id || 'unknown',
+            error: error.message,
+            action: 'CREATE_WEBHOOK_ERROR'
+        });
+        res.status(500).json({ 
+            error: 'Error creating webhook',
+            message: error.message 
+        });
+    }
+});
+
+router.get('/:id', requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const webhook = loadOwnedWebhook(req, res);
+        if (!webhook) {
+            return;
+        }
+
+        res.json({ webhook: toWebhookSummary(webhook) });
+    } catch (error) {
+        console.error('Error fetching webhook:', error);
+        res.status(500).json({ error: 'Error fetching webhook' });
+    }
+});
+
+router.put('/:id', requirePermission('webhooks:manage'), validateRequest(schemas.updateWebhook), (req, res) => {
+    try {
+        const webhook = loadOwnedWebhook(req, res);
+        if (!webhook) {
+            return;
+        }
+
+        const changedFields = Object.keys(req.body);
+        Object.assign(webhook, req.body, { updatedAt: new Date().toISOString() });
+        db.webhooks.save(webhook);
+
+        logEvent('info', 'Webhook updated', {
+            userId: req.user.id,
+            action: 'UPDATE_WEBHOOK',
+            metadata: { webhookId: webhook.id, changedFields }
+        });
+
+        res.json({
+            message: 'Webhook updated successfully',
+            webhook: toWebhookSummary(webhook)
+        });
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({ 
+            error: 'Error updating webhook',
+            message: error.message 
+        });
+    }
+});
+
+// Delete a webhook along with its delivery log
+router.delete('/:id', requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const webhook = loadOwnedWebhook(req, res);
+        if (!webhook) {
+            return;
+        }
+
+        db.webhooks.delete(webhook.id);
+
+        logEvent('info', 'Webhook deleted', {
+            userId: req.user.id,
+            action: 'DELETE_WEBHOOK',
+            metadata: { webhookId: webhook.id, url: webhook.url }
+        });
+
+        res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ error: 'Error deleting webhook' });
+    }
+});
+
+// Replace the signing secret. Deliveries not yet sent are signed with the new one.
+router.post('/:id/rotate-secret', requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const webhook = loadOwnedWebhook(req, res);
+        if (!webhook) {
+            return;
+        }
+
+        webhook.secret = newWebhookSecret();
+        webhook.secretRotatedAt = new Date().toISOString();
+        db.webhooks.save(webhook);
+
+        logEvent('info', 'Webhook secret rotated', {
+            userId: req.user.id,
+            action: 'ROTATE_WEBHOOK_SECRET',
+            metadata: { webhookId: webhook.id }
+        });
+
+        res.json({
+            message: 'Webhook secret rotated',
+            webhook: { ...toWebhookSummary(webhook), secret: webhook.secret }
+        });
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        res.status(500).json({ error: 'Error rotating webhook secret' });
+    }
+});
+
+// Queue a 'webhook.ping' delivery to test the endpoint
+router.post('/:id/ping', requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const webhook = loadOwnedWebhook(req, res);
+        if (!webhook) {
+            return;
+        }
+        if (!webhook.active) {
+            return res.status(409).json({ error: 'Webhook is not active' });
+        }
+
+        const delivery = pingWebhook(webhook);
+
+        logEvent('info', 'Webhook ping queued', {
+            userId: req.user.id,
+            action: 'PING_WEBHOOK',
+            metadata: { webhookId: webhook.id, deliveryId: delivery.id }
+        });
+
+        res.status(202).json({
+            message: 'Ping queued for delivery',
+            delivery: toDeliverySummary(delivery)
+        });
+    } catch (error) {
+        console.error('Ping webhook error:', error);
+        res.status(500).json({ error: 'Error pinging webhook' });
+    }
+});
+
+// Delivery log, newest first
+router.get('/:id/deliveries', requirePermission('webhooks:manage'), validateRequest(schemas.listDeliveries), (req, res) => {
+    try {
+        const webhook = loadOwnedWebhook(req, res);
+        if (!webhook) {
+            return;
+        }
+
+        const { status, limit } = req.query;
+        const deliveries = db.webhooks.listDeliveries({ webhookId: webhook.id, status });
+
+        res.json({
+            counts: db.webhooks.countDeliveriesByStatus(webhook.id),
+            total: deliveries.length,
+            deliveries: deliveries.slice(0, limit).map(toDeliverySummary)
+        });
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ error: 'Error fetching webhook deliveries' });
+    }
+});
+
+// One delivery with the payload sent and every attempt made
+router.get('/:id/deliveries/:deliveryId', requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const loaded = loadDelivery(req, res);
+        if (!loaded) {
+            return;
+        }
+
+        const { delivery } = loaded;
+        res.json({
+            ...toDeliverySummary(delivery),
+            payload: JSON.parse(delivery.body),
+            attemptLog: delivery.attemptLog
+        });
+    } catch (error) {
+        console.error('Error fetching webhook delivery:', error);
+        res.status(500).json({ error: 'Error fetching webhook delivery' });
+    }
+});
+
+// Requeue a dead or still-pending delivery for immediate delivery
+router.post('/:id/deliveries/:deliveryId/retry', requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const loaded = loadDelivery(req, res);
+        if (!loaded) {
+            return;
+        }
+
+        const { webhook, delivery } = loaded;
+        if (delivery.status === 'delivered' || delivery.status === 'sending') {
+            return res.status(409).json({ error: `Delivery is already ${delivery.status}` });
+        }
+        if (!webhook.active) {
+            return res.status(409).json({ error: 'Webhook is not active' });
+        }
+
+        retryDelivery(delivery);
+
+        logEvent('info', 'Webhook delivery requeued', {
+            userId: req.user.id,
+            eventId: delivery.eventId,
+            action: 'RETRY_WEBHOOK_DELIVERY',
+            metadata: { webhookId: webhook.id, deliveryId: delivery.id, type: delivery.type }
+        });
+
+        res.json({
+            message: 'Delivery requeued',
+            delivery: toDeliverySummary(delivery)
+        });
+    } catch (error) {
+        console.error('Error retrying webhook delivery:', error);
+        res.status(500).json({ error: 'Error retrying webhook delivery' });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const { ROLES } = require('../config/roles');
+const { STATUSES: EMAIL_STATUSES } = require('../db/repositories/emailOutboxRepository');
+
+const role = { type: 'string', enum: Object.values(ROLES) };
+
+module.exports = {
+    listUsers: {
+        query: {
+            role
+        }
+    },
+
+    updateRole: {
+        body: {
+            role: { ...role, required: true }
+        }
+    },
+
+    listEmails: {
+        query: {
+            status: { type: 'string', enum: EMAIL_STATUSES }
+        }
+    }
+};
\ No newline at end of file
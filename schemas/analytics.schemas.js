@@ -0,0 +1,31 @@
+const { EVENT_SORTS } = require('../services/analyticsService');
+
+// Shared by every analytics endpoint
+const range = {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    // Admins only: report on another organizer's events
+    organizerId: { type: 'string', maxLength: 100 },
+    format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+};
+
+module.exports = {
+    overview: {
+        query: range
+    },
+
+    registrations: {
+        query: {
+            ...range,
+            interval: { type: 'string', enum: ['day', 'week', 'month'], default: 'day' }
+        }
+    },
+
+    events: {
+        query: {
+            ...range,
+            sort: { type: 'string', enum: Object.keys(EVENT_SORTS), default: 'registrations' },
+            limit: { type: 'integer', min: 1, max: 1000 }
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { eventFields } = require('./event.schemas');
+
+const password = { type: 'string', required: true, minLength: 8, maxLength: 128 };
+
+module.exports = {
+    register: {
+        body: {
+            email: { type: 'email', required: true, maxLength: 254 },
+            password,
+            name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+            timeZone: eventFields.timeZone
+        }
+    },
+
+    login: {
+        body: {
+            email: { type: 'email', required: true },
+            // Not held to the length rules so older accounts can still log in
+            password: { type: 'string', required: true }
+        }
+    },
+
+    refresh: {
+        body: {
+            refreshToken: { type: 'string', required: true }
+        }
+    },
+
+    logout: {
+        body: {
+            allDevices: { type: 'boolean', default: false }
+        }
+    },
+
+    verifyEmail: {
+        query: {
+            token: { type: 'string', required: true }
+        }
+    },
+
+    emailOnly: {
+        body: {
+            email: { type: 'email', required: true }
+        }
+    },
+
+    checkResetToken: {
+        query: {
+            token: { type: 'string', required: true }
+        }
+    },
+
+    resetPassword: {
+        body: {
+            token: { type: 'string', required: true },
+            password
+        }
+    }
+};
\ No newline at end of file
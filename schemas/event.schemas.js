@@ -0,0 +1,361 @@
+const { isValidTimeZone } = require('../utils/time');
+const { SORTS, decodeCursor } = require('../services/eventListService');
+const { EVENT_STATUSES } = require('../utils/eventStatus');
+const { QUESTION_TYPES } = require('../utils/registrationForm');
+
+const inFuture = (value) => new Date(value) > new Date() ? null : 'must be in the future';
+
+// Categories organizers can file an event under
+const EVENT_CATEGORIES = [
+    'conference',
+    'workshop',
+    'webinar',
+    'meetup',
+    'networking',
+    'training',
+    'social',
+    'other'
+];
+
+const eventFields = {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string', maxLength: 5000 },
+    date: { type: 'date' },
+    time: { type: 'time' },
+    capacity: { type: 'integer', min: 1, max: 100000 },
+    // IANA name, e.g. "Europe/Berlin"; date and time are wall-clock in this zone
+    timeZone: {
+        type: 'string',
+        maxLength: 100,
+        custom: (value) => isValidTimeZone(value) ? null : 'must be a valid IANA time zone'
+    },
+    durationMinutes: { type: 'integer', min: 1, max: 10080 },
+    category: { type: 'string', enum: EVENT_CATEGORIES },
+    // Free-form keywords, matched case-insensitively against user interests
+    tags: {
+        type: 'array',
+        maxItems: 10,
+        unique: true,
+        items: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 30,
+            pattern: /^\w[\w +#.-]*$/,
+            patternMessage: 'may only contain letters, digits, spaces and + # . - _'
+        }
+    },
+    // Where the event happens. Only confirmed participants can read this,
+    // through GET /events/:id/join
+    joinDetails: {
+        type: 'object',
+        properties: {
+            url: { type: 'url', maxLength: 2000 },
+            dialIn: { type: 'string', minLength: 1, maxLength: 200 },
+            platform: { type: 'string', minLength: 1, maxLength: 100 },
+            room: { type: 'string', minLength: 1, maxLength: 200 },
+            instructions: { type: 'string', maxLength: 2000 }
+        },
+        custom: (details) => !details.url && !details.dialIn && !details.room
+            ? 'must set url, dialIn or room'
+            : null
+    },
+    // Minutes before the start to send reminders; [] turns them off
+    reminderOffsetsMinutes: {
+        type: 'array',
+        maxItems: 5,
+        unique: true,
+        items: { type: 'integer', min: 1, max: 43200 }
+    },
+    // Registration is only taken between these times, and never after the start
+    registrationOpensAt: { type: 'datetime' },
+    registrationClosesAt: { type: 'datetime' },
+    // 'approval' keeps registrations pending until an organizer approves them
+    registrationMode: { type: 'string', enum: ['open', 'approval'] },
+    // Private events are only visible to invited emails and invite code holders
+    visibility: { type: 'string', enum: ['public', 'private'] },
+    // Form attendees fill in when registering; [] removes it
+    registrationQuestions: {
+        type: 'array',
+        maxItems: 20,
+        items: {
+            type: 'object',
+            properties: {
+                // Key of the answer in registrations and roster exports
+                id: {
+                    type: 'string',
+                    required: true,
+                    maxLength: 40,
+                    pattern: /^[a-z][a-z0-9_]*$/,
+                    patternMessage: 'may only contain lowercase letters, digits and _, starting with a letter'
+                },
+                label: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+                type: { type: 'string', required: true, enum: QUESTION_TYPES },
+                required: { type: 'boolean', default: false },
+                // Choice questions only
+                options: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: 50,
+                    unique: true,
+                    items: { type: 'string', minLength: 1, maxLength: 200 }
+                },
+                multiple: { type: 'boolean' },
+                // Text questions only
+                maxLength: { type: 'integer', min: 1, max: 5000 }
+            },
+            custom: (question) => question.type === 'choice' && !question.options
+                ? 'choice questions must list options'
+                : null
+        },
+        custom: (questions) => {
+            const ids = questions.filter(Boolean).map(question => question.id);
+            return new Set(ids).size !== ids.length ? 'question ids must be unique' : null;
+        }
+    },
+    // Who is presenting; [] removes them all
+    speakers: {
+        type: 'array',
+        maxItems: 50,
+        items: {
+            type: 'object',
+            properties: {
+                // A linked user; name, bio and photoUrl then override their profile
+                userId: { type: 'string', maxLength: 100 },
+                name: { type: 'string', minLength: 1, maxLength: 200 },
+                bio: { type: 'string', maxLength: 2000 },
+                photoUrl: { type: 'url', maxLength: 2000 }
+            },
+            custom: (speaker) => !speaker.userId && !speaker.name
+                ? 'speakers need a userId or a name'
+                : null
+        }
+    }
+};
+
+const inviteCode = { type: 'string', minLength: 1, maxLength: 20 };
+
+// A session on an event's agenda. date and time are wall-clock in the
+// event's time zone.
+const agendaSessionFields = {
+    title: eventFields.title,
+    description: eventFields.description,
+    date: { type: 'date' },
+    time: { type: 'time' },
+    durationMinutes: { type: 'integer', min: 1, max: 1440 },
+    track: { type: 'string', minLength: 1, maxLength: 100 },
+    speakers: eventFields.speakers,
+    // Left out, only the event's capacity limits the session
+    capacity: eventFields.capacity,
+    // Left out, participants get the event's join details
+    joinDetails: eventFields.joinDetails
+};
+
+const required = (fields, names) => Object.fromEntries(
+    Object.entries(fields).map(([name, rule]) => [
+        name,
+        names.includes(name) ? { ...rule, required: true } : rule
+    ])
+);
+
+// Optional settings an update can remove again with null
+const clearable = (fields, names) => Object.fromEntries(
+    Object.entries(fields).map(([name, rule]) => [
+        name,
+        names.includes(name) ? { ...rule, nullable: true } : rule
+    ])
+);
+
+module.exports = {
+    EVENT_CATEGORIES,
+    eventFields,
+
+    createEvent: {
+        body: {
+            ...required(eventFields, ['title', 'date', 'time', 'capacity']),
+            // Drafts are only visible to their organizers until published
+            status: { type: 'string', enum: ['draft', 'published'] },
+            // Creates a draft that is published automatically at this time
+            publishAt: { type: 'datetime', custom: inFuture }
+        }
+    },
+
+    updateEvent: {
+        body: clearable(eventFields, ['category', 'joinDetails', 'registrationOpensAt', 'registrationClosesAt'])
+    },
+
+    // Publish a draft now, or schedule it with publishAt
+    publishEvent: {
+        body: {
+            publishAt: { type: 'datetime', custom: inFuture }
+        }
+    },
+
+    cancelEvent: {
+        body: {
+            reason: { type: 'string', maxLength: 500 }
+        }
+    },
+
+    // Private events take the invite code instead of an invitation.
+    // answers are checked against the event's registrationQuestions.
+    registerForEvent: {
+        body: {
+            inviteCode,
+            answers: { type: 'object' }
+        }
+    },
+
+    joinLink: {
+        query: {
+            token: { type: 'string', required: true, maxLength: 2000 }
+        }
+    },
+
+    exportAttendees: {
+        query: {
+            format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+        }
+    },
+
+    rejectRegistration: {
+        body: {
+            reason: { type: 'string', maxLength: 500 }
+        }
+    },
+
+    inviteToEvent: {
+        body: {
+            emails: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                maxItems: 100,
+                items: { type: 'email', maxLength: 254 }
+            }
+        }
+    },
+
+    redeemInvite: {
+        body: {
+            code: { ...inviteCode, required: true }
+        }
+    },
+
+    // Co-organizers and new owners need an organizer account
+    addCoOrganizer: {
+        body: {
+            email: { type: 'email', required: true, maxLength: 254 }
+        }
+    },
+
+    transferOwnership: {
+        body: {
+            email: { type: 'email', required: true, maxLength: 254 },
+            // Stay on as a co-organizer after handing the event over
+            keepPreviousOwner: { type: 'boolean', default: true }
+        }
+    },
+
+    recommendedEvents: {
+        query: {
+            limit: { type: 'integer', min: 1, max: 50, default: 10 },
+            timeZone: eventFields.timeZone
+        }
+    },
+
+    checkIn: {
+        body: {
+            code: { type: 'string', required: true, minLength: 1, maxLength: 20 }
+        }
+    },
+
+    updateReminders: {
+        body: {
+            enabled: { type: 'boolean', required: true }
+        }
+    },
+
+    removeParticipant: {
+        body: {
+            reason: { type: 'string', maxLength: 500 }
+        }
+    },
+
+    listEvents: {
+        query: {
+            // date, from and to compare against the local start date
+            date: { type: 'date' },
+            from: { type: 'date' },
+            to: { type: 'date' },
+            query: { type: 'string', maxLength: 200 },
+            // Overrides the viewer's profile time zone for this response
+            timeZone: eventFields.timeZone,
+            onlyAvailable: { type: 'boolean' },
+            organizer: { type: 'string', maxLength: 100 },
+            tag: { type: 'string', maxLength: 30 },
+            category: { type: 'string', enum: EVENT_CATEGORIES },
+            registered: { type: 'boolean' },
+            seriesId: { type: 'string', maxLength: 100 },
+            // Published and completed events are listed unless a status is given
+            status: { type: 'string', enum: EVENT_STATUSES },
+            // Defaults to relevance with a query, date otherwise
+            sort: { type: 'string', enum: Object.keys(SORTS) },
+            order: { type: 'string', enum: ['asc', 'desc'], default: 'asc' },
+            limit: { type: 'integer', min: 1, max: 100, default: 20 },
+            cursor: {
+                type: 'string',
+                maxLength: 1000,
+                custom: (value) => decodeCursor(value) ? null : 'must be the nextCursor of a previous page'
+            }
+        }
+    },
+
+    createAgendaSession: {
+        body: required(agendaSessionFields, ['title', 'date', 'time', 'durationMinutes'])
+    },
+
+    updateAgendaSession: {
+        body: agendaSessionFields
+    },
+
+    getEvent: {
+        query: {
+            timeZone: eventFields.timeZone
+        }
+    },
+
+    listAgenda: {
+        query: {
+            track: { type: 'string', maxLength: 100 },
+            timeZone: eventFields.timeZone
+        }
+    },
+
+    addToSchedule: {
+        body: {
+            sessionId: { type: 'string', required: true, maxLength: 100 }
+        }
+    },
+
+    // events is a comma-separated list of extra event ids to follow
+    streamEvents: {
+        query: {
+            events: {
+                type: 'string',
+                maxLength: 2000,
+                pattern: /^[\w-]+(,[\w-]+)*$/,
+                patternMessage: 'must be a comma-separated list of event ids'
+            },
+            ticket: { type: 'string', maxLength: 4000 }
+        }
+    },
+
+    listLogs: {
+        query: {
+            startDate: { type: 'datetime' },
+            endDate: { type: 'datetime' },
+            action: { type: 'string', maxLength: 100 },
+            level: { type: 'string', enum: ['error', 'warn', 'info', 'debug'] }
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+const { MAX_OCCURRENCES } = require('../utils/recurrence');
+const { createEvent, updateEvent, registerForEvent } = require('./event.schemas');
+
+// Publication, registration window, approval, visibility, registration form
+// and speaker settings are made per event, not per series
+const PER_EVENT_FIELDS = ['status', 'publishAt', 'registrationOpensAt', 'registrationClosesAt', 'registrationMode', 'visibility', 'registrationQuestions', 'speakers'];
+
+const withoutPerEventFields = (fields) => Object.fromEntries(
+    Object.entries(fields).filter(([name]) => !PER_EVENT_FIELDS.includes(name))
+);
+
+const { date, ...seriesFields } = withoutPerEventFields(createEvent.body);
+
+const scope = { type: 'string', enum: ['this', 'following'], default: 'this' };
+
+module.exports = {
+    createSeries: {
+        body: {
+            ...seriesFields,
+            startDate: { type: 'date', required: true },
+            recurrence: {
+                type: 'object',
+                required: true,
+                properties: {
+                    frequency: { type: 'string', required: true, enum: ['daily', 'weekly', 'monthly'] },
+                    interval: { type: 'integer', min: 1, max: 52, default: 1 },
+                    count: { type: 'integer', min: 1, max: MAX_OCCURRENCES },
+                    until: { type: 'date' },
+                    exceptions: {
+                        type: 'array',
+                        maxItems: MAX_OCCURRENCES,
+                        unique: true,
+                        items: { type: 'date' },
+                        default: () => []
+                    }
+                },
+                custom: (recurrence) => !recurrence.count && !recurrence.until
+                    ? 'must set count or until'
+                    : null
+            }
+        }
+    },
+
+    updateOccurrence: {
+        body: {
+            ...withoutPerEventFields(updateEvent.body),
+            scope
+        }
+    },
+
+    cancelOccurrence: {
+        query: {
+            scope
+        }
+    },
+
+    // The same answers are checked against each occurrence's own questions
+    registerForSeries: {
+        body: {
+            answers: registerForEvent.body.answers
+        }
+    }
+};
\ No newline at end of file
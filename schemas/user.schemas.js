@@ -0,0 +1,21 @@
+const { eventFields } = require('./event.schemas');
+
+module.exports = {
+    updateProfile: {
+        body: {
+            bio: { type: 'string', maxLength: 1000 },
+            interests: {
+                type: 'array',
+                maxItems: 20,
+                unique: true,
+                items: { type: 'string', minLength: 1, maxLength: 50 }
+            },
+            // Times in responses and emails are shown in this zone
+            timeZone: eventFields.timeZone,
+            // false turns off reminder emails for every event
+            emailReminders: { type: 'boolean' },
+            // Opt in to emails about new events matching `interests`
+            interestAlerts: { type: 'boolean' }
+        }
+    }
+};
\ No newline at end of file
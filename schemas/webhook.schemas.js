@@ -0,0 +1,56 @@
+const net = require('net');
+const { NODE_ENV, WEBHOOK_ALLOW_PRIVATE_TARGETS } = require('../config/config');
+const { isPrivateAddress, hostAddress } = require('../utils/network');
+const { WEBHOOK_EVENT_TYPES } = require('../services/webhookService');
+
+const webhookFields = {
+    url: {
+        type: 'url',
+        maxLength: 2000,
+        // Payloads carry attendee details, so production endpoints must use TLS
+        custom: (url) => {
+            if (NODE_ENV === 'production' && !url.startsWith('https:')) {
+                return 'must use https';
+            }
+            // Names are checked again when each delivery resolves them
+            const host = hostAddress(new URL(url).hostname).replace(/\.$/, '');
+            const privateHost = host === 'localhost' || host.endsWith('.localhost') ||
+                (net.isIP(host) && isPrivateAddress(host));
+            return privateHost && !WEBHOOK_ALLOW_PRIVATE_TARGETS
+                ? 'must not point at this server or a private network'
+                : null;
+        }
+    },
+    events: {
+        type: 'array',
+        minItems: 1,
+        maxItems: WEBHOOK_EVENT_TYPES.length,
+        unique: true,
+        items: { type: 'string', enum: WEBHOOK_EVENT_TYPES }
+    },
+    description: { type: 'string', maxLength: 500 },
+    // false stops new deliveries without losing the webhook or its log
+    active: { type: 'boolean' }
+};
+
+module.exports = {
+    createWebhook: {
+        body: {
+            ...webhookFields,
+            url: { ...webhookFields.url, required: true },
+            events: { ...webhookFields.events, required: true },
+            active: { ...webhookFields.active, default: true }
+        }
+    },
+
+    updateWebhook: {
+        body: webhookFields
+    },
+
+    listDeliveries: {
+        query: {
+            status: { type: 'string', enum: ['pending', 'sending', 'delivered', 'dead'] },
+            limit: { type: 'integer', min: 1, max: 200, default: 50 }
+        }
+    }
+};
\ No newline at end of file
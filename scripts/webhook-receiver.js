@@ -0,0 +1,52 @@
+// Local endpoint for trying out webhooks. Prints every delivery and whether
+// its signature checks out.
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+//
+// Point a webhook at http://localhost:4000/ (the API must run with
+// WEBHOOK_ALLOW_PRIVATE_TARGETS=true to deliver to localhost). Set
+// RECEIVER_FAIL_FIRST=3 to answer the first three deliveries with HTTP 500
+// and watch the retries in the delivery log.
+const http = require('http');
+const { verifyWebhookSignature } = require('../utils/webhookSignature');
+
+const port = parseInt(process.env.RECEIVER_PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.RECEIVER_FAIL_FIRST) || 0;
+
+if (!secret) {
+    console.error('Set WEBHOOK_SECRET to the secret returned when the webhook was created');
+    process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        const signatureValid = verifyWebhookSignature(secret, req.headers['x-webhook-signature'], body);
+        let status = signatureValid ? 200 : 401;
+        if (signatureValid && failuresLeft > 0) {
+            failuresLeft -= 1;
+            status = 500;
+        }
+
+        console.log(JSON.stringify({
+            receivedAt: new Date().toISOString(),
+            deliveryId: req.headers['x-webhook-id'],
+            type: req.headers['x-webhook-event'],
+            signatureValid,
+            respondedWith: status,
+            payload: signatureValid ? JSON.parse(body) : undefined
+        }));
+
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(signatureValid ? 'ok' : 'invalid signature');
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
\ No newline at end of file
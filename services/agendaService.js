@@ -0,0 +1,134 @@
+const db = require('../db');
+const { generateId } = require('../utils/ids');
+const { applyEventSchedule, toZonedDateTime } = require('../utils/time');
+
+// Conference agendas: sessions inside an event, each with its own time,
+// track, speakers, capacity and join details. Registered participants pick
+// sessions into a personal schedule; overlapping picks are flagged as
+// conflicts rather than refused.
+
+const findSession = (event, sessionId) =>
+    (event.agenda || []).find(session => session.id === sessionId) || null;
+
+// Session date/time are wall-clock in the event's time zone
+const scheduleSession = (event, session) =>
+    applyEventSchedule({ ...session, timeZone: event.timeZone });
+
+const overlaps = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+// Sessions in start order
+const sortedAgenda = (event) =>
+    [...(event.agenda || [])].sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+
+const outsideEvent = (event, session) =>
+    session.startsAt < event.startsAt || session.endsAt > event.endsAt;
+
+const saveSession = (event, session) => {
+    event.agenda = [...(event.agenda || []).filter(existing => existing.id !== session.id), session];
+    db.events.save(event);
+    return session;
+};
+
+// Resolves to { session } or { error } when the session doesn't fit inside
+// the event
+const createSession = (event, { title, description, date, time, durationMinutes, track, speakers, capacity, joinDetails }) => {
+    const session = scheduleSession(event, {
+        id: generateId(),
+        title,
+        description: description || '',
+        date,
+        time,
+        durationMinutes,
+        track: track || null,
+        speakers: speakers || [],
+        // null means the event's capacity is the only limit
+        capacity: capacity || null,
+        // null falls back to the event's join details
+        joinDetails: joinDetails || null,
+        // Participants who picked the session into their schedule
+        attendees: new Set(),
+        createdAt: new Date().toISOString()
+    });
+
+    if (outsideEvent(event, session)) {
+        return { error: 'Sessions must start and end within the event' };
+    }
+    return { session: saveSession(event, session) };
+};
+
+// Resolves like createSession. Capacity can't drop below the number of
+// participants who already picked the session.
+const updateSession = (event, session, changes) => {
+    const defined = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+    const updated = scheduleSession(event, { ...session, ...defined, updatedAt: new Date().toISOString() });
+
+    if (outsideEvent(event, updated)) {
+        return { error: 'Sessions must start and end within the event' };
+    }
+    if (updated.capacity && updated.capacity < updated.attendees.size) {
+        return { error: `Capacity cannot be less than the ${updated.attendees.size} participants who picked this session` };
+    }
+    return { session: saveSession(event, updated) };
+};
+
+const removeSession = (event, sessionId) => {
+    event.agenda = (event.agenda || []).filter(session => session.id !== sessionId);
+    db.events.save(event);
+};
+
+// Move every session along with the event when its start changes, keeping
+// each session's offset from the start
+const shiftAgenda = (event, previousStartsAt) => {
+    const delta = new Date(event.startsAt) - new Date(previousStartsAt);
+    event.agenda = (event.agenda || []).map(session => {
+        const { date, time } = toZonedDateTime(new Date(session.startsAt).getTime() + delta, event.timeZone);
+        return scheduleSession(event, { ...session, date, time });
+    });
+};
+
+// Minutes from the event's start to the end of its last session, which the
+// event's duration has to cover
+const agendaMinutes = (event) => Math.max(0, ...(event.agenda || []).map(session =>
+    (new Date(session.endsAt) - new Date(event.startsAt)) / 60000));
+
+// Sessions the user picked that overlap the given one
+const conflictsWith = (event, session, userId) =>
+    (event.agenda || []).filter(other =>
+        other.id !== session.id && other.attendees.has(userId) && overlaps(session, other));
+
+// Resolves to { status } where status is 'added' (with the picks it
+// conflicts with), 'already_added' or 'full'
+const addToSchedule = (event, session, userId) => {
+    if (session.attendees.has(userId)) {
+        return { status: 'already_added' };
+    }
+    if (session.capacity && session.attendees.size >= session.capacity) {
+        return { status: 'full' };
+    }
+
+    session.attendees.add(userId);
+    db.events.save(event);
+    return { status: 'added', conflicts: conflictsWith(event, session, userId) };
+};
+
+// Returns false when the session wasn't in the user's schedule
+const removeFromSchedule = (event, session, userId) => {
+    if (!session.attendees.delete(userId)) {
+        return false;
+    }
+    db.events.save(event);
+    return true;
+};
+
+module.exports = {
+    findSession,
+    sortedAgenda,
+    createSession,
+    updateSession,
+    removeSession,
+    shiftAgenda,
+    agendaMinutes,
+    conflictsWith,
+    addToSchedule,
+    removeFromSchedule
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+const db = require('../db');
+const { eventStatus } = require('../utils/eventStatus');
+const { canManageEvent } = require('./eventService');
+
+// Organizer analytics, computed from the stored events, registration
+// activity history and attendance records. `scope` is
+// { organizerId, from, to }: organizerId covers the events that organizer
+// owns or co-organizes, null means every organizer, and from/to are inclusive YYYY-MM-DD dates (UTC) that limit activity
+// timestamps and event start times.
+
+const REGISTRATION_TYPES = ['registered', 'promoted'];
+const CANCELLATION_TYPES = ['cancelled', 'removed'];
+
+const ratio = (part, whole) => whole > 0 ? Number((part / whole).toFixed(4)) : null;
+
+const inRange = (timestamp, { from, to }) => {
+    const day = new Date(timestamp).toISOString().slice(0, 10);
+    return (!from || day >= from) && (!to || day <= to);
+};
+
+const managedBy = (organizerId, event) => {
+    const organizer = organizerId && db.users.findById(organizerId);
+    return !organizerId || Boolean(organizer && canManageEvent(organizer, event));
+};
+
+const scopedEvents = (scope) => db.events.list()
+    .filter(event => managedBy(scope.organizerId, event))
+    .filter(event => inRange(event.startsAt, scope));
+
+// Activity for the organizer's events, including deleted ones, which are
+// kept by the owner they had when deleted
+const scopedActivity = (scope) => db.registrations.listActivity()
+    .filter(entry => {
+        const event = db.events.findById(entry.eventId);
+        return event
+            ? managedBy(scope.organizerId, event)
+            : !scope.organizerId || entry.organizerId === scope.organizerId;
+    })
+    .filter(entry => inRange(entry.at, scope));
+
+const countTypes = (entries, types) => entries.filter(entry => types.includes(entry.type)).length;
+
+// Per-event figures: current fill against capacity plus activity totals.
+// The range picks events by start time; their totals cover all activity.
+const eventStats = (scope) => {
+    const activity = scopedActivity({ ...scope, from: null, to: null });
+
+    return scopedEvents(scope).map(event => {
+        const eventActivity = activity.filter(entry => entry.eventId === event.id);
+        const registered = event.participants.size;
+
+        return {
+            eventId: event.id,
+            title: event.title,
+            status: eventStatus(event),
+            startsAt: event.startsAt,
+            capacity: event.capacity,
+            registered,
+            fillRate: ratio(registered, event.capacity),
+            waitlist: (event.waitlist || []).length,
+            registrations: countTypes(eventActivity, REGISTRATION_TYPES),
+            cancellations: countTypes(eventActivity, CANCELLATION_TYPES),
+            attended: db.attendance.listForEvent(event.id).length
+        };
+    });
+};
+
+const EVENT_SORTS = {
+    registrations: (a, b) => b.registrations - a.registrations,
+    registered: (a, b) => b.registered - a.registered,
+    fillRate: (a, b) => (b.fillRate || 0) - (a.fillRate || 0),
+    waitlist: (a, b) => b.waitlist - a.waitlist,
+    cancellations: (a, b) => b.cancellations - a.cancellations,
+    startsAt: (a, b) => a.startsAt.localeCompare(b.startsAt)
+};
+
+const topEvents = (scope, { sort = 'registrations', limit } = {}) => {
+    const stats = eventStats(scope).sort(EVENT_SORTS[sort]);
+    return limit ? stats.slice(0, limit) : stats;
+};
+
+// Start of the bucket a timestamp falls in: the day, the Monday of its
+// week, or the first of its month
+const bucketStart = (timestamp, interval) => {
+    const date = new Date(timestamp);
+    if (interval === 'week') {
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    } else if (interval === 'month') {
+        date.setUTCDate(1);
+    }
+    return date.toISOString().slice(0, 10);
+};
+
+// Registration activity counted per day, week or month, oldest first
+const registrationsOverTime = (scope, interval = 'day') => {
+    const buckets = new Map();
+
+    scopedActivity(scope).forEach(entry => {
+        const period = bucketStart(entry.at, interval);
+        if (!buckets.has(period)) {
+            buckets.set(period, {
+                period,
+                registrations: 0,
+                waitlisted: 0,
+                cancellations: 0,
+                eventDeletions: 0
+            });
+        }
+
+        const bucket = buckets.get(period);
+        if (REGISTRATION_TYPES.includes(entry.type)) {
+            bucket.registrations += 1;
+        } else if (entry.type === 'waitlisted') {
+            bucket.waitlisted += 1;
+        } else if (CANCELLATION_TYPES.includes(entry.type)) {
+            bucket.cancellations += 1;
+        } else if (entry.type === 'event_deleted') {
+            bucket.eventDeletions += 1;
+        }
+    });
+
+    return Array.from(buckets.values()).sort((a, b) => a.period.localeCompare(b.period));
+};
+
+// Totals over the events that are going ahead (or went ahead). Cancelled
+// events keep their registrations, so they are only counted, by the time
+// they were cancelled.
+const overview = (scope) => {
+    const stats = eventStats(scope).filter(event => event.status !== 'cancelled');
+    const activity = scopedActivity(scope);
+    const registrations = countTypes(activity, REGISTRATION_TYPES);
+    const cancellations = countTypes(activity, CANCELLATION_TYPES);
+    const totalCapacity = stats.reduce((sum, event) => sum + event.capacity, 0);
+    const registered = stats.reduce((sum, event) => sum + event.registered, 0);
+    const attended = stats.reduce((sum, event) => sum + event.attended, 0);
+
+    const eventsCancelled = db.events.list()
+        .filter(event => eventStatus(event) === 'cancelled')
+        .filter(event => managedBy(scope.organizerId, event))
+        .filter(event => inRange(event.cancelledAt, scope))
+        .length;
+
+    return {
+        events: stats.length,
+        eventsCancelled,
+        totalCapacity,
+        registered,
+        fillRate: ratio(registered, totalCapacity),
+        waitlisted: stats.reduce((sum, event) => sum + event.waitlist, 0),
+        attended,
+        registrations,
+        cancellations,
+        cancellationRate: ratio(cancellations, registrations)
+    };
+};
+
+module.exports = {
+    EVENT_SORTS,
+    overview,
+    eventStats,
+    topEvents,
+    registrationsOverTime
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+const db = require('../db');
+
+// Attendance is recorded per user and event: the first check-in counts
+// towards profile.eventsAttended, and every check-in/check-out pair is kept
+// as a session so organizers can see how long people stayed.
+
+const openSession = (record) =>
+    record.sessions.find(session => !session.leftAt) || null;
+
+// Record that a user is present. `method` is 'code' for self check-in or
+// 'organizer' when marked by the organizer. Returns { record, firstCheckIn,
+// alreadyPresent }.
+const checkIn = (event, user, { method, checkedInBy = null } = {}) => {
+    const now = new Date().toISOString();
+    const existing = db.attendance.find(event.id, user.id);
+
+    if (existing && openSession(existing)) {
+        return { record: existing, firstCheckIn: false, alreadyPresent: true };
+    }
+
+    const record = existing || {
+        eventId: event.id,
+        userId: user.id,
+        checkedInAt: now,
+        method,
+        checkedInBy,
+        sessions: []
+    };
+    record.sessions.push({ joinedAt: now, leftAt: null });
+    db.attendance.save(record);
+
+    if (!existing) {
+        user.profile.eventsAttended = (user.profile.eventsAttended || 0) + 1;
+        db.users.save(user);
+    }
+
+    return { record, firstCheckIn: !existing, alreadyPresent: false };
+};
+
+// Close the user's open session. Returns the record, or null if they
+// weren't checked in.
+const checkOut = (event, userId) => {
+    const record = db.attendance.find(event.id, userId);
+    const session = record && openSession(record);
+    if (!session) {
+        return null;
+    }
+
+    session.leftAt = new Date().toISOString();
+    db.attendance.save(record);
+    return record;
+};
+
+// Minutes present, counting open sessions up to now or the event end
+const minutesAttended = (record, event) => {
+    const end = Math.min(Date.now(), new Date(event.endsAt).getTime());
+    const total = record.sessions.reduce((sum, session) => {
+        const left = session.leftAt ? new Date(session.leftAt).getTime() : end;
+        return sum + Math.max(0, left - new Date(session.joinedAt).getTime());
+    }, 0);
+    return Math.round(total / 60000);
+};
+
+// Registered vs. attended for one event. People who checked in and later
+// cancelled still count as attended.
+const attendanceReport = (event) => {
+    const records = db.attendance.listForEvent(event.id);
+    const attendedIds = new Set(records.map(record => record.userId));
+    const registered = Array.from(event.participants);
+    const noShows = registered.filter(userId => !attendedIds.has(userId));
+    const ended = new Date(event.endsAt) <= new Date();
+
+    const describeUser = (userId) => {
+        const user = db.users.findById(userId);
+        return { userId, name: user?.name, email: user?.email };
+    };
+
+    return {
+        eventId: event.id,
+        title: event.title,
+        startsAt: event.startsAt,
+        endsAt: event.endsAt,
+        ended,
+        registered: registered.length,
+        attended: records.length,
+        noShows: noShows.length,
+        // Only meaningful once the event is over
+        noShowRate: ended && registered.length > 0
+            ? Number((noShows.length / registered.length).toFixed(4))
+            : null,
+        attendees: records
+            .sort((a, b) => a.checkedInAt.localeCompare(b.checkedInAt))
+            .map(record => ({
+                ...describeUser(record.userId),
+                checkedInAt: record.checkedInAt,
+                method: record.method,
+                present: Boolean(openSession(record)),
+                minutesAttended: minutesAttended(record, event),
+                sessions: record.sessions
+            })),
+        noShowList: ended ? noShows.map(describeUser) : []
+    };
+};
+
+module.exports = { checkIn, checkOut, attendanceReport };
\ No newline at end of file
@@ -0,0 +1,128 @@
+const db = require('../db');
+const { eventStart, localSchedule, viewerTimeZone } = require('../utils/time');
+const { searchEvents } = require('./searchService');
+const { canViewEvent, isCoOrganizer } = require('./eventService');
+const { eventStatus } = require('../utils/eventStatus');
+
+// Filtering, sorting and cursor pagination for GET /events. Events are
+// filtered and sorted as stored records; callers only shape the page they
+// get back.
+
+// Sort keys. Ties are broken by event id so every event has a fixed place
+// in the order and cursors never skip or repeat one. Relevance uses the
+// negated search score so ascending order puts the best match first.
+const SORTS = {
+    date: event => eventStart(event).toISOString(),
+    createdAt: event => event.createdAt,
+    spotsRemaining: event => event.capacity - event.participants.size,
+    relevance: (event, matches) => (matches && matches.has(event.id) ? -matches.get(event.id).score : 0)
+};
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Cursors are opaque to clients: the sort they belong to plus the sort key
+// and id of the last event on the previous page
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return payload && SORTS[payload.sort] && payload.id !== undefined ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Listed when no status filter is given
+const DEFAULT_STATUSES = ['published', 'completed'];
+
+const hasTag = (event, tag) =>
+    (event.tags || []).some(eventTag => eventTag.toLowerCase() === tag.toLowerCase());
+
+// Build the predicate for the given filters. Date filters use the start date
+// as seen in the requested or the viewer's time zone. Drafts are only
+// listed for the people who can manage them, and private events for the
+// people who have access.
+const eventFilter = (viewer, filters, matches) => {
+    const {
+        date, from, to, timeZone, onlyAvailable, organizer,
+        tag, category, registered, seriesId, status
+    } = filters;
+
+    return (event) => {
+        const currentStatus = eventStatus(event);
+        if (status ? currentStatus !== status : !DEFAULT_STATUSES.includes(currentStatus)) {
+            return false;
+        }
+        if (!canViewEvent(viewer, event)) {
+            return false;
+        }
+        if (matches && !matches.has(event.id)) {
+            return false;
+        }
+        if (date || from || to) {
+            const localDate = localSchedule(event, timeZone || viewerTimeZone(viewer, event)).start.date;
+            if ((date && localDate !== date) || (from && localDate < from) || (to && localDate > to)) {
+                return false;
+            }
+        }
+        if (onlyAvailable && event.participants.size >= event.capacity) {
+            return false;
+        }
+        if (organizer && event.createdBy !== organizer && !isCoOrganizer(organizer, event)) {
+            return false;
+        }
+        if (seriesId && event.seriesId !== seriesId) {
+            return false;
+        }
+        if (tag && !hasTag(event, tag)) {
+            return false;
+        }
+        if (category && (event.category || '').toLowerCase() !== category.toLowerCase()) {
+            return false;
+        }
+        if (registered !== undefined && event.participants.has(viewer.id) !== registered) {
+            return false;
+        }
+        return true;
+    };
+};
+
+// Returns { total, events, hasMore, nextCursor, matches } where total
+// counts every result and events is the requested page. `matches` holds the
+// full-text search results (Map(eventId -> { score, terms })) when `query`
+// was given. `cursor` must be decoded and belong to the same sort and order.
+const listEvents = (viewer, { sort = 'date', order = 'asc', limit = 20, cursor, ...filters }) => {
+    const matches = filters.query ? searchEvents(filters.query) : null;
+    const sortKey = (event) => SORTS[sort](event, matches);
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (a, b) => direction * (
+        compareValues(sortKey(a), sortKey(b)) || compareValues(a.id, b.id)
+    );
+
+    const results = db.events.list()
+        .filter(eventFilter(viewer, filters, matches))
+        .sort(compare);
+
+    const remaining = cursor
+        ? results.filter(event => direction * (
+            compareValues(sortKey(event), cursor.value) || compareValues(event.id, cursor.id)
+        ) > 0)
+        : results;
+
+    const events = remaining.slice(0, limit);
+    const hasMore = remaining.length > limit;
+    const last = events[events.length - 1];
+
+    return {
+        total: results.length,
+        events,
+        hasMore,
+        nextCursor: hasMore
+            ? encodeCursor({ sort, order, value: sortKey(last), id: last.id })
+            : null,
+        matches
+    };
+};
+
+module.exports = { SORTS, encodeCursor, decodeCursor, listEvents };
\ No newline at end of file
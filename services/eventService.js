@@ -0,0 +1,734 @@
+const db = require('../db');
+const { hasPermission } = require('../config/roles');
+const { logEvent } = require('../config/logger');
+const { sendEmail, sendBulkEmails } = require('../utils/email');
+const { generateId } = require('../utils/ids');
+const { applyEventSchedule, describeEventTime, zonedTimeToUtc } = require('../utils/time');
+const { calendarAttachment } = require('../utils/ical');
+const { newEventInviteCode, verifyEventInviteCode } = require('../utils/tokens');
+const { scheduleEventReminders, cancelEventReminders, joinLink } = require('./reminderService');
+const { indexEvent } = require('./searchService');
+const { shiftAgenda, agendaMinutes } = require('./agendaService');
+const { transitionEvent } = require('./lifecycleService');
+const { eventStatus, registrationClosedReason, isRegistrationOpen } = require('../utils/eventStatus');
+const { validateAnswers, formatAnswer } = require('../utils/registrationForm');
+const { eventBus } = require('../utils/eventBus');
+const { DEFAULT_EVENT_DURATION_MINUTES, JOIN_WINDOW_OPENS_MINUTES } = require('../config/config');
+
+// Shared event operations used by both the single-event and series routes.
+// Callers are responsible for authorization and for shaping responses.
+
+const isCoOrganizer = (userId, event) =>
+    (event.coOrganizers || []).some(entry => entry.userId === userId);
+
+// The creator owns the event until they transfer it; admins can act as the
+// owner of any event
+const isEventOwner = (user, event) =>
+    event.createdBy === user.id || hasPermission(user, 'events:manage-any');
+
+// Owners and co-organizers manage the event. Only the owner can cancel it,
+// change its co-organizers or hand it over.
+const canManageEvent = (user, event) =>
+    isEventOwner(user, event) || isCoOrganizer(user.id, event);
+
+const isInvited = (user, event) =>
+    (event.invites || []).some(invite => invite.email === user.email.toLowerCase());
+
+// Private events are open to their organizers, invited emails, people who
+// redeemed the invite code and anyone who already signed up
+const canAccessEvent = (user, event) =>
+    event.visibility !== 'private' ||
+    canManageEvent(user, event) ||
+    isInvited(user, event) ||
+    Boolean(event.accessGrants && event.accessGrants.has(user.id)) ||
+    event.participants.has(user.id) ||
+    Boolean(db.registrations.waitlistPosition(event.id, user.id)) ||
+    db.registrations.isPending(event.id, user.id);
+
+// Drafts only exist for the people who can manage them
+const canViewEvent = (user, event) =>
+    (eventStatus(event) !== 'draft' || canManageEvent(user, event)) && canAccessEvent(user, event);
+
+// Let the user see and register for a private event if the code is its
+// invite code. Returns whether it was.
+const redeemInviteCode = (event, user, code) => {
+    if (!verifyEventInviteCode(event, code)) {
+        return false;
+    }
+
+    event.accessGrants = event.accessGrants || new Set();
+    event.accessGrants.add(user.id);
+    db.events.save(event);
+    return true;
+};
+
+// Tags are stored lowercased so "AI" and "ai" are the same tag
+const normalizeTags = (tags) => [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+
+// Participants can fetch the join details from shortly before the start
+// until the end of the event
+const joinWindow = (event) => ({
+    opensAt: new Date(new Date(event.startsAt).getTime() - JOIN_WINDOW_OPENS_MINUTES * 60 * 1000),
+    closesAt: new Date(event.endsAt)
+});
+
+// Template data shared by emails that tell someone they have a seat
+const seatEmailData = (event, user) => ({
+    title: event.title,
+    when: describeEventTime(event, user),
+    location: (event.joinDetails && event.joinDetails.platform) || 'Online',
+    joinLink: joinLink(event, user),
+    joinOpensMinutes: JOIN_WINDOW_OPENS_MINUTES
+});
+
+// Calendar invite (or cancellation) for an event, sent from its organizer
+const eventInvite = (event, options) => calendarAttachment(
+    [{ event, organizer: db.users.findById(event.createdBy) }],
+    options
+);
+
+// Calendar clients ignore an update or cancellation whose SEQUENCE isn't
+// higher than the copy they have, so bump it before sending one to a single
+// attendee (unregistering, being removed)
+const bumpCalendarSequence = (event) => {
+    event.sequence = (event.sequence || 0) + 1;
+    db.events.save(event);
+};
+
+// Fill any seats that opened up from the head of the waitlist and email
+// everyone who got promoted. Email failures are logged, not thrown. Nobody
+// is promoted once registration has closed.
+const promoteWaitlistedUsers = async (event) => {
+    if (!isRegistrationOpen(event, { ignoreWindow: true })) {
+        return [];
+    }
+
+    const promoted = db.registrations.promoteFromWaitlist(event.id);
+
+    await Promise.all(promoted.map(async (participantId) => {
+        logEvent('info', 'User promoted from waitlist', {
+            userId: participantId,
+            eventId: event.id,
+            action: 'WAITLIST_PROMOTED'
+        });
+
+        const participant = db.users.findById(participantId);
+        if (!participant) {
+            return;
+        }
+
+        try {
+            await sendEmail(
+                participant.email,
+                'waitlistPromoted',
+                seatEmailData(event, participant),
+                [eventInvite(event)]
+            );
+        } catch (emailError) {
+            logEvent('warn', 'Failed to send waitlist promotion email', {
+                userId: participantId,
+                eventId: event.id,
+                action: 'WAITLIST_PROMOTION_EMAIL_FAILED',
+                error: emailError.message
+            });
+        }
+    }));
+
+    return promoted;
+};
+
+// Build and store a new event. `extra` carries fields such as seriesId.
+// Events are published right away unless created as drafts; a publishAt
+// time makes a draft that the lifecycle scheduler publishes then.
+const createEvent = ({ title, description, date, time, capacity, timeZone, durationMinutes, category, tags, joinDetails, reminderOffsetsMinutes, status, publishAt, registrationOpensAt, registrationClosesAt, registrationMode, visibility, registrationQuestions, speakers }, createdBy, extra = {}) => {
+    const createdAt = new Date().toISOString();
+    const initialStatus = publishAt ? 'draft' : status || 'published';
+    const event = {
+        id: generateId(),
+        title,
+        description: description || '',
+        date,
+        time,
+        timeZone,
+        durationMinutes: durationMinutes || DEFAULT_EVENT_DURATION_MINUTES,
+        capacity,
+        category: category || null,
+        tags: normalizeTags(tags || []),
+        joinDetails: joinDetails || null,
+        // null means the default REMINDER_OFFSETS_MINUTES
+        reminderOffsetsMinutes: reminderOffsetsMinutes || null,
+        // Registration is only taken inside this window (either end optional)
+        registrationOpensAt: registrationOpensAt || null,
+        registrationClosesAt: registrationClosesAt || null,
+        // 'approval' holds registrations until an organizer approves them
+        registrationMode: registrationMode || 'open',
+        visibility: visibility || 'public',
+        inviteCode: visibility === 'private' ? newEventInviteCode() : null,
+        // Questions attendees answer when registering
+        registrationQuestions: registrationQuestions || [],
+        // Emails invited to a private event, and users who redeemed its code
+        invites: [],
+        accessGrants: new Set(),
+        createdBy,
+        // Other organizers with edit rights: [{ userId, addedBy, addedAt }]
+        coOrganizers: [],
+        // Linked users ({ userId }) or external people ({ name, bio, photoUrl })
+        speakers: speakers || [],
+        participants: new Set(),
+        waitlist: [],
+        // Participants who turned off reminders for this event
+        reminderOptOuts: new Set(),
+        // Bumped on every change so calendar clients pick up updates
+        sequence: 0,
+        status: initialStatus,
+        publishAt: publishAt || null,
+        publishedAt: initialStatus === 'published' ? createdAt : null,
+        statusHistory: [{ from: null, to: initialStatus, at: createdAt, by: createdBy, reason: null }],
+        createdAt,
+        ...extra
+    };
+
+    db.events.create(applyEventSchedule(event));
+    indexEvent(event);
+    eventBus.emit('event.created', { event });
+    // Drafts get their reminders when they are published
+    if (initialStatus === 'published') {
+        scheduleEventReminders(event);
+    }
+    return event;
+};
+
+// Validation error for a registration window that closes before it opens
+const registrationWindowError = (opensAt, closesAt) =>
+    opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)
+        ? {
+            error: 'Validation failed',
+            details: [{ location: 'body', field: 'registrationClosesAt', message: 'registrationClosesAt must be after registrationOpensAt' }]
+        }
+        : null;
+
+// Linked speakers have to be existing users
+const unknownSpeakerError = (speakers) => {
+    const details = (speakers || [])
+        .map((speaker, index) => ({ speaker, index }))
+        .filter(({ speaker }) => speaker.userId && !db.users.findById(speaker.userId))
+        .map(({ index }) => ({
+            location: 'body',
+            field: `speakers[${index}].userId`,
+            message: `speakers[${index}].userId is not a known user`
+        }));
+
+    return details.length > 0 ? { error: 'Validation failed', details } : null;
+};
+
+const validationFailed = (field, message) => ({
+    error: 'Validation failed',
+    details: [{ location: 'body', field, message }]
+});
+
+// Checks an edit has to pass before updateEvent, shared by event and series
+// occurrence updates. Returns { status, body } for the error response, or
+// null when the changes can be applied.
+const eventUpdateError = (event, changes) => {
+    const current = (field) => field in changes ? changes[field] : event[field];
+
+    // Cancelled and completed events are kept as they were
+    const status = eventStatus(event);
+    if (status === 'cancelled' || status === 'completed') {
+        return { status: 409, body: { error: `Cannot update a ${status} event`, status } };
+    }
+
+    const windowError = registrationWindowError(current('registrationOpensAt'), current('registrationClosesAt'));
+    if (windowError) {
+        return { status: 400, body: windowError };
+    }
+
+    // Registration has to open before the event starts, also when either moves
+    const opensAt = current('registrationOpensAt');
+    const moved = ['registrationOpensAt', 'date', 'time', 'timeZone'].some(field => field in changes);
+    if (moved && opensAt && new Date(opensAt) >= zonedTimeToUtc(current('date'), current('time'), current('timeZone'))) {
+        return { status: 400, body: validationFailed('registrationOpensAt', 'registrationOpensAt must be before the event starts') };
+    }
+
+    const speakerError = unknownSpeakerError(changes.speakers);
+    if (speakerError) {
+        return { status: 400, body: speakerError };
+    }
+
+    // Sessions move with the event, so only a shorter duration can leave
+    // some of them outside it
+    if (changes.durationMinutes && changes.durationMinutes < agendaMinutes(event)) {
+        return { status: 400, body: validationFailed('durationMinutes', `durationMinutes must cover the agenda (${agendaMinutes(event)} minutes)`) };
+    }
+
+    if (changes.capacity && changes.capacity < event.participants.size) {
+        return {
+            status: 400,
+            body: {
+                error: 'New capacity cannot be less than current number of participants',
+                currentParticipants: event.participants.size
+            }
+        };
+    }
+
+    return null;
+};
+
+// Apply changes to an event, email participants about schedule changes and
+// promote waitlisted users if capacity grew. Callers must check that the new
+// capacity still fits the current participants. The stored event is changed
+// in place and saved before any email goes out, so registrations made in the
+// meantime are kept. Optional settings given as null are cleared.
+const updateEvent = async (event, changes, actorId) => {
+    const previous = { ...event };
+    const given = (field) => field in changes;
+
+    Object.assign(event, {
+        title: changes.title || event.title,
+        description: changes.description || event.description,
+        date: changes.date || event.date,
+        time: changes.time || event.time,
+        timeZone: changes.timeZone || event.timeZone,
+        durationMinutes: changes.durationMinutes || event.durationMinutes || DEFAULT_EVENT_DURATION_MINUTES,
+        capacity: changes.capacity || event.capacity,
+        category: given('category') ? changes.category : event.category ?? null,
+        tags: changes.tags ? normalizeTags(changes.tags) : event.tags || [],
+        joinDetails: given('joinDetails') ? changes.joinDetails : event.joinDetails ?? null,
+        reminderOffsetsMinutes: changes.reminderOffsetsMinutes || event.reminderOffsetsMinutes || null,
+        registrationOpensAt: given('registrationOpensAt') ? changes.registrationOpensAt : event.registrationOpensAt ?? null,
+        registrationClosesAt: given('registrationClosesAt') ? changes.registrationClosesAt : event.registrationClosesAt ?? null,
+        registrationMode: changes.registrationMode || event.registrationMode || 'open',
+        visibility: changes.visibility || event.visibility || 'public',
+        registrationQuestions: changes.registrationQuestions || event.registrationQuestions || [],
+        speakers: changes.speakers || event.speakers || [],
+        updatedAt: new Date().toISOString()
+    });
+    applyEventSchedule(event);
+    const moved = event.startsAt !== previous.startsAt;
+
+    // Sessions keep their place in the programme when the event moves
+    if (moved) {
+        shiftAgenda(event, previous.startsAt);
+    }
+
+    // An event made private gets its invite code the first time
+    if (event.visibility === 'private' && !event.inviteCode) {
+        event.inviteCode = newEventInviteCode();
+    }
+
+    const changedFields = ['title', 'description', 'date', 'time', 'timeZone', 'durationMinutes', 'capacity']
+        .filter(field => given(field) && changes[field] !== previous[field]);
+
+    if (changedFields.length > 0) {
+        event.sequence = (previous.sequence || 0) + 1;
+    }
+
+    // These aren't part of the calendar entry, so they don't bump the sequence
+    ['category', 'tags', 'joinDetails', 'reminderOffsetsMinutes', 'registrationOpensAt', 'registrationClosesAt', 'registrationMode', 'visibility', 'registrationQuestions', 'speakers']
+        .filter(field => given(field) &&
+            JSON.stringify(event[field]) !== JSON.stringify(previous[field]))
+        .forEach(field => changedFields.push(field));
+    const remindersChanged = changedFields.includes('reminderOffsetsMinutes');
+
+    db.events.save(event);
+    indexEvent(event);
+    if (changedFields.length > 0) {
+        eventBus.emit('event.updated', { event, changedFields, actorId });
+    }
+
+    if (eventStatus(event) === 'published' && (moved || remindersChanged)) {
+        scheduleEventReminders(event);
+    }
+
+    // If the start moved, attempt to notify participants
+    if (moved) {
+        await Promise.all(Array.from(event.participants).map(async (participantId) => {
+            const participant = db.users.findById(participantId);
+            if (!participant) {
+                return;
+            }
+
+            try {
+                await sendEmail(
+                    participant.email,
+                    'eventUpdated',
+                    { title: event.title, when: describeEventTime(event, participant) },
+                    [eventInvite(event)]
+                );
+            } catch (emailError) {
+                // Log email failure but continue with update
+                logEvent('warn', 'Failed to send update notification email', {
+                    userId: actorId,
+                    eventId: event.id,
+                    participantId,
+                    action: 'UPDATE_EVENT_EMAIL_FAILED',
+                    error: emailError.message
+                });
+            }
+        }));
+    }
+
+    // A capacity increase frees seats for people on the waitlist
+    const promotedFromWaitlist = event.capacity > previous.capacity
+        ? await promoteWaitlistedUsers(event)
+        : [];
+
+    return { event, changedFields, promotedFromWaitlist };
+};
+
+// Cancel an event. The event, its registrations and attendance stay on
+// record for reporting; pending reminders are dropped and everyone who was
+// registered, waitlisted or waiting for approval is emailed. Callers check
+// canTransition first. Returns the ids of the users that were notified.
+const cancelEvent = async (event, { actorId = null, reason = null } = {}) => {
+    const participants = [
+        ...event.participants,
+        ...(event.waitlist || []),
+        ...db.registrations.listPending(event.id).map(request => request.userId)
+    ];
+    const registered = Array.from(event.participants);
+
+    // Bumped so calendar clients replace the entry with the cancellation
+    event.sequence = (event.sequence || 0) + 1;
+    event.updatedAt = new Date().toISOString();
+    event.cancellationReason = reason;
+    transitionEvent(event, 'cancelled', { actorId, reason });
+    cancelEventReminders(event.id);
+
+    const invite = eventInvite(event, { cancelled: true });
+
+    const notifications = participants
+        .map(participantId => db.users.findById(participantId))
+        .filter(Boolean)
+        .map(participant => ({
+            email: participant.email,
+            template: 'eventCancelled',
+            data: { title: event.title, when: describeEventTime(event, participant), reason },
+            attachments: registered.includes(participant.id) ? [invite] : []
+        }));
+
+    // A cancelled occurrence becomes an exception of its series
+    const series = event.seriesId && db.series.findById(event.seriesId);
+    if (series) {
+        series.eventIds = series.eventIds.filter(id => id !== event.id);
+        if (!series.recurrence.exceptions.includes(event.seriesDate)) {
+            series.recurrence.exceptions.push(event.seriesDate);
+        }
+        db.series.save(series);
+    }
+
+    if (notifications.length > 0) {
+        await sendBulkEmails(notifications);
+    }
+
+    return participants;
+};
+
+// Give the user a seat, or a waitlist spot when the event is full, and
+// email them. `template` is the email sent for a seat.
+const seatOrWaitlist = async (event, user, template) => {
+    const userId = user.id;
+
+    // Event is full: queue the user instead of turning them away
+    if (event.participants.size >= event.capacity) {
+        const waitlistPosition = db.registrations.addToWaitlist(event.id, userId);
+
+        logEvent('info', 'User added to event waitlist', {
+            userId,
+            eventId: event.id,
+            action: 'JOIN_WAITLIST',
+            metadata: { waitlistPosition }
+        });
+
+        await sendEmail(user.email, 'waitlistJoined', {
+            title: event.title,
+            position: waitlistPosition
+        });
+
+        return { status: 'waitlisted', waitlistPosition };
+    }
+
+    // Add user to event participants and to the user's registered events
+    db.registrations.add(event.id, userId);
+
+    logEvent('info', 'User registered for event', {
+        userId,
+        eventId: event.id,
+        action: 'REGISTER_EVENT'
+    });
+
+    await sendEmail(
+        user.email,
+        template,
+        seatEmailData(event, user),
+        [eventInvite(event)]
+    );
+
+    return { status: 'registered' };
+};
+
+// Register a user for an event, or put them on the waitlist when it's full.
+// Resolves to { status } where status is 'registered', 'waitlisted',
+// 'pending' (waiting for the organizer's approval), 'already_registered',
+// 'already_waitlisted', 'already_pending', 'closed' (with a reason) when
+// the event doesn't take registrations right now, or 'invalid' (with
+// validation errors) when the answers don't fit the registration form.
+const registerForEvent = async (event, user, answers = {}) => {
+    const userId = user.id;
+
+    const closedReason = registrationClosedReason(event);
+    if (closedReason) {
+        return { status: 'closed', reason: closedReason };
+    }
+
+    if (event.participants.has(userId)) {
+        return { status: 'already_registered' };
+    }
+
+    const currentPosition = db.registrations.waitlistPosition(event.id, userId);
+    if (currentPosition) {
+        return { status: 'already_waitlisted', waitlistPosition: currentPosition };
+    }
+
+    if (db.registrations.isPending(event.id, userId)) {
+        return { status: 'already_pending' };
+    }
+
+    const form = validateAnswers(event.registrationQuestions, answers);
+    if (form.errors.length > 0) {
+        return { status: 'invalid', errors: form.errors };
+    }
+    db.registrations.recordDetails(event.id, userId, {
+        answers: form.answers,
+        answeredAt: new Date().toISOString()
+    });
+
+    if (event.registrationMode === 'approval') {
+        db.registrations.addPending(event.id, userId);
+
+        logEvent('info', 'User requested event registration', {
+            userId,
+            eventId: event.id,
+            action: 'REQUEST_REGISTRATION'
+        });
+
+        await sendEmail(user.email, 'registrationPending', {
+            title: event.title,
+            when: describeEventTime(event, user)
+        });
+
+        return { status: 'pending' };
+    }
+
+    return seatOrWaitlist(event, user, 'registrationConfirmed');
+};
+
+// Accept a pending request. The user gets a seat, or a waitlist spot if the
+// event filled up in the meantime. Resolves like registerForEvent.
+const approveRegistration = async (event, user) => {
+    db.registrations.removePending(event.id, user.id, 'approved');
+    return seatOrWaitlist(event, user, 'registrationApproved');
+};
+
+const rejectRegistration = async (event, user, reason) => {
+    db.registrations.removePending(event.id, user.id, 'rejected');
+
+    await sendEmail(user.email, 'registrationRejected', {
+        title: event.title,
+        when: describeEventTime(event, user),
+        reason
+    });
+};
+
+// Invite email addresses to a private event and email each new invitee.
+// Returns the addresses that hadn't been invited before.
+const inviteToEvent = async (event, emails, inviterId) => {
+    const alreadyInvited = new Set((event.invites || []).map(invite => invite.email));
+    const invitedAt = new Date().toISOString();
+    const added = [...new Set(emails.map(email => email.toLowerCase()))]
+        .filter(email => !alreadyInvited.has(email));
+
+    event.invites = [
+        ...(event.invites || []),
+        ...added.map(email => ({ email, invitedBy: inviterId, invitedAt }))
+    ];
+    db.events.save(event);
+
+    const organizer = db.users.findById(event.createdBy);
+    if (added.length > 0) {
+        await sendBulkEmails(added.map(email => ({
+            email,
+            template: 'eventInvitation',
+            data: {
+                title: event.title,
+                when: describeEventTime(event, db.users.findByEmail(email)),
+                organizer: organizer ? organizer.name : 'The organizer',
+                eventId: event.id,
+                inviteCode: event.inviteCode
+            }
+        })));
+    }
+
+    return added;
+};
+
+// Speakers as shown with the event. Linked users show their current name
+// unless the speaker entry overrides it.
+const eventSpeakers = (event) => (event.speakers || []).map(speaker => {
+    const user = speaker.userId ? db.users.findById(speaker.userId) : null;
+    return {
+        userId: speaker.userId || null,
+        name: speaker.name || (user ? user.name : null),
+        bio: speaker.bio || null,
+        photoUrl: speaker.photoUrl || null
+    };
+});
+
+// The owner and co-organizers with their names and emails
+const eventOrganizers = (event) => {
+    const owner = db.users.findById(event.createdBy);
+    return {
+        owner: { id: event.createdBy, name: owner?.name, email: owner?.email },
+        coOrganizers: (event.coOrganizers || []).map(entry => {
+            const user = db.users.findById(entry.userId);
+            return { id: entry.userId, name: user?.name, email: user?.email, addedBy: entry.addedBy, addedAt: entry.addedAt };
+        })
+    };
+};
+
+// Give another organizer edit rights on the event and email them. Returns
+// false when they already organize it.
+const addCoOrganizer = async (event, user, actorId) => {
+    if (event.createdBy === user.id || isCoOrganizer(user.id, event)) {
+        return false;
+    }
+
+    event.coOrganizers = [
+        ...(event.coOrganizers || []),
+        { userId: user.id, addedBy: actorId, addedAt: new Date().toISOString() }
+    ];
+    db.events.save(event);
+
+    const actor = db.users.findById(actorId);
+    await sendEmail(user.email, 'coOrganizerAdded', {
+        title: event.title,
+        when: describeEventTime(event, user),
+        addedBy: actor ? actor.name : 'The organizer'
+    });
+
+    return true;
+};
+
+// Returns false when the user wasn't a co-organizer
+const removeCoOrganizer = (event, userId) => {
+    if (!isCoOrganizer(userId, event)) {
+        return false;
+    }
+
+    event.coOrganizers = event.coOrganizers.filter(entry => entry.userId !== userId);
+    db.events.save(event);
+    return true;
+};
+
+// Hand the event over to another organizer and email them. The previous
+// owner stays on as a co-organizer unless keepPreviousOwner is false.
+const transferOwnership = async (event, newOwner, actorId, { keepPreviousOwner = true } = {}) => {
+    const previousOwnerId = event.createdBy;
+    const at = new Date().toISOString();
+
+    event.coOrganizers = (event.coOrganizers || []).filter(entry => entry.userId !== newOwner.id);
+    if (keepPreviousOwner) {
+        event.coOrganizers.push({ userId: previousOwnerId, addedBy: actorId, addedAt: at });
+    }
+    event.createdBy = newOwner.id;
+    event.ownershipHistory = [
+        ...(event.ownershipHistory || []),
+        { from: previousOwnerId, to: newOwner.id, at, by: actorId }
+    ];
+    db.events.save(event);
+
+    // The organized count follows the owner, not co-organizers
+    const previousOwner = db.users.findById(previousOwnerId);
+    if (previousOwner) {
+        previousOwner.profile.eventsOrganized = Math.max(0, previousOwner.profile.eventsOrganized - 1);
+        db.users.save(previousOwner);
+    }
+    newOwner.profile.eventsOrganized++;
+    db.users.save(newOwner);
+
+    await sendEmail(newOwner.email, 'eventOwnershipTransferred', {
+        title: event.title,
+        when: describeEventTime(event, newOwner),
+        previousOwner: previousOwner ? previousOwner.name : 'The previous organizer'
+    });
+};
+
+// Participants with their registration time and form answers, for the
+// organizer's roster export
+const attendeeRoster = (event) => {
+    const questions = event.registrationQuestions || [];
+
+    // Registrations from before details were recorded fall back to the
+    // latest time the user got a seat in the activity log
+    const seatedAt = new Map();
+    db.registrations.listActivity()
+        .filter(entry => entry.eventId === event.id && ['registered', 'promoted'].includes(entry.type))
+        .forEach(entry => seatedAt.set(entry.userId, entry.at));
+
+    return [...event.participants].map(userId => {
+        const user = db.users.findById(userId);
+        const details = db.registrations.getDetails(event.id, userId);
+        const answers = details ? details.answers : {};
+
+        return {
+            userId,
+            name: user ? user.name : null,
+            email: user ? user.email : null,
+            registeredAt: (details && details.registeredAt) || seatedAt.get(userId) || null,
+            answers: Object.fromEntries(questions.map(question => [question.id, answers[question.id] ?? null]))
+        };
+    });
+};
+
+// Flattens roster entries into CSV rows, one answers.<id> column per question
+const attendeeRosterCsv = (event, roster) => {
+    const questions = event.registrationQuestions || [];
+    const columns = ['userId', 'name', 'email', 'registeredAt', ...questions.map(question => `answers.${question.id}`)];
+    const rows = roster.map(({ answers, ...attendee }) => ({
+        ...attendee,
+        ...Object.fromEntries(questions.map(question => [`answers.${question.id}`, formatAnswer(answers[question.id])]))
+    }));
+
+    return { columns, rows };
+};
+
+module.exports = {
+    isCoOrganizer,
+    isEventOwner,
+    canManageEvent,
+    canAccessEvent,
+    canViewEvent,
+    redeemInviteCode,
+    joinWindow,
+    eventInvite,
+    bumpCalendarSequence,
+    promoteWaitlistedUsers,
+    createEvent,
+    normalizeTags,
+    registrationWindowError,
+    unknownSpeakerError,
+    eventUpdateError,
+    updateEvent,
+    cancelEvent,
+    registerForEvent,
+    approveRegistration,
+    rejectRegistration,
+    inviteToEvent,
+    attendeeRoster,
+    attendeeRosterCsv,
+    eventSpeakers,
+    eventOrganizers,
+    addCoOrganizer,
+    removeCoOrganizer,
+    transferOwnership
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+const db = require('../db');
+const { logEvent } = require('../config/logger');
+const { eventStatus, canTransition } = require('../utils/eventStatus');
+const { eventBus } = require('../utils/eventBus');
+const { scheduleEventReminders } = require('./reminderService');
+const { notifyInterestedUsers } = require('./recommendationService');
+const { LIFECYCLE_POLL_INTERVAL_SECONDS } = require('../config/config');
+
+let schedulerTimer = null;
+let processing = false;
+
+// When an event entered each status
+const TIMESTAMP_FIELDS = {
+    published: 'publishedAt',
+    cancelled: 'cancelledAt',
+    completed: 'completedAt'
+};
+
+// Move an event to a new status, append the change to its status history
+// and log it. Throws if the move isn't allowed, so routes check
+// canTransition first to answer with a proper error.
+const transitionEvent = (event, status, { actorId = null, reason = null } = {}) => {
+    const from = eventStatus(event);
+    if (!canTransition(event, status)) {
+        throw new Error(`Event ${event.id} cannot move from ${from} to ${status}`);
+    }
+
+    const at = new Date().toISOString();
+    event.status = status;
+    event[TIMESTAMP_FIELDS[status]] = at;
+    event.statusHistory = [...(event.statusHistory || []), { from, to: status, at, by: actorId, reason }];
+    db.events.save(event);
+
+    logEvent('info', 'Event status changed', {
+        userId: actorId,
+        eventId: event.id,
+        action: 'EVENT_STATUS_CHANGED',
+        metadata: { from, to: status, reason }
+    });
+    eventBus.emit('event.status', { event, from, to: status, reason, actorId });
+
+    return event;
+};
+
+// Publish a draft: it shows up in listings and takes registrations from
+// now on, so reminders are scheduled and interested users are alerted
+const publishEvent = async (event, { actorId = null } = {}) => {
+    event.publishAt = null;
+    transitionEvent(event, 'published', { actorId });
+    scheduleEventReminders(event);
+
+    try {
+        await notifyInterestedUsers(event);
+    } catch (emailError) {
+        logEvent('warn', 'Failed to queue interest alerts', {
+            userId: actorId,
+            eventId: event.id,
+            action: 'INTEREST_ALERTS_FAILED',
+            error: emailError.message
+        });
+    }
+
+    return event;
+};
+
+// Publish drafts whose publishAt has come and complete published events
+// that have ended. Runs one pass at a time; an event that fails is logged
+// and retried on the next pass without holding up the others.
+const processLifecycle = async () => {
+    if (processing) {
+        return;
+    }
+    processing = true;
+    try {
+        const now = new Date();
+        for (const event of db.events.list()) {
+            try {
+                const status = eventStatus(event);
+                if (status === 'draft' && event.publishAt && new Date(event.publishAt) <= now) {
+                    await publishEvent(event);
+                } else if (status === 'published' && new Date(event.endsAt) <= now) {
+                    transitionEvent(event, 'completed');
+                }
+            } catch (error) {
+                logEvent('error', 'Failed to update event status', {
+                    eventId: event.id,
+                    action: 'LIFECYCLE_UPDATE_FAILED',
+                    error: error.message
+                });
+            }
+        }
+    } catch (error) {
+        console.error('Error updating event statuses:', error);
+    } finally {
+        processing = false;
+    }
+};
+
+const startLifecycleScheduler = () => {
+    if (schedulerTimer) {
+        return;
+    }
+
+    schedulerTimer = setInterval(processLifecycle, LIFECYCLE_POLL_INTERVAL_SECONDS * 1000);
+    schedulerTimer.unref();
+    processLifecycle();
+};
+
+const stopLifecycleScheduler = () => {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+};
+
+module.exports = {
+    transitionEvent,
+    publishEvent,
+    processLifecycle,
+    startLifecycleScheduler,
+    stopLifecycleScheduler
+};
\ No newline at end of file
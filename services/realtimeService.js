@@ -0,0 +1,198 @@
+const db = require('../db');
+const { eventBus, safely } = require('../utils/eventBus');
+const { generateId } = require('../utils/ids');
+const { canManageEvent, canViewEvent } = require('./eventService');
+const { REALTIME_HEARTBEAT_SECONDS } = require('../config/config');
+
+// Server-Sent Events streams, fed from the in-process event bus. Each user
+// gets seat count changes, updates and status changes for the events they
+// follow; organizers also get live registration activity for their events.
+// Message types: 'ready', 'spots', 'registration', 'event.updated',
+// 'event.status' and 'closed' (sent just before the server ends a stream).
+
+// Open streams by id: { id, userId, sessionId, followed, res, expiryTimer }
+const streams = new Map();
+let messageId = 0;
+let heartbeatTimer = null;
+
+const send = (stream, type, data) => {
+    messageId++;
+    stream.res.write(`id: ${messageId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Users follow events they asked for when connecting, are registered,
+// waitlisted or waiting for approval on, or help organize
+const follows = (stream, user, event) =>
+    canViewEvent(user, event) && (
+        stream.followed.has(event.id) ||
+        event.participants.has(user.id) ||
+        Boolean(db.registrations.waitlistPosition(event.id, user.id)) ||
+        db.registrations.isPending(event.id, user.id) ||
+        canManageEvent(user, event)
+    );
+
+// Send to every open stream whose user passes the check
+const broadcast = (type, data, shouldReceive) => {
+    streams.forEach(stream => {
+        const user = db.users.findById(stream.userId);
+        if (user && shouldReceive(stream, user)) {
+            send(stream, type, data);
+        }
+    });
+};
+
+const seatCounts = (event) => ({
+    eventId: event.id,
+    capacity: event.capacity,
+    participantCount: event.participants.size,
+    spotsRemaining: Math.max(0, event.capacity - event.participants.size),
+    waitlistCount: (event.waitlist || []).length
+});
+
+const pushFailure = {
+    level: 'warn',
+    message: 'Failed to push real-time update',
+    action: 'REALTIME_PUSH_FAILED'
+};
+
+const listeners = {
+    'registration.activity': safely(pushFailure, ({ event, entry }) => {
+        // The user the change is about hears about it even when it means
+        // they no longer follow the event
+        broadcast('spots', seatCounts(event), (stream, user) =>
+            user.id === entry.userId || follows(stream, user, event));
+
+        const attendee = db.users.findById(entry.userId);
+        broadcast('registration', {
+            ...seatCounts(event),
+            userId: entry.userId,
+            name: attendee ? attendee.name : null,
+            type: entry.type,
+            at: entry.at
+        }, (stream, user) => canManageEvent(user, event));
+    }),
+
+    'event.updated': safely(pushFailure, ({ event, changedFields }) => {
+        broadcast('event.updated', {
+            ...seatCounts(event),
+            changedFields,
+            title: event.title,
+            date: event.date,
+            time: event.time,
+            timeZone: event.timeZone,
+            startsAt: event.startsAt,
+            endsAt: event.endsAt,
+            updatedAt: event.updatedAt
+        }, (stream, user) => follows(stream, user, event));
+    }),
+
+    'event.status': safely(pushFailure, ({ event, from, to, reason }) => {
+        broadcast('event.status', {
+            eventId: event.id,
+            title: event.title,
+            from,
+            to,
+            reason
+        }, (stream, user) => follows(stream, user, event));
+    })
+};
+
+// End a stream from the server side, telling the client why first:
+// 'token_expired' (get a new token, then reconnect) or 'session_revoked'
+const closeStream = (stream, reason) => {
+    streams.delete(stream.id);
+    clearTimeout(stream.expiryTimer);
+    send(stream, 'closed', { reason });
+    stream.res.end();
+};
+
+// Longest delay setTimeout accepts; longer ones fire immediately
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Close the stream once expiresAt (ms) has passed, waiting in steps short
+// enough for setTimeout when the token lives longer than that
+const scheduleExpiry = (stream, expiresAt) => {
+    const delay = expiresAt - Date.now();
+    if (delay > MAX_TIMER_DELAY) {
+        stream.expiryTimer = setTimeout(() => scheduleExpiry(stream, expiresAt), MAX_TIMER_DELAY);
+    } else {
+        stream.expiryTimer = setTimeout(() => closeStream(stream, 'token_expired'), Math.max(0, delay));
+    }
+    stream.expiryTimer.unref();
+};
+
+const streamCount = (userId) =>
+    [...streams.values()].filter(stream => stream.userId === userId).length;
+
+// Turn the response into an event stream for the user. followedEventIds are
+// extra events to follow; callers check that the user can see them.
+const openStream = (req, res, user, followedEventIds) => {
+    const stream = {
+        id: generateId(),
+        userId: user.id,
+        sessionId: req.user.sid,
+        followed: new Set(followedEventIds),
+        res
+    };
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stop reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // Clients reconnect after this many milliseconds if the stream drops
+    res.write('retry: 5000\n\n');
+
+    streams.set(stream.id, stream);
+    // A stream lasts no longer than the access token it was opened with
+    scheduleExpiry(stream, req.user.exp * 1000);
+    req.on('close', () => {
+        streams.delete(stream.id);
+        clearTimeout(stream.expiryTimer);
+    });
+
+    send(stream, 'ready', { streamId: stream.id, following: followedEventIds });
+    return stream;
+};
+
+// Keep streams alive through proxies, and close the ones whose login
+// session was logged out or revoked
+const heartbeat = () => {
+    streams.forEach(stream => {
+        if (!db.sessions.isActive(stream.sessionId)) {
+            closeStream(stream, 'session_revoked');
+            return;
+        }
+        stream.res.write(': ping\n\n');
+    });
+};
+
+const startRealtime = () => {
+    if (heartbeatTimer) {
+        return;
+    }
+    Object.entries(listeners).forEach(([message, listener]) => eventBus.on(message, listener));
+    heartbeatTimer = setInterval(heartbeat, REALTIME_HEARTBEAT_SECONDS * 1000);
+    heartbeatTimer.unref();
+};
+
+const stopRealtime = () => {
+    Object.entries(listeners).forEach(([message, listener]) => eventBus.off(message, listener));
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    streams.forEach(stream => {
+        clearTimeout(stream.expiryTimer);
+        stream.res.end();
+    });
+    streams.clear();
+};
+
+module.exports = {
+    streamCount,
+    openStream,
+    startRealtime,
+    stopRealtime
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+const db = require('../db');
+const { logEvent } = require('../config/logger');
+const { sendBulkEmails } = require('../utils/email');
+const { describeEventTime } = require('../utils/time');
+const { isRegistrationOpen } = require('../utils/eventStatus');
+
+// Interest matching between users and events. Interests and tags are
+// compared case-insensitively; an interest matches an event's tags and its
+// category.
+
+const lower = (values) => (values || []).map(value => value.toLowerCase());
+
+const eventKeywords = (event) =>
+    [...(event.tags || []), ...(event.category ? [event.category] : [])];
+
+const matchingInterests = (user, event) => {
+    const keywords = eventKeywords(event);
+    return lower(user.profile.interests).filter(interest => keywords.includes(interest));
+};
+
+// What the user's past registrations and check-ins say they like
+const userHistory = (user) => {
+    const eventIds = new Set([
+        ...db.registrations.eventIdsForUser(user.id),
+        ...db.attendance.listForUser(user.id).map(record => record.eventId)
+    ]);
+    const events = Array.from(eventIds)
+        .map(eventId => db.events.findById(eventId))
+        .filter(Boolean);
+
+    return {
+        keywords: new Set(events.flatMap(eventKeywords)),
+        organizers: new Set(events.map(event => event.createdBy))
+    };
+};
+
+// Weights: an explicit interest counts most, then similarity to events the
+// user signed up for before, then a familiar organizer
+const scoreEvent = (user, event, history) => {
+    const interests = matchingInterests(user, event);
+    const similar = eventKeywords(event)
+        .filter(keyword => history.keywords.has(keyword) && !interests.includes(keyword));
+    const knownOrganizer = history.organizers.has(event.createdBy);
+
+    const reasons = [
+        ...interests.map(interest => `Matches your interest "${interest}"`),
+        ...similar.map(keyword => `Similar to events you registered for ("${keyword}")`),
+        ...(knownOrganizer ? ['From an organizer whose events you signed up for before'] : [])
+    ];
+
+    return {
+        score: interests.length * 3 + similar.length * 2 + (knownOrganizer ? 1 : 0),
+        reasons
+    };
+};
+
+// Public events open for registration with free seats that the user isn't
+// already in, best match first and soonest first among equals
+const recommendEvents = (user, { limit = 10 } = {}) => {
+    const now = new Date();
+    const history = userHistory(user);
+
+    return db.events.list()
+        .filter(event => event.visibility !== 'private')
+        .filter(event => isRegistrationOpen(event, { now }))
+        .filter(event => event.participants.size < event.capacity)
+        .filter(event => event.createdBy !== user.id)
+        .filter(event => !event.participants.has(user.id) &&
+            !db.registrations.waitlistPosition(event.id, user.id))
+        .map(event => ({ event, ...scoreEvent(user, event, history) }))
+        .sort((a, b) => b.score - a.score || a.event.startsAt.localeCompare(b.event.startsAt))
+        .slice(0, limit);
+};
+
+// Email users who opted in to interest alerts about a new event that
+// matches their interests. Private events are never announced. Returns the
+// number of alerts queued.
+const notifyInterestedUsers = async (event) => {
+    if (event.visibility === 'private') {
+        return 0;
+    }
+
+    const recipients = db.users.list()
+        .filter(user => user.id !== event.createdBy && user.profile.interestAlerts)
+        .map(user => ({ user, interests: matchingInterests(user, event) }))
+        .filter(({ interests }) => interests.length > 0);
+
+    if (recipients.length === 0) {
+        return 0;
+    }
+
+    await sendBulkEmails(recipients.map(({ user, interests }) => ({
+        email: user.email,
+        template: 'interestAlert',
+        data: {
+            title: event.title,
+            when: describeEventTime(event, user),
+            interests,
+            eventId: event.id
+        }
+    })));
+
+    logEvent('info', 'Interest alerts queued', {
+        eventId: event.id,
+        action: 'INTEREST_ALERTS_SENT',
+        metadata: { recipients: recipients.length }
+    });
+
+    return recipients.length;
+};
+
+module.exports = { recommendEvents, notifyInterestedUsers };
\ No newline at end of file
@@ -0,0 +1,170 @@
+const db = require('../db');
+const { logEvent } = require('../config/logger');
+const { sendBulkEmails } = require('../utils/email');
+const { generateId } = require('../utils/ids');
+const { describeEventTime } = require('../utils/time');
+const { eventStatus } = require('../utils/eventStatus');
+const { signJoinToken } = require('../utils/tokens');
+const {
+    APP_URL,
+    REMINDER_OFFSETS_MINUTES,
+    REMINDER_POLL_INTERVAL_SECONDS
+} = require('../config/config');
+
+let schedulerTimer = null;
+let processing = false;
+
+// Offsets (minutes before start) used for an event: its own, or the default
+const reminderOffsets = (event) => event.reminderOffsetsMinutes || REMINDER_OFFSETS_MINUTES;
+
+// Personal link a participant clicks from an email to join the event
+const joinLink = (event, user) =>
+    `${APP_URL}/events/${event.id}/join-link?token=${encodeURIComponent(signJoinToken(user, event))}`;
+
+// "1 hour 30 minutes", "15 minutes"
+const describeOffset = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return [
+        hours ? `${hours} hour${hours === 1 ? '' : 's'}` : null,
+        rest ? `${rest} minute${rest === 1 ? '' : 's'}` : null
+    ].filter(Boolean).join(' ');
+};
+
+const wantsReminders = (user, event) =>
+    user.profile.emailReminders !== false &&
+    !(event.reminderOptOuts && event.reminderOptOuts.has(user.id));
+
+// (Re)build the pending reminders for an event from its current start time
+// and offsets. Reminders whose time has already passed are not created, and
+// one that was already sent for the same start time is not sent again.
+const scheduleEventReminders = (event) => {
+    db.reminders.deleteScheduledForEvent(event.id);
+
+    const start = new Date(event.startsAt).getTime();
+    const alreadySent = db.reminders.listForEvent(event.id)
+        .filter(reminder => reminder.startsAt === event.startsAt)
+        .map(reminder => reminder.offsetMinutes);
+
+    reminderOffsets(event)
+        .filter(offset => !alreadySent.includes(offset))
+        .map(offset => ({ offset, sendAt: start - offset * 60 * 1000 }))
+        .filter(({ sendAt }) => sendAt > Date.now())
+        .forEach(({ offset, sendAt }) => db.reminders.create({
+            id: generateId(),
+            eventId: event.id,
+            offsetMinutes: offset,
+            startsAt: event.startsAt,
+            sendAt: new Date(sendAt).toISOString(),
+            status: 'scheduled',
+            createdAt: new Date().toISOString()
+        }));
+};
+
+const cancelEventReminders = (eventId) => {
+    db.reminders.deleteAllForEvent(eventId);
+};
+
+const sendReminder = async (reminder) => {
+    const event = db.events.findById(reminder.eventId);
+    if (!event) {
+        cancelEventReminders(reminder.eventId);
+        return;
+    }
+
+    // Don't remind people about something that has already started, e.g.
+    // after the server was down past the send time, or isn't going ahead
+    if (new Date(event.startsAt) <= new Date() || eventStatus(event) !== 'published') {
+        reminder.status = 'skipped';
+        db.reminders.save(reminder);
+        return;
+    }
+
+    const recipients = Array.from(event.participants)
+        .map(participantId => db.users.findById(participantId))
+        .filter(participant => participant && wantsReminders(participant, event));
+
+    await sendBulkEmails(recipients.map(participant => ({
+        email: participant.email,
+        template: 'eventReminder',
+        data: {
+            title: event.title,
+            when: describeEventTime(event, participant),
+            startsIn: describeOffset(reminder.offsetMinutes),
+            joinLink: joinLink(event, participant)
+        }
+    })));
+
+    reminder.status = 'sent';
+    reminder.sentAt = new Date().toISOString();
+    reminder.recipients = recipients.length;
+    db.reminders.save(reminder);
+
+    logEvent('info', 'Event reminder sent', {
+        eventId: event.id,
+        action: 'EVENT_REMINDER_SENT',
+        metadata: {
+            offsetMinutes: reminder.offsetMinutes,
+            recipients: recipients.length
+        }
+    });
+};
+
+// Send everything that is due. Runs one batch at a time, so a slow batch
+// isn't picked up again by the next poll and sent twice. A reminder that
+// fails is logged and retried on the next poll without holding up the others.
+const processDueReminders = async () => {
+    if (processing) {
+        return;
+    }
+    processing = true;
+    try {
+        for (const reminder of db.reminders.listDue()) {
+            try {
+                await sendReminder(reminder);
+            } catch (error) {
+                logEvent('error', 'Failed to send event reminder', {
+                    eventId: reminder.eventId,
+                    action: 'EVENT_REMINDER_FAILED',
+                    metadata: { reminderId: reminder.id, offsetMinutes: reminder.offsetMinutes },
+                    error: error.message
+                });
+            }
+        }
+    } catch (error) {
+        console.error('Error sending event reminders:', error);
+    } finally {
+        processing = false;
+    }
+};
+
+const startReminderScheduler = () => {
+    if (schedulerTimer) {
+        return;
+    }
+
+    // Events stored before reminders existed get their schedule now
+    db.events.list()
+        .filter(event => eventStatus(event) === 'published')
+        .filter(event => db.reminders.listForEvent(event.id).length === 0)
+        .forEach(scheduleEventReminders);
+
+    schedulerTimer = setInterval(processDueReminders, REMINDER_POLL_INTERVAL_SECONDS * 1000);
+    schedulerTimer.unref();
+    processDueReminders();
+};
+
+const stopReminderScheduler = () => {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+};
+
+module.exports = {
+    reminderOffsets,
+    joinLink,
+    scheduleEventReminders,
+    cancelEventReminders,
+    processDueReminders,
+    startReminderScheduler,
+    stopReminderScheduler
+};
\ No newline at end of file
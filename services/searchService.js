@@ -0,0 +1,40 @@
+const db = require('../db');
+const { SearchIndex, highlight } = require('../utils/textSearch');
+
+// Full-text index over events, kept in step with event create/update by
+// eventService. Events stay indexed whatever their status; listings filter
+// by status. Built from the store on first use.
+const FIELD_BOOSTS = { title: 3, tags: 2, description: 1 };
+
+let index = null;
+
+const eventDocument = (event) => ({
+    title: event.title,
+    tags: [...(event.tags || []), event.category || ''].join(' '),
+    description: event.description
+});
+
+const getIndex = () => {
+    if (!index) {
+        index = new SearchIndex(FIELD_BOOSTS);
+        db.events.list().forEach(event => index.add(event.id, eventDocument(event)));
+    }
+    return index;
+};
+
+const indexEvent = (event) => {
+    getIndex().add(event.id, eventDocument(event));
+};
+
+// Map(eventId -> { score, terms }) of events matching every word of the
+// query, or null if the query has nothing searchable (only stop words)
+const searchEvents = (query) => getIndex().search(query);
+
+// Highlighted title, description snippet and matching tags for a result
+const highlightEvent = (event, terms) => ({
+    title: highlight(event.title, terms),
+    snippet: highlight(event.description, terms, { maxLength: 160 }),
+    tags: (event.tags || []).filter(tag => highlight(tag, terms).includes('<mark>'))
+});
+
+module.exports = { indexEvent, searchEvents, highlightEvent };
\ No newline at end of file
@@ -0,0 +1,350 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const db = require('../db');
+const { logEvent } = require('../config/logger');
+const { hasPermission } = require('../config/roles');
+const { eventBus, safely } = require('../utils/eventBus');
+const { generateId } = require('../utils/ids');
+const { signWebhookPayload } = require('../utils/webhookSignature');
+const { eventStatus } = require('../utils/eventStatus');
+const { isPrivateAddress, hostAddress, publicLookup } = require('../utils/network');
+const { canManageEvent } = require('./eventService');
+const {
+    WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_RETRY_BASE_SECONDS,
+    WEBHOOK_RETRY_MAX_SECONDS,
+    WEBHOOK_POLL_INTERVAL_SECONDS,
+    WEBHOOK_TIMEOUT_SECONDS,
+    WEBHOOK_ALLOW_PRIVATE_TARGETS
+} = require('../config/config');
+
+// Outgoing webhooks. Changes announced on the event bus become one delivery
+// per active webhook that subscribes to the type and whose owner manages the
+// event. Like the email outbox, deliveries are stored first and POSTed by a
+// background worker, signed with the webhook's secret and retried with
+// exponential backoff.
+
+const WEBHOOK_EVENT_TYPES = [
+    'event.created',
+    'event.updated',
+    'event.published',
+    'event.cancelled',
+    'event.completed',
+    'registration.created',
+    'registration.waitlisted',
+    'registration.cancelled'
+];
+
+// Registration activity types webhooks hear about
+const REGISTRATION_TYPES = {
+    registered: 'registration.created',
+    promoted: 'registration.created',
+    waitlisted: 'registration.waitlisted',
+    cancelled: 'registration.cancelled',
+    removed: 'registration.cancelled'
+};
+
+const STATUS_TYPES = {
+    published: 'event.published',
+    cancelled: 'event.cancelled',
+    completed: 'event.completed'
+};
+
+let workerTimer = null;
+let processing = false;
+
+// Seconds to wait before the next attempt, doubling each time
+const retryDelaySeconds = (attempts) =>
+    Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+
+const eventPayload = (event) => ({
+    id: event.id,
+    title: event.title,
+    description: event.description,
+    date: event.date,
+    time: event.time,
+    timeZone: event.timeZone,
+    startsAt: event.startsAt,
+    endsAt: event.endsAt,
+    capacity: event.capacity,
+    participantCount: event.participants.size,
+    waitlistCount: (event.waitlist || []).length,
+    status: eventStatus(event),
+    category: event.category || null,
+    tags: event.tags || [],
+    visibility: event.visibility || 'public',
+    seriesId: event.seriesId || null,
+    createdBy: event.createdBy
+});
+
+// Store one delivery per webhook. Every delivery of the same change carries
+// the same envelope id, so receivers can drop duplicates.
+const queueDeliveries = (webhooks, type, data) => {
+    const now = new Date().toISOString();
+    const body = JSON.stringify({ id: generateId(), type, createdAt: now, data });
+
+    const deliveries = webhooks.map(webhook => db.webhooks.createDelivery({
+        id: generateId(),
+        webhookId: webhook.id,
+        type,
+        eventId: data.event ? data.event.id : null,
+        // Stored serialized, so every attempt signs and sends the same bytes
+        body,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastAttemptAt: null,
+        responseStatus: null,
+        lastError: null,
+        // One entry per attempt: { at, responseStatus, error, durationMs }
+        attemptLog: [],
+        createdAt: now
+    }));
+
+    if (deliveries.length > 0) {
+        scheduleProcessing();
+    }
+    return deliveries;
+};
+
+// Queue a change to an event for the webhooks whose owners manage it
+const publish = (type, event, data = {}) => {
+    const webhooks = db.webhooks.listSubscribed(type).filter(webhook => {
+        const owner = db.users.findById(webhook.ownerId);
+        return owner && hasPermission(owner, 'webhooks:manage') && canManageEvent(owner, event);
+    });
+
+    if (webhooks.length > 0) {
+        queueDeliveries(webhooks, type, { event: eventPayload(event), ...data });
+    }
+};
+
+const queueFailure = {
+    level: 'error',
+    message: 'Failed to queue webhook deliveries',
+    action: 'WEBHOOK_QUEUE_FAILED'
+};
+
+const listeners = {
+    'event.created': safely(queueFailure, ({ event }) => publish('event.created', event)),
+
+    'event.updated': safely(queueFailure, ({ event, changedFields }) =>
+        publish('event.updated', event, { changedFields })),
+
+    'event.status': safely(queueFailure, ({ event, from, to, reason }) => {
+        if (STATUS_TYPES[to]) {
+            publish(STATUS_TYPES[to], event, { from, reason });
+        }
+    }),
+
+    'registration.activity': safely(queueFailure, ({ event, entry }) => {
+        const type = REGISTRATION_TYPES[entry.type];
+        if (!type) {
+            return;
+        }
+
+        const attendee = db.users.findById(entry.userId);
+        publish(type, event, {
+            registration: {
+                userId: entry.userId,
+                name: attendee ? attendee.name : null,
+                email: attendee ? attendee.email : null,
+                activity: entry.type,
+                at: entry.at
+            }
+        });
+    })
+};
+
+// POST a signed body and resolve with the response status. Only the status
+// is kept: storing or returning what the endpoint answered would let
+// webhooks be used to read responses from hosts the server can reach.
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = hostAddress(target.hostname);
+
+    // Names are checked when they are resolved (see publicLookup); IP
+    // literals never go through a lookup, so check them here
+    if (!WEBHOOK_ALLOW_PRIVATE_TARGETS && net.isIP(host) && isPrivateAddress(host)) {
+        return reject(new Error(`Refusing to deliver to private address ${host}`));
+    }
+
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: WEBHOOK_ALLOW_PRIVATE_TARGETS ? undefined : publicLookup
+    }, (response) => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+        response.on('error', reject);
+    });
+
+    request.setTimeout(WEBHOOK_TIMEOUT_SECONDS * 1000, () => {
+        request.destroy(new Error(`No response within ${WEBHOOK_TIMEOUT_SECONDS} seconds`));
+    });
+    request.on('error', (error) => reject(error.code === 'EPRIVATEADDRESS'
+        ? new Error(`Refusing to deliver: ${error.message}`)
+        : error));
+    request.end(body);
+});
+
+// POST one delivery and record the outcome
+const deliver = async (delivery) => {
+    const webhook = db.webhooks.findById(delivery.webhookId);
+
+    // Deliveries queued before the webhook was turned off are not sent
+    if (!webhook || !webhook.active) {
+        delivery.status = 'dead';
+        delivery.deadAt = new Date().toISOString();
+        delivery.lastError = 'Webhook is disabled';
+        db.webhooks.saveDelivery(delivery);
+        return delivery;
+    }
+
+    delivery.status = 'sending';
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date().toISOString();
+    delivery.responseStatus = null;
+    db.webhooks.saveDelivery(delivery);
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+        // Redirects are not followed, so a 3xx is a failure like any non-2xx
+        delivery.responseStatus = await postWebhook(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'VirtualEventPlatform-Webhooks',
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': delivery.type,
+            'X-Webhook-Signature': `t=${timestamp},v1=${signWebhookPayload(webhook.secret, timestamp, delivery.body)}`
+        }, delivery.body);
+
+        if (delivery.responseStatus < 200 || delivery.responseStatus >= 300) {
+            throw new Error(`Endpoint responded with HTTP ${delivery.responseStatus}`);
+        }
+
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        delivery.lastError = null;
+    } catch (error) {
+        delivery.lastError = error.message;
+
+        if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            delivery.status = 'dead';
+            delivery.deadAt = new Date().toISOString();
+            logEvent('error', 'Webhook delivery gave up', {
+                userId: webhook.ownerId,
+                eventId: delivery.eventId,
+                action: 'WEBHOOK_DEAD_LETTER',
+                metadata: {
+                    webhookId: webhook.id,
+                    deliveryId: delivery.id,
+                    type: delivery.type,
+                    attempts: delivery.attempts,
+                    error: delivery.lastError
+                }
+            });
+        } else {
+            delivery.status = 'pending';
+            delivery.nextAttemptAt = new Date(
+                Date.now() + retryDelaySeconds(delivery.attempts) * 1000
+            ).toISOString();
+            logEvent('warn', 'Webhook delivery failed, will retry', {
+                userId: webhook.ownerId,
+                eventId: delivery.eventId,
+                action: 'WEBHOOK_DELIVERY_FAILED',
+                metadata: {
+                    webhookId: webhook.id,
+                    deliveryId: delivery.id,
+                    type: delivery.type,
+                    attempts: delivery.attempts,
+                    nextAttemptAt: delivery.nextAttemptAt,
+                    error: delivery.lastError
+                }
+            });
+        }
+    }
+
+    delivery.attemptLog.push({
+        at: delivery.lastAttemptAt,
+        responseStatus: delivery.responseStatus,
+        error: delivery.lastError,
+        durationMs: Date.now() - startedAt
+    });
+    db.webhooks.saveDelivery(delivery);
+    return delivery;
+};
+
+// Deliver everything that is due. Runs one batch at a time.
+const processDeliveries = async () => {
+    if (processing) {
+        return;
+    }
+    processing = true;
+    try {
+        for (const delivery of db.webhooks.listDueDeliveries()) {
+            await deliver(delivery);
+        }
+    } catch (error) {
+        console.error('Error processing webhook deliveries:', error);
+    } finally {
+        processing = false;
+    }
+};
+
+// Ask the worker to run soon, after the current request has responded
+const scheduleProcessing = () => {
+    if (workerTimer) {
+        setImmediate(processDeliveries);
+    }
+};
+
+const startWebhookWorker = () => {
+    if (workerTimer) {
+        return;
+    }
+
+    // Deliveries left 'sending' by a crash or restart get another go
+    db.webhooks.listDeliveries({ status: 'sending' }).forEach(delivery => {
+        delivery.status = 'pending';
+        db.webhooks.saveDelivery(delivery);
+    });
+
+    Object.entries(listeners).forEach(([message, listener]) => eventBus.on(message, listener));
+    workerTimer = setInterval(processDeliveries, WEBHOOK_POLL_INTERVAL_SECONDS * 1000);
+    workerTimer.unref();
+    scheduleProcessing();
+};
+
+const stopWebhookWorker = () => {
+    Object.entries(listeners).forEach(([message, listener]) => eventBus.off(message, listener));
+    clearInterval(workerTimer);
+    workerTimer = null;
+};
+
+// Send a 'webhook.ping' to check that the endpoint is reachable and verifies
+// signatures. Returns the queued delivery.
+const pingWebhook = (webhook) =>
+    queueDeliveries([webhook], 'webhook.ping', { webhookId: webhook.id })[0];
+
+// Requeue a dead or still-pending delivery for immediate delivery
+const retryDelivery = (delivery) => {
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date().toISOString();
+    delivery.deadAt = null;
+    db.webhooks.saveDelivery(delivery);
+    scheduleProcessing();
+    return delivery;
+};
+
+module.exports = {
+    WEBHOOK_EVENT_TYPES,
+    pingWebhook,
+    retryDelivery,
+    processDeliveries,
+    startWebhookWorker,
+    stopWebhookWorker
+};
\ No newline at end of file
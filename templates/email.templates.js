@@ -0,0 +1,335 @@
+// Named email templates. Each one builds a subject plus plain-text and HTML
+// bodies from the data passed to sendEmail(to, template, data).
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Wrap paragraphs in a minimal HTML document; values are escaped here, so
+// paragraphs are written as plain strings
+const layout = (paragraphs) => [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: sans-serif; line-height: 1.5;">',
+    ...paragraphs.filter(Boolean).map(paragraph => `<p>${paragraph}</p>`),
+    '</body></html>'
+].join('\n');
+
+const link = (url) => `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`;
+
+const lines = (...parts) => parts.filter(part => part !== null && part !== undefined).join('\n');
+
+const templates = {
+    welcome: {
+        subject: () => 'Welcome to Virtual Event Platform',
+        text: ({ name, role, verificationLink }) => lines(
+            `Hi ${name}, your account has been successfully created as an ${role}!`,
+            '',
+            'Please confirm your email address by opening this link:',
+            verificationLink
+        ),
+        html: ({ name, role, verificationLink }) => layout([
+            `Hi ${escapeHtml(name)}, your account has been successfully created as an ${escapeHtml(role)}!`,
+            `Please confirm your email address by opening this link:<br>${link(verificationLink)}`
+        ])
+    },
+
+    verifyEmail: {
+        subject: () => 'Verify Your Email Address',
+        text: ({ name, verificationLink }) => lines(
+            `Hi ${name}, please confirm your email address by opening this link:`,
+            verificationLink
+        ),
+        html: ({ name, verificationLink }) => layout([
+            `Hi ${escapeHtml(name)}, please confirm your email address by opening this link:<br>${link(verificationLink)}`
+        ])
+    },
+
+    passwordReset: {
+        subject: () => 'Reset Your Password',
+        text: ({ name, resetLink }) => lines(
+            `Hi ${name}, we received a request to reset your password.`,
+            '',
+            'Use the token in this link with POST /auth/reset-password, or open:',
+            resetLink,
+            '',
+            'If you didn\'t ask for this, you can ignore this email.'
+        ),
+        html: ({ name, resetLink }) => layout([
+            `Hi ${escapeHtml(name)}, we received a request to reset your password.`,
+            `Use the token in this link with POST /auth/reset-password, or open:<br>${link(resetLink)}`,
+            'If you didn\'t ask for this, you can ignore this email.'
+        ])
+    },
+
+    passwordChanged: {
+        subject: () => 'Your Password Has Been Changed',
+        text: ({ name }) => `Hi ${name}, your password was just reset and all devices were logged out.`,
+        html: ({ name }) => layout([
+            `Hi ${escapeHtml(name)}, your password was just reset and all devices were logged out.`
+        ])
+    },
+
+    roleChanged: {
+        subject: () => 'Your Account Role Has Changed',
+        text: ({ name, previousRole, role }) =>
+            `Hi ${name}, your account role has been changed from ${previousRole} to ${role}.`,
+        html: ({ name, previousRole, role }) => layout([
+            `Hi ${escapeHtml(name)}, your account role has been changed from ` +
+            `<strong>${escapeHtml(previousRole)}</strong> to <strong>${escapeHtml(role)}</strong>.`
+        ])
+    },
+
+    registrationConfirmed: {
+        subject: () => 'Event Registration Confirmation',
+        text: ({ title, when, location, joinLink, joinOpensMinutes }) => lines(
+            `You have successfully registered for "${title}"`,
+            `When: ${when}`,
+            `Location: ${location}`,
+            '',
+            `Join link (opens ${joinOpensMinutes} minutes before the start):`,
+            joinLink
+        ),
+        html: ({ title, when, location, joinLink, joinOpensMinutes }) => layout([
+            `You have successfully registered for <strong>${escapeHtml(title)}</strong>.`,
+            `When: ${escapeHtml(when)}<br>Location: ${escapeHtml(location)}`,
+            `Join link (opens ${escapeHtml(joinOpensMinutes)} minutes before the start):<br>${link(joinLink)}`
+        ])
+    },
+
+    registrationPending: {
+        subject: () => 'Event Registration Request Received',
+        text: ({ title, when }) => lines(
+            `Your registration request for "${title}" has been sent to the organizer.`,
+            `When: ${when}`,
+            'We will email you once it has been approved or declined.'
+        ),
+        html: ({ title, when }) => layout([
+            `Your registration request for <strong>${escapeHtml(title)}</strong> has been sent to the organizer.`,
+            `When: ${escapeHtml(when)}`,
+            'We will email you once it has been approved or declined.'
+        ])
+    },
+
+    registrationApproved: {
+        subject: () => 'Event Registration Approved',
+        text: ({ title, when, location, joinLink, joinOpensMinutes }) => lines(
+            `The organizer approved your registration for "${title}"`,
+            `When: ${when}`,
+            `Location: ${location}`,
+            '',
+            `Join link (opens ${joinOpensMinutes} minutes before the start):`,
+            joinLink
+        ),
+        html: ({ title, when, location, joinLink, joinOpensMinutes }) => layout([
+            `The organizer approved your registration for <strong>${escapeHtml(title)}</strong>.`,
+            `When: ${escapeHtml(when)}<br>Location: ${escapeHtml(location)}`,
+            `Join link (opens ${escapeHtml(joinOpensMinutes)} minutes before the start):<br>${link(joinLink)}`
+        ])
+    },
+
+    registrationRejected: {
+        subject: () => 'Event Registration Declined',
+        text: ({ title, when, reason }) => lines(
+            `The organizer declined your registration request for "${title}".`,
+            `When: ${when}`,
+            reason ? `\nReason: ${reason}` : null
+        ),
+        html: ({ title, when, reason }) => layout([
+            `The organizer declined your registration request for <strong>${escapeHtml(title)}</strong>.`,
+            `When: ${escapeHtml(when)}`,
+            reason && `Reason: ${escapeHtml(reason)}`
+        ])
+    },
+
+    eventInvitation: {
+        subject: ({ title }) => `You're invited: "${title}"`,
+        text: ({ title, when, organizer, eventId, inviteCode }) => lines(
+            `${organizer} invited you to the private event "${title}".`,
+            `When: ${when}`,
+            '',
+            `Sign in with this email address and register with POST /events/${eventId}/register,`,
+            `or redeem the invite code ${inviteCode} from any account.`
+        ),
+        html: ({ title, when, organizer, eventId, inviteCode }) => layout([
+            `${escapeHtml(organizer)} invited you to the private event <strong>${escapeHtml(title)}</strong>.`,
+            `When: ${escapeHtml(when)}`,
+            `Sign in with this email address and register with <code>POST /events/${escapeHtml(eventId)}/register</code>, or redeem the invite code <strong>${escapeHtml(inviteCode)}</strong> from any account.`
+        ])
+    },
+
+    coOrganizerAdded: {
+        subject: ({ title }) => `You're now co-organizing "${title}"`,
+        text: ({ title, when, addedBy }) => lines(
+            `${addedBy} added you as a co-organizer of "${title}".`,
+            `When: ${when}`,
+            '',
+            'You can now edit the event and manage its registrations.'
+        ),
+        html: ({ title, when, addedBy }) => layout([
+            `${escapeHtml(addedBy)} added you as a co-organizer of <strong>${escapeHtml(title)}</strong>.`,
+            `When: ${escapeHtml(when)}`,
+            'You can now edit the event and manage its registrations.'
+        ])
+    },
+
+    eventOwnershipTransferred: {
+        subject: ({ title }) => `You now own "${title}"`,
+        text: ({ title, when, previousOwner }) => lines(
+            `${previousOwner} transferred "${title}" to you.`,
+            `When: ${when}`
+        ),
+        html: ({ title, when, previousOwner }) => layout([
+            `${escapeHtml(previousOwner)} transferred <strong>${escapeHtml(title)}</strong> to you.`,
+            `When: ${escapeHtml(when)}`
+        ])
+    },
+
+    waitlistJoined: {
+        subject: () => 'Event Waitlist Confirmation',
+        text: ({ title, position }) => lines(
+            `"${title}" is currently full, so you have been added to the waitlist.`,
+            `Your position: ${position}`,
+            'We will email you if a spot opens up.'
+        ),
+        html: ({ title, position }) => layout([
+            `<strong>${escapeHtml(title)}</strong> is currently full, so you have been added to the waitlist.`,
+            `Your position: ${escapeHtml(position)}`,
+            'We will email you if a spot opens up.'
+        ])
+    },
+
+    waitlistPromoted: {
+        subject: () => 'You\'re In: Waitlist Spot Confirmed',
+        text: ({ title, when, location, joinLink, joinOpensMinutes }) => lines(
+            `A spot opened up and you are now registered for "${title}"`,
+            `When: ${when}`,
+            `Location: ${location}`,
+            '',
+            `Join link (opens ${joinOpensMinutes} minutes before the start):`,
+            joinLink
+        ),
+        html: ({ title, when, location, joinLink, joinOpensMinutes }) => layout([
+            `A spot opened up and you are now registered for <strong>${escapeHtml(title)}</strong>.`,
+            `When: ${escapeHtml(when)}<br>Location: ${escapeHtml(location)}`,
+            `Join link (opens ${escapeHtml(joinOpensMinutes)} minutes before the start):<br>${link(joinLink)}`
+        ])
+    },
+
+    eventReminder: {
+        subject: ({ title, startsIn }) => `Reminder: "${title}" starts in ${startsIn}`,
+        text: ({ title, when, joinLink }) => lines(
+            `This is a reminder that "${title}" is coming up.`,
+            `When: ${when}`,
+            '',
+            'Join the event here:',
+            joinLink,
+            '',
+            'You can turn off reminders for this event with PUT /events/:id/reminders.'
+        ),
+        html: ({ title, when, joinLink }) => layout([
+            `This is a reminder that <strong>${escapeHtml(title)}</strong> is coming up.`,
+            `When: ${escapeHtml(when)}`,
+            `Join the event here:<br>${link(joinLink)}`,
+            'You can turn off reminders for this event with PUT /events/:id/reminders.'
+        ])
+    },
+
+    interestAlert: {
+        subject: ({ title }) => `New event for you: "${title}"`,
+        text: ({ title, when, interests, eventId }) => lines(
+            `A new event matching your interests (${interests.join(', ')}) was just published:`,
+            '',
+            `"${title}"`,
+            `When: ${when}`,
+            '',
+            `Register with POST /events/${eventId}/register.`,
+            'You can turn these alerts off by setting interestAlerts to false in your profile.'
+        ),
+        html: ({ title, when, interests, eventId }) => layout([
+            `A new event matching your interests (${escapeHtml(interests.join(', '))}) was just published:`,
+            `<strong>${escapeHtml(title)}</strong><br>When: ${escapeHtml(when)}`,
+            `Register with <code>POST /events/${escapeHtml(eventId)}/register</code>.`,
+            'You can turn these alerts off by setting <code>interestAlerts</code> to false in your profile.'
+        ])
+    },
+
+    eventUpdated: {
+        subject: () => 'Event Update Notification',
+        text: ({ title, when }) => lines(
+            `The event "${title}" has been updated.`,
+            `New time: ${when}`
+        ),
+        html: ({ title, when }) => layout([
+            `The event <strong>${escapeHtml(title)}</strong> has been updated.`,
+            `New time: ${escapeHtml(when)}`
+        ])
+    },
+
+    eventCancelled: {
+        subject: () => 'Event Cancellation Notice',
+        text: ({ title, when, reason }) => lines(
+            `The event "${title}" scheduled for ${when} has been cancelled.`,
+            reason ? `\nReason: ${reason}` : null
+        ),
+        html: ({ title, when, reason }) => layout([
+            `The event <strong>${escapeHtml(title)}</strong> scheduled for ${escapeHtml(when)} has been cancelled.`,
+            reason && `Reason: ${escapeHtml(reason)}`
+        ])
+    },
+
+    registrationCancelled: {
+        subject: () => 'Event Registration Cancelled',
+        text: ({ title, when }) => lines(
+            `Your registration for "${title}" has been cancelled.`,
+            `When: ${when}`
+        ),
+        html: ({ title, when }) => layout([
+            `Your registration for <strong>${escapeHtml(title)}</strong> has been cancelled.`,
+            `When: ${escapeHtml(when)}`
+        ])
+    },
+
+    participantRemoved: {
+        subject: () => 'Event Registration Cancelled',
+        text: ({ title, when, reason }) => lines(
+            `The organizer has removed you from "${title}".`,
+            `When: ${when}`,
+            reason ? `\nReason: ${reason}` : null
+        ),
+        html: ({ title, when, reason }) => layout([
+            `The organizer has removed you from <strong>${escapeHtml(title)}</strong>.`,
+            `When: ${escapeHtml(when)}`,
+            reason && `Reason: ${escapeHtml(reason)}`
+        ])
+    },
+
+    seriesRegistrationCancelled: {
+        subject: () => 'Event Series Registration Cancelled',
+        text: ({ title, dates }) => lines(
+            `Your registration for "${title}" has been cancelled for these dates:`,
+            ...dates
+        ),
+        html: ({ title, dates }) => layout([
+            `Your registration for <strong>${escapeHtml(title)}</strong> has been cancelled for these dates:`,
+            dates.map(escapeHtml).join('<br>')
+        ])
+    }
+};
+
+// Render a named template into { subject, text, html }
+const renderTemplate = (name, data = {}) => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template "${name}"`);
+    }
+    return {
+        subject: template.subject(data),
+        text: template.text(data),
+        html: template.html(data)
+    };
+};
+
+module.exports = { templates, renderTemplate };
\ No newline at end of file
@@ -0,0 +1,50 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.DB_ADAPTER = 'memory';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const { generateId } = require('../utils/ids');
+const { createSession, signStreamTicket, signJoinToken, signEmailVerificationToken } = require('../utils/tokens');
+const { authenticateToken, authenticateStream } = require('../middleware/auth');
+
+const user = { id: generateId(), email: 'ada@example.com', name: 'Ada', role: 'attendee', profile: {} };
+db.users.create(user);
+
+// Runs a middleware with a fake request and resolves to the status it
+// answered with, or 'next' when it let the request through
+const run = (middleware, { bearer, query = {} }) => new Promise(resolve => {
+    const req = { headers: bearer ? { authorization: `Bearer ${bearer}` } : {}, query };
+    const res = {
+        status: (code) => ({ json: () => resolve(code) })
+    };
+    middleware(req, res, () => resolve('next'));
+});
+
+describe('authenticateToken', () => {
+    const { token } = createSession(user);
+    const ticket = signStreamTicket(jwt.verify(token, process.env.JWT_SECRET));
+
+    it('accepts an access token of an active session', async () => {
+        assert.equal(await run(authenticateToken, { bearer: token }), 'next');
+    });
+
+    it('answers 401 without a token', async () => {
+        assert.equal(await run(authenticateToken, {}), 401);
+    });
+
+    it('refuses a stream ticket as an access token', async () => {
+        assert.equal(await run(authenticateToken, { bearer: ticket }), 401);
+    });
+
+    it('refuses other purpose-bound tokens', async () => {
+        assert.equal(await run(authenticateToken, { bearer: signJoinToken(user, { id: 'e1', endsAt: '2030-01-01T11:00:00Z' }) }), 401);
+        assert.equal(await run(authenticateToken, { bearer: signEmailVerificationToken(user) }), 401);
+    });
+
+    it('still lets the ticket open a stream', async () => {
+        assert.equal(await run(authenticateStream, { query: { ticket } }), 'next');
+        assert.equal(await run(authenticateStream, { bearer: ticket }), 401);
+    });
+});
\ No newline at end of file
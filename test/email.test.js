@@ -0,0 +1,49 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.DB_ADAPTER = 'memory';
+process.env.EMAIL_TRANSPORT = 'capture';
+process.env.EMAIL_CAPTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { sendEmail, processOutbox } = require('../utils/email');
+
+describe('email outbox', () => {
+    after(() => fs.rmSync(process.env.EMAIL_CAPTURE_DIR, { recursive: true, force: true }));
+
+    it('drops the bodies of a message once it is sent', async () => {
+        const message = await sendEmail('ada@example.com', 'passwordReset', { name: 'Ada', resetLink: 'https://example.com/reset?token=secret' });
+        assert.match(message.text, /token=secret/);
+
+        await processOutbox();
+
+        const stored = db.emailOutbox.findById(message.id);
+        assert.equal(stored.status, 'sent');
+        assert.equal(stored.text, null);
+        assert.equal(stored.html, null);
+        assert.deepEqual(stored.attachments, []);
+        assert.doesNotMatch(JSON.stringify(stored), /token=secret/);
+    });
+
+    it('deletes sent and dead messages after the retention period', () => {
+        const longAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+        const now = new Date().toISOString();
+        [
+            { id: 'old-sent', status: 'sent', sentAt: longAgo },
+            { id: 'old-dead', status: 'dead', deadAt: longAgo },
+            { id: 'new-sent', status: 'sent', sentAt: now },
+            { id: 'old-pending', status: 'pending', createdAt: longAgo }
+        ].forEach(message => db.emailOutbox.create(message));
+
+        db.emailOutbox.pruneFinished(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+
+        assert.equal(db.emailOutbox.findById('old-sent'), undefined);
+        assert.equal(db.emailOutbox.findById('old-dead'), undefined);
+        assert.ok(db.emailOutbox.findById('new-sent'));
+        assert.ok(db.emailOutbox.findById('old-pending'));
+    });
+});
\ No newline at end of file
@@ -0,0 +1,102 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.DB_ADAPTER = 'memory';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { generateId } = require('../utils/ids');
+const { validate } = require('../utils/validator');
+const schemas = require('../schemas/event.schemas');
+const { createEvent, cancelEvent, updateEvent, registerForEvent, eventUpdateError } = require('../services/eventService');
+
+const organizerId = generateId();
+
+const newEvent = (fields = {}) => createEvent({
+    title: 'Workshop',
+    date: '2030-06-01',
+    time: '10:00',
+    timeZone: 'UTC',
+    capacity: 2,
+    ...fields
+}, organizerId);
+
+describe('eventUpdateError', () => {
+    it('lets ordinary edits through', () => {
+        assert.equal(eventUpdateError(newEvent(), { title: 'Renamed', capacity: 5 }), null);
+    });
+
+    it('refuses edits to cancelled and completed events with 409', async () => {
+        const cancelled = newEvent();
+        await cancelEvent(cancelled, { actorId: organizerId });
+        assert.equal(eventUpdateError(cancelled, { title: 'Renamed' }).status, 409);
+
+        const completed = newEvent();
+        completed.status = 'completed';
+        assert.equal(eventUpdateError(completed, { title: 'Renamed' }).status, 409);
+    });
+
+    it('keeps the registration window ordered and before the start', () => {
+        const event = newEvent({ registrationOpensAt: '2030-05-01T00:00:00Z' });
+        const field = (changes) => eventUpdateError(event, changes).body.details[0].field;
+
+        assert.equal(field({ registrationClosesAt: '2030-04-01T00:00:00Z' }), 'registrationClosesAt');
+        assert.equal(field({ date: '2030-04-01' }), 'registrationOpensAt');
+        assert.equal(field({ registrationOpensAt: '2030-06-01T10:00:00Z' }), 'registrationOpensAt');
+        assert.equal(eventUpdateError(event, { date: '2030-07-01' }), null);
+    });
+
+    it('refuses unknown speakers, durations shorter than the agenda and capacity below the participants', () => {
+        const event = newEvent();
+        event.participants = new Set(['a', 'b']);
+        event.agenda = [{ endsAt: '2030-06-01T10:45:00.000Z' }];
+
+        assert.equal(eventUpdateError(event, { speakers: [{ userId: 'nobody' }] }).body.details[0].field, 'speakers[0].userId');
+        assert.equal(eventUpdateError(event, { durationMinutes: 30 }).body.details[0].field, 'durationMinutes');
+        assert.equal(eventUpdateError(event, { capacity: 1 }).status, 400);
+    });
+});
+
+describe('updateEvent', () => {
+    const attendee = { id: generateId(), email: 'ada@example.com', name: 'Ada', role: 'attendee', profile: {} };
+    db.users.create(attendee);
+    db.registrations.initUser(attendee.id);
+
+    it('keeps registration changes made while participants are being emailed', async () => {
+        const event = newEvent({ registrationMode: 'approval' });
+        await registerForEvent(event, attendee);
+
+        // Moving the event emails participants; the request is withdrawn meanwhile
+        const update = updateEvent(event, { date: '2030-06-02' }, organizerId);
+        db.registrations.removePending(event.id, attendee.id);
+        await update;
+
+        const stored = db.events.findById(event.id);
+        assert.equal(stored.date, '2030-06-02');
+        assert.equal(db.registrations.isPending(event.id, attendee.id), false);
+    });
+
+    it('clears optional settings given as null', async () => {
+        const event = newEvent({
+            category: 'workshop',
+            joinDetails: { url: 'https://example.com/room' },
+            registrationOpensAt: '2030-05-01T00:00:00Z',
+            registrationClosesAt: '2030-05-31T00:00:00Z'
+        });
+        const { value, errors } = validate(schemas.updateEvent.body, {
+            category: null,
+            joinDetails: null,
+            registrationOpensAt: null,
+            registrationClosesAt: null
+        });
+        assert.deepEqual(errors, []);
+
+        const { changedFields } = await updateEvent(event, value, organizerId);
+
+        assert.deepEqual(changedFields.sort(), ['category', 'joinDetails', 'registrationClosesAt', 'registrationOpensAt']);
+        const stored = db.events.findById(event.id);
+        assert.equal(stored.category, null);
+        assert.equal(stored.joinDetails, null);
+        assert.equal(stored.registrationOpensAt, null);
+        assert.equal(stored.registrationClosesAt, null);
+    });
+});
\ No newline at end of file
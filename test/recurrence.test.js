@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { expandRecurrence, MAX_OCCURRENCES } = require('../utils/recurrence');
+const { zonedTimeToUtc, applyEventSchedule, toZonedDateTime } = require('../utils/time');
+
+describe('expandRecurrence', () => {
+    it('repeats daily, weekly and monthly with an interval', () => {
+        assert.deepEqual(expandRecurrence('2030-01-30', { frequency: 'daily', count: 3 }),
+            ['2030-01-30', '2030-01-31', '2030-02-01']);
+        assert.deepEqual(expandRecurrence('2030-01-01', { frequency: 'weekly', interval: 2, count: 3 }),
+            ['2030-01-01', '2030-01-15', '2030-01-29']);
+        assert.deepEqual(expandRecurrence('2030-01-15', { frequency: 'monthly', count: 3 }),
+            ['2030-01-15', '2030-02-15', '2030-03-15']);
+    });
+
+    it('skips months without the start day instead of shifting', () => {
+        assert.deepEqual(expandRecurrence('2030-01-31', { frequency: 'monthly', count: 4 }),
+            ['2030-01-31', '2030-03-31', '2030-05-31', '2030-07-31']);
+    });
+
+    it('stops at until, inclusive', () => {
+        assert.deepEqual(expandRecurrence('2030-01-01', { frequency: 'weekly', until: '2030-01-15' }),
+            ['2030-01-01', '2030-01-08', '2030-01-15']);
+    });
+
+    it('drops exceptions, which still use up the count', () => {
+        assert.deepEqual(expandRecurrence('2030-01-01', { frequency: 'daily', count: 3, exceptions: ['2030-01-02'] }),
+            ['2030-01-01', '2030-01-03']);
+    });
+
+    it('never produces more than MAX_OCCURRENCES dates', () => {
+        assert.equal(expandRecurrence('2030-01-01', { frequency: 'daily' }).length, MAX_OCCURRENCES);
+        assert.equal(expandRecurrence('2030-01-01', { frequency: 'daily', count: 500 }).length, MAX_OCCURRENCES);
+    });
+
+    it('rejects unknown frequencies', () => {
+        assert.throws(() => expandRecurrence('2030-01-01', { frequency: 'yearly', count: 2 }), /Unsupported recurrence frequency/);
+    });
+});
+
+describe('occurrences across DST changes', () => {
+    const occurrences = (dates, time, timeZone) => dates.map(date =>
+        applyEventSchedule({ date, time, timeZone, durationMinutes: 60 }));
+
+    it('keeps the wall-clock time when the UTC offset changes', () => {
+        // US daylight saving time starts on 2030-03-10
+        const events = occurrences(expandRecurrence('2030-03-03', { frequency: 'weekly', count: 2 }), '10:00', 'America/New_York');
+
+        assert.deepEqual(events.map(event => event.startsAt),
+            ['2030-03-03T15:00:00.000Z', '2030-03-10T14:00:00.000Z']);
+        events.forEach(event => assert.equal(toZonedDateTime(event.startsAt, 'America/New_York').time, '10:00'));
+    });
+
+    it('keeps the wall-clock time when DST ends', () => {
+        // EU summer time ends on 2030-10-27
+        const events = occurrences(expandRecurrence('2030-10-26', { frequency: 'daily', count: 2 }), '09:30', 'Europe/Berlin');
+
+        assert.deepEqual(events.map(event => event.startsAt),
+            ['2030-10-26T07:30:00.000Z', '2030-10-27T08:30:00.000Z']);
+        assert.deepEqual(events.map(event => event.endsAt),
+            ['2030-10-26T08:30:00.000Z', '2030-10-27T09:30:00.000Z']);
+    });
+
+    it('reads a time skipped by the spring-forward jump with the offset after it', () => {
+        // 02:30 doesn't exist in New York on 2030-03-10; it becomes 03:30 EDT
+        assert.equal(zonedTimeToUtc('2030-03-10', '02:30', 'America/New_York').toISOString(), '2030-03-10T07:30:00.000Z');
+    });
+
+    it('handles zones south of the equator and with half-hour offsets', () => {
+        // Sydney leaves daylight saving time on 2030-04-07
+        assert.equal(zonedTimeToUtc('2030-04-06', '10:00', 'Australia/Sydney').toISOString(), '2030-04-05T23:00:00.000Z');
+        assert.equal(zonedTimeToUtc('2030-04-08', '10:00', 'Australia/Sydney').toISOString(), '2030-04-08T00:00:00.000Z');
+        assert.equal(zonedTimeToUtc('2030-06-01', '10:00', 'Asia/Kolkata').toISOString(), '2030-06-01T04:30:00.000Z');
+    });
+});
\ No newline at end of file
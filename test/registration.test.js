@@ -0,0 +1,187 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.DB_ADAPTER = 'memory';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { generateId } = require('../utils/ids');
+const {
+    createEvent,
+    registerForEvent,
+    approveRegistration,
+    rejectRegistration,
+    promoteWaitlistedUsers,
+    cancelEvent
+} = require('../services/eventService');
+
+const createUser = (name, role = 'attendee') => {
+    const user = {
+        id: generateId(),
+        email: `${name.toLowerCase()}-${generateId()}@example.com`,
+        name,
+        role,
+        emailVerified: true,
+        profile: { name, timeZone: null, emailReminders: true, eventsOrganized: 0, eventsAttended: 0 }
+    };
+    db.users.create(user);
+    db.registrations.initUser(user.id);
+    return user;
+};
+
+const newEvent = (organizer, fields = {}) => createEvent({
+    title: 'Workshop',
+    description: 'Hands-on session',
+    date: '2030-06-01',
+    time: '10:00',
+    timeZone: 'UTC',
+    capacity: 2,
+    ...fields
+}, organizer.id);
+
+// A user leaves the event the way DELETE /events/:id/register does it
+const unregister = async (event, user) => {
+    db.registrations.remove(event.id, user.id);
+    return promoteWaitlistedUsers(event);
+};
+
+// Nobody holds a seat and a waitlist spot, the event is never over
+// capacity, and the waitlist only exists while the event is full
+const assertInvariants = (event) => {
+    assert.ok(event.participants.size <= event.capacity, 'over capacity');
+    assert.equal(new Set(event.waitlist).size, event.waitlist.length, 'duplicate waitlist entries');
+    event.waitlist.forEach(userId => assert.ok(!event.participants.has(userId), `${userId} is seated and waitlisted`));
+    if (event.waitlist.length > 0) {
+        assert.equal(event.participants.size, event.capacity, 'waitlist with free seats');
+    }
+};
+
+describe('registration, waitlist and promotion', () => {
+    let organizer;
+    let attendees;
+
+    before(() => {
+        organizer = createUser('Olivia', 'organizer');
+        attendees = ['Ana', 'Ben', 'Cai', 'Dee', 'Eve'].map(name => createUser(name));
+    });
+
+    it('seats attendees until the event is full, then waitlists them in order', async () => {
+        const event = newEvent(organizer);
+        const results = [];
+        for (const attendee of attendees.slice(0, 4)) {
+            results.push(await registerForEvent(event, attendee));
+        }
+
+        assert.deepEqual(results, [
+            { status: 'registered' },
+            { status: 'registered' },
+            { status: 'waitlisted', waitlistPosition: 1 },
+            { status: 'waitlisted', waitlistPosition: 2 }
+        ]);
+        assert.deepEqual(event.waitlist, [attendees[2].id, attendees[3].id]);
+        assertInvariants(event);
+    });
+
+    it('does not register anyone twice', async () => {
+        const event = newEvent(organizer, { capacity: 1 });
+        await registerForEvent(event, attendees[0]);
+        await registerForEvent(event, attendees[1]);
+
+        assert.deepEqual(await registerForEvent(event, attendees[0]), { status: 'already_registered' });
+        assert.deepEqual(await registerForEvent(event, attendees[1]), { status: 'already_waitlisted', waitlistPosition: 1 });
+        assert.equal(event.participants.size, 1);
+        assert.deepEqual(event.waitlist, [attendees[1].id]);
+        assertInvariants(event);
+    });
+
+    it('promotes the head of the waitlist into a freed seat', async () => {
+        const event = newEvent(organizer);
+        for (const attendee of attendees.slice(0, 4)) {
+            await registerForEvent(event, attendee);
+        }
+
+        assert.deepEqual(await unregister(event, attendees[0]), [attendees[2].id]);
+        assert.ok(event.participants.has(attendees[2].id));
+        assert.deepEqual(event.waitlist, [attendees[3].id]);
+        assert.equal(db.registrations.waitlistPosition(event.id, attendees[3].id), 1);
+        assertInvariants(event);
+
+        assert.deepEqual(await unregister(event, attendees[1]), [attendees[3].id]);
+        assert.deepEqual(await unregister(event, attendees[2]), []);
+        assert.deepEqual(event.waitlist, []);
+        assert.deepEqual([...event.participants], [attendees[3].id]);
+        assertInvariants(event);
+    });
+
+    it('fills every seat freed by a capacity increase, in waitlist order', async () => {
+        const event = newEvent(organizer, { capacity: 1 });
+        for (const attendee of attendees) {
+            await registerForEvent(event, attendee);
+        }
+
+        event.capacity = 3;
+        assert.deepEqual(await promoteWaitlistedUsers(event), [attendees[1].id, attendees[2].id]);
+        assert.deepEqual(event.waitlist, [attendees[3].id, attendees[4].id]);
+        assertInvariants(event);
+    });
+
+    it('records a promotion in the activity history', async () => {
+        const event = newEvent(organizer, { capacity: 1 });
+        await registerForEvent(event, attendees[0]);
+        await registerForEvent(event, attendees[1]);
+        await unregister(event, attendees[0]);
+
+        const types = db.registrations.listActivity()
+            .filter(entry => entry.eventId === event.id)
+            .map(entry => [entry.userId, entry.type]);
+        assert.deepEqual(types, [
+            [attendees[0].id, 'registered'],
+            [attendees[1].id, 'waitlisted'],
+            [attendees[0].id, 'cancelled'],
+            [attendees[1].id, 'promoted']
+        ]);
+    });
+
+    it('holds approval-mode registrations until approved, then seats or waitlists them', async () => {
+        const event = newEvent(organizer, { capacity: 1, registrationMode: 'approval' });
+
+        assert.deepEqual(await registerForEvent(event, attendees[0]), { status: 'pending' });
+        assert.deepEqual(await registerForEvent(event, attendees[1]), { status: 'pending' });
+        assert.deepEqual(await registerForEvent(event, attendees[0]), { status: 'already_pending' });
+        assert.equal(event.participants.size, 0);
+
+        assert.deepEqual(await approveRegistration(event, attendees[0]), { status: 'registered' });
+        assert.deepEqual(await approveRegistration(event, attendees[1]), { status: 'waitlisted', waitlistPosition: 1 });
+        assert.equal(db.registrations.isPending(event.id, attendees[0].id), false);
+        assertInvariants(event);
+
+        await registerForEvent(event, attendees[2]);
+        await rejectRegistration(event, attendees[2], 'Full');
+        assert.equal(db.registrations.isPending(event.id, attendees[2].id), false);
+        assert.ok(!event.participants.has(attendees[2].id));
+    });
+
+    it('refuses answers that do not fit the registration form without taking a seat', async () => {
+        const event = newEvent(organizer, {
+            registrationQuestions: [{ id: 'role', label: 'Role', type: 'choice', options: ['dev', 'pm'], required: true }]
+        });
+
+        const result = await registerForEvent(event, attendees[0], { role: 'ceo' });
+        assert.equal(result.status, 'invalid');
+        assert.deepEqual(result.errors.map(error => error.field), ['answers.role']);
+        assert.equal(event.participants.size, 0);
+
+        assert.deepEqual(await registerForEvent(event, attendees[0], { role: 'dev' }), { status: 'registered' });
+        assert.deepEqual(db.registrations.getDetails(event.id, attendees[0].id).answers, { role: 'dev' });
+    });
+
+    it('takes no registrations or promotions once the event is cancelled', async () => {
+        const event = newEvent(organizer, { capacity: 1 });
+        await registerForEvent(event, attendees[0]);
+        await registerForEvent(event, attendees[1]);
+        await cancelEvent(event, { actorId: organizer.id });
+
+        assert.equal((await registerForEvent(event, attendees[2])).status, 'closed');
+        assert.deepEqual(await unregister(event, attendees[0]), []);
+        assert.deepEqual(event.waitlist, [attendees[1].id]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.DB_ADAPTER = 'memory';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { generateId } = require('../utils/ids');
+const { createEvent, registerForEvent } = require('../services/eventService');
+const { processDueReminders } = require('../services/reminderService');
+const { signJoinToken, verifyJoinToken } = require('../utils/tokens');
+
+const user = { id: generateId(), email: 'ada@example.com', name: 'Ada', role: 'organizer', profile: { emailReminders: true } };
+db.users.create(user);
+db.registrations.initUser(user.id);
+
+const dueReminder = (event) => db.reminders.create({
+    id: generateId(),
+    eventId: event.id,
+    offsetMinutes: 60,
+    startsAt: event.startsAt,
+    sendAt: new Date(Date.now() - 1000).toISOString(),
+    status: 'scheduled',
+    createdAt: new Date().toISOString()
+});
+
+const newEvent = () => createEvent({
+    title: 'Workshop',
+    date: '2030-06-01',
+    time: '10:00',
+    timeZone: 'UTC',
+    capacity: 5,
+    reminderOffsetsMinutes: [60]
+}, user.id);
+
+describe('processDueReminders', () => {
+    it('sends the other due reminders when one of them fails', async () => {
+        const broken = newEvent();
+        const healthy = newEvent();
+        await registerForEvent(healthy, user);
+        const failing = dueReminder(broken);
+        const working = dueReminder(healthy);
+        // Corrupt the first event so its reminder throws while being sent
+        broken.participants = null;
+
+        await processDueReminders();
+
+        assert.equal(db.reminders.listForEvent(broken.id).find(reminder => reminder.id === failing.id).status, 'scheduled');
+        const sent = db.reminders.listForEvent(healthy.id).find(reminder => reminder.id === working.id);
+        assert.equal(sent.status, 'sent');
+        assert.equal(sent.recipients, 1);
+    });
+});
+
+describe('join tokens', () => {
+    const event = (endsAt) => ({ id: generateId(), endsAt });
+
+    it('identify the user and event until a day after the event ends', () => {
+        const ended = event(new Date(Date.now() - 60 * 60 * 1000).toISOString());
+        assert.deepEqual(verifyJoinToken(signJoinToken(user, ended)), { userId: user.id, eventId: ended.id });
+    });
+
+    it('expire once the event is long over', () => {
+        const ended = event(new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString());
+        assert.equal(verifyJoinToken(signJoinToken(user, ended)), null);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../utils/validator');
+
+const messages = ({ errors }) => errors.map(error => error.message);
+
+describe('validate', () => {
+    it('reports missing required fields and fills in defaults', () => {
+        const schema = {
+            title: { type: 'string', required: true },
+            capacity: { type: 'integer', default: 10 },
+            tags: { type: 'array', default: () => [] }
+        };
+
+        assert.deepEqual(messages(validate(schema, {})), ['title is required']);
+        assert.deepEqual(validate(schema, { title: 'Talk' }).value, { title: 'Talk', capacity: 10, tags: [] });
+        assert.deepEqual(messages(validate(schema, { title: '' })), ['title is required']);
+    });
+
+    it('drops undeclared fields and trims strings', () => {
+        const { value, errors } = validate({ name: { type: 'string' } }, { name: '  Ada ', role: 'admin' });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, { name: 'Ada' });
+    });
+
+    it('coerces numbers and booleans given as strings', () => {
+        const schema = { limit: { type: 'integer' }, ratio: { type: 'number' }, enabled: { type: 'boolean' } };
+
+        assert.deepEqual(validate(schema, { limit: '20', ratio: '0.5', enabled: 'false' }).value,
+            { limit: 20, ratio: 0.5, enabled: false });
+        assert.deepEqual(messages(validate(schema, { limit: '2.5', ratio: 'abc', enabled: 'yes' })), [
+            'limit must be an integer',
+            'ratio must be a number',
+            'enabled must be a boolean'
+        ]);
+    });
+
+    it('checks formats of the built-in types', () => {
+        const schema = {
+            email: { type: 'email' },
+            url: { type: 'url' },
+            date: { type: 'date' },
+            time: { type: 'time' },
+            at: { type: 'datetime' }
+        };
+
+        assert.deepEqual(validate(schema, {
+            email: 'ada@example.com',
+            url: 'https://example.com/hook',
+            date: '2028-02-29',
+            time: '23:59',
+            at: '2030-01-01T10:00:00Z'
+        }).errors, []);
+        assert.deepEqual(messages(validate(schema, {
+            email: 'ada@example',
+            url: 'ftp://example.com',
+            date: '2030-02-29',
+            time: '24:00',
+            at: 'tomorrow'
+        })), [
+            'email must be a valid email address',
+            'url must be a valid http(s) URL',
+            'date must be a valid date in YYYY-MM-DD format',
+            'time must be a valid time in HH:mm (24-hour) format',
+            'at must be a valid ISO 8601 date-time'
+        ]);
+    });
+
+    it('applies enum, length, range and pattern rules', () => {
+        const schema = {
+            level: { type: 'string', enum: ['info', 'warn'] },
+            code: { type: 'string', minLength: 3, maxLength: 4, pattern: /^[A-Z]+$/, patternMessage: 'must be upper case' },
+            capacity: { type: 'integer', min: 1, max: 100 }
+        };
+
+        assert.deepEqual(messages(validate(schema, { level: 'debug', code: 'AB', capacity: 0 })), [
+            'level must be one of: info, warn',
+            'code must be at least 3 characters',
+            'capacity must be at least 1'
+        ]);
+        assert.deepEqual(messages(validate(schema, { code: 'abcd', capacity: 101 })), [
+            'code must be upper case',
+            'capacity must be at most 100'
+        ]);
+    });
+
+    it('validates array items and nested objects with field paths', () => {
+        const schema = {
+            speakers: {
+                type: 'array',
+                maxItems: 2,
+                items: {
+                    type: 'object',
+                    properties: { name: { type: 'string', required: true } }
+                }
+            },
+            tags: { type: 'array', unique: true, items: { type: 'string' } }
+        };
+
+        assert.deepEqual(messages(validate(schema, { speakers: [{ name: 'Ada' }, {}], tags: ['a', 'a'] })), [
+            'speakers[1].name is required',
+            'tags must not contain duplicates'
+        ]);
+        assert.deepEqual(messages(validate(schema, { speakers: [{ name: 'A' }, { name: 'B' }, { name: 'C' }] })),
+            ['speakers must contain at most 2 items']);
+        assert.deepEqual(validate(schema, { speakers: [{ name: ' Ada ', bio: 'x' }] }).value,
+            { speakers: [{ name: 'Ada' }] });
+    });
+
+    it('runs custom rules on the cleaned value', () => {
+        const schema = { to: { type: 'date', custom: (value) => value < '2030-01-01' ? 'must not be in the past' : null } };
+
+        assert.deepEqual(messages(validate(schema, { to: '2029-12-31' })), ['to must not be in the past']);
+        assert.deepEqual(validate(schema, { to: '2030-01-01' }).errors, []);
+    });
+
+    it('refuses rules with an unknown type', () => {
+        assert.throws(() => validate({ field: { type: 'uuid' } }, { field: 'x' }), /Unknown validation type "uuid"/);
+    });
+});
\ No newline at end of file
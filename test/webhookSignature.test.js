@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { newWebhookSecret, signWebhookPayload, verifyWebhookSignature } = require('../utils/webhookSignature');
+
+describe('webhook signatures', () => {
+    const secret = newWebhookSecret();
+    const body = JSON.stringify({ type: 'event.created', data: { id: '1' } });
+    const now = Date.UTC(2030, 0, 1);
+    const timestamp = Math.floor(now / 1000);
+    const header = `t=${timestamp},v1=${signWebhookPayload(secret, timestamp, body)}`;
+
+    it('signs the timestamp and body with HMAC-SHA256', () => {
+        assert.match(secret, /^whsec_[0-9a-f]{48}$/);
+        assert.match(signWebhookPayload(secret, timestamp, body), /^[0-9a-f]{64}$/);
+        assert.equal(signWebhookPayload(secret, timestamp, body), signWebhookPayload(secret, timestamp, body));
+        assert.notEqual(signWebhookPayload(secret, timestamp, body), signWebhookPayload(secret, timestamp + 1, body));
+    });
+
+    it('accepts a signature made with the same secret and body', () => {
+        assert.equal(verifyWebhookSignature(secret, header, body, { now }), true);
+    });
+
+    it('rejects a changed body, another secret or a tampered signature', () => {
+        assert.equal(verifyWebhookSignature(secret, header, `${body} `, { now }), false);
+        assert.equal(verifyWebhookSignature(newWebhookSecret(), header, body, { now }), false);
+        const flipped = `${header.slice(0, -1)}${header.endsWith('0') ? '1' : '0'}`;
+        assert.equal(verifyWebhookSignature(secret, flipped, body, { now }), false);
+        assert.equal(verifyWebhookSignature(secret, header.slice(0, -1), body, { now }), false);
+    });
+
+    it('rejects signatures outside the tolerance, so deliveries cannot be replayed', () => {
+        assert.equal(verifyWebhookSignature(secret, header, body, { now: now + 299 * 1000 }), true);
+        assert.equal(verifyWebhookSignature(secret, header, body, { now: now + 301 * 1000 }), false);
+        assert.equal(verifyWebhookSignature(secret, header, body, { now: now + 60 * 1000, toleranceSeconds: 30 }), false);
+    });
+
+    it('rejects missing or malformed headers', () => {
+        assert.equal(verifyWebhookSignature(secret, undefined, body, { now }), false);
+        assert.equal(verifyWebhookSignature(secret, '', body, { now }), false);
+        assert.equal(verifyWebhookSignature(secret, `v1=${signWebhookPayload(secret, timestamp, body)}`, body, { now }), false);
+        assert.equal(verifyWebhookSignature(secret, `t=${timestamp}`, body, { now }), false);
+        assert.equal(verifyWebhookSignature(secret, `t=soon,v1=abc`, body, { now }), false);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,21 @@
+// Minimal RFC 4180 CSV writer. `columns` picks and orders the fields.
+const escapeCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    // Spreadsheets run text starting with these as a formula, so user-supplied
+    // strings (names, registration answers) get a leading quote. Numbers are
+    // left alone so they stay numeric.
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns) => [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escapeCell(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = { toCsv };
\ No newline at end of file
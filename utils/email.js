@@ -1,39 +1,196 @@
-const nodemailer = require('nodemailer');
-const { EMAIL_USER, EMAIL_PASS } = require('../config/config');
-
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: EMAIL_USER,
-        pass: EMAIL_PASS
+const db = require('../db');
+const { logEvent } = require('../config/logger');
+const { generateId } = require('./ids');
+const { createTransport } = require('./mailTransport');
+const { renderTemplate } = require('../templates/email.templates');
+const {
+    EMAIL_FROM,
+    EMAIL_MAX_ATTEMPTS,
+    EMAIL_RETRY_BASE_SECONDS,
+    EMAIL_RETRY_MAX_SECONDS,
+    EMAIL_POLL_INTERVAL_SECONDS,
+    EMAIL_RETENTION_DAYS
+} = require('../config/config');
+
+// Emails are never sent from inside a request. sendEmail() renders the
+// template and stores the message in the outbox; a background worker
+// delivers it, retrying failures with exponential backoff.
+
+let transporter = null;
+let workerTimer = null;
+let processing = false;
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = createTransport();
     }
-});
+    return transporter;
+};
+
+// Seconds to wait before the next attempt, doubling each time
+const retryDelaySeconds = (attempts) =>
+    Math.min(EMAIL_RETRY_BASE_SECONDS * 2 ** (attempts - 1), EMAIL_RETRY_MAX_SECONDS);
+
+// Deliver one message and record the outcome
+const deliver = async (message) => {
+    message.status = 'sending';
+    message.attempts += 1;
+    message.lastAttemptAt = new Date().toISOString();
+    db.emailOutbox.save(message);
 
-const sendEmail = async (to, subject, text) => {
     try {
-        await transporter.sendMail({
-            from: EMAIL_USER,
-            to,
-            subject,
-            text
+        const info = await getTransporter().sendMail({
+            from: EMAIL_FROM,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            attachments: message.attachments,
+            headers: { 'X-Outbox-Id': message.id }
         });
-        return { success: true };
+        message.status = 'sent';
+        message.sentAt = new Date().toISOString();
+        message.messageId = info && info.messageId;
+        message.lastError = null;
+        // Bodies carry reset, verification and join links: once delivered
+        // they are only the recipient's
+        message.text = null;
+        message.html = null;
+        message.attachments = [];
     } catch (error) {
-        console.error('Error sending email:', error);
-        throw new Error('Failed to send email');
+        message.lastError = error.message;
+
+        if (message.attempts >= EMAIL_MAX_ATTEMPTS) {
+            message.status = 'dead';
+            message.deadAt = new Date().toISOString();
+            logEvent('error', 'Email moved to dead-letter list', {
+                action: 'EMAIL_DEAD_LETTER',
+                metadata: {
+                    messageId: message.id,
+                    template: message.template,
+                    attempts: message.attempts,
+                    error: error.message
+                }
+            });
+        } else {
+            message.status = 'pending';
+            message.nextAttemptAt = new Date(
+                Date.now() + retryDelaySeconds(message.attempts) * 1000
+            ).toISOString();
+            logEvent('warn', 'Email delivery failed, will retry', {
+                action: 'EMAIL_DELIVERY_FAILED',
+                metadata: {
+                    messageId: message.id,
+                    template: message.template,
+                    attempts: message.attempts,
+                    nextAttemptAt: message.nextAttemptAt,
+                    error: error.message
+                }
+            });
+        }
     }
+
+    db.emailOutbox.save(message);
+    return message;
 };
 
-const sendBulkEmails = async (recipients) => {
+// Deliver every message that is due. Runs one batch at a time.
+const processOutbox = async () => {
+    if (processing) {
+        return;
+    }
+    processing = true;
     try {
-        const emailPromises = recipients.map(({ email, subject, text }) => 
-            sendEmail(email, subject, text)
-        );
-        await Promise.allSettled(emailPromises);
+        for (const message of db.emailOutbox.listDue()) {
+            await deliver(message);
+        }
+        db.emailOutbox.pruneFinished(new Date(Date.now() - EMAIL_RETENTION_DAYS * 24 * 60 * 60 * 1000));
     } catch (error) {
-        console.error('Error in bulk email sending:', error);
-        throw new Error('Failed to send some notifications');
+        console.error('Error processing email outbox:', error);
+    } finally {
+        processing = false;
+    }
+};
+
+// Ask the worker to run soon, after the current request has responded
+const scheduleProcessing = () => {
+    if (workerTimer) {
+        setImmediate(processOutbox);
+    }
+};
+
+const startEmailWorker = () => {
+    if (workerTimer) {
+        return;
     }
+
+    // Messages left 'sending' by a crash or restart get another go
+    db.emailOutbox.list({ status: 'sending' }).forEach(message => {
+        message.status = 'pending';
+        db.emailOutbox.save(message);
+    });
+
+    workerTimer = setInterval(processOutbox, EMAIL_POLL_INTERVAL_SECONDS * 1000);
+    workerTimer.unref();
+    scheduleProcessing();
+};
+
+const stopEmailWorker = () => {
+    clearInterval(workerTimer);
+    workerTimer = null;
+};
+
+// Queue a templated email. `attachments` uses nodemailer's format, e.g. .ics
+// invites from utils/ical.js. Returns the stored outbox message.
+const sendEmail = async (to, template, data = {}, attachments = []) => {
+    const { subject, text, html } = renderTemplate(template, data);
+    const now = new Date().toISOString();
+
+    const message = db.emailOutbox.create({
+        id: generateId(),
+        to,
+        template,
+        subject,
+        text,
+        html,
+        attachments,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastAttemptAt: null,
+        lastError: null,
+        createdAt: now
+    });
+
+    scheduleProcessing();
+    return message;
+};
+
+// Queue one email per recipient: [{ email, template, data, attachments }].
+// Every message is stored before returning, so none can be lost to a failure
+// halfway through the batch.
+const sendBulkEmails = async (recipients) => Promise.all(
+    recipients.map(({ email, template, data, attachments }) =>
+        sendEmail(email, template, data, attachments)
+    )
+);
+
+// Put a dead (or pending) message back at the front of the queue
+const retryEmail = (message) => {
+    message.status = 'pending';
+    message.attempts = 0;
+    message.nextAttemptAt = new Date().toISOString();
+    message.deadAt = null;
+    db.emailOutbox.save(message);
+    scheduleProcessing();
+    return message;
 };
 
-module.exports = { sendEmail, sendBulkEmails };
\ No newline at end of file
+module.exports = {
+    sendEmail,
+    sendBulkEmails,
+    retryEmail,
+    processOutbox,
+    startEmailWorker,
+    stopEmailWorker
+};
\ No newline at end of file
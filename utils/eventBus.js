@@ -0,0 +1,28 @@
+const { EventEmitter } = require('events');
+const { logEvent } = require('../config/logger');
+
+// In-process bus for domain changes, so the code making a change doesn't need
+// to know who is listening. Messages:
+// - 'event.created' { event }
+// - 'registration.activity' { event, entry }: a registration activity entry
+//   was recorded (seat, waitlist or approval-request change)
+// - 'event.updated' { event, changedFields, actorId }
+// - 'event.status' { event, from, to, reason, actorId }
+// Listeners run synchronously inside the change and must not throw.
+const eventBus = new EventEmitter();
+
+// Wrap a listener so that its failure is logged with `level`, `message` and
+// `action` instead of failing the change that emitted the message
+const safely = ({ level, message, action }, listener) => (payload) => {
+    try {
+        listener(payload);
+    } catch (error) {
+        logEvent(level, message, {
+            eventId: payload.event && payload.event.id,
+            action,
+            error: error.message
+        });
+    }
+};
+
+module.exports = { eventBus, safely };
\ No newline at end of file
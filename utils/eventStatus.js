@@ -0,0 +1,55 @@
+// Event lifecycle. Drafts are only visible to their organizers until they
+// are published, either right away or at their publishAt time. Published
+// events become completed once they end. Cancelled events keep their record
+// and registrations for reporting.
+const EVENT_STATUSES = ['draft', 'published', 'cancelled', 'completed'];
+
+// Allowed moves from each status; cancelled and completed are final
+const TRANSITIONS = {
+    draft: ['published', 'cancelled'],
+    published: ['cancelled', 'completed'],
+    cancelled: [],
+    completed: []
+};
+
+// Events stored before lifecycle states existed count as published
+const eventStatus = (event) => event.status || 'published';
+
+const canTransition = (event, status) => TRANSITIONS[eventStatus(event)].includes(status);
+
+// Why the event doesn't take new registrations, or null while it is
+// published, hasn't started yet and is inside its registration window.
+// ignoreWindow is for seats given out after the window, such as waitlist
+// promotions and approvals of requests made in time.
+const registrationClosedReason = (event, { now = new Date(), ignoreWindow = false } = {}) => {
+    switch (eventStatus(event)) {
+        case 'draft':
+            return 'This event has not been published yet';
+        case 'cancelled':
+            return 'This event has been cancelled';
+        case 'completed':
+            return 'This event has already taken place';
+    }
+
+    if (new Date(event.startsAt) <= now) {
+        return 'This event has already started';
+    }
+    if (!ignoreWindow && event.registrationOpensAt && new Date(event.registrationOpensAt) > now) {
+        return `Registration opens at ${new Date(event.registrationOpensAt).toISOString()}`;
+    }
+    if (!ignoreWindow && event.registrationClosesAt && new Date(event.registrationClosesAt) <= now) {
+        return 'Registration has closed';
+    }
+    return null;
+};
+
+const isRegistrationOpen = (event, options) => !registrationClosedReason(event, options);
+
+module.exports = {
+    EVENT_STATUSES,
+    TRANSITIONS,
+    eventStatus,
+    canTransition,
+    registrationClosedReason,
+    isRegistrationOpen
+};
\ No newline at end of file
@@ -0,0 +1,99 @@
+const { APP_URL } = require('../config/config');
+const { eventStart } = require('./time');
+
+// Minimal RFC 5545 (iCalendar) writer for event invites and calendar feeds.
+// UIDs are derived from the event id so every update and cancellation
+// refers to the same calendar entry; SEQUENCE tells clients which is newer.
+
+const UID_DOMAIN = new URL(APP_URL).hostname;
+
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// 20270105T150000Z
+const formatUtc = (instant) => new Date(instant).toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines that start
+// with a space. Splits on characters, never inside a multi-byte one.
+const foldLine = (line) => {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            chunks.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+};
+
+const eventUid = (event) => `event-${event.id}@${UID_DOMAIN}`;
+
+// VEVENT lines for one event. `cancelled` marks it STATUS:CANCELLED.
+const buildVEvent = (event, { cancelled = false, organizer } = {}) => {
+    const start = eventStart(event);
+    const end = event.endsAt
+        ? new Date(event.endsAt)
+        : new Date(start.getTime() + (event.durationMinutes || 60) * 60 * 1000);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${eventUid(event)}`,
+        `SEQUENCE:${event.sequence || 0}`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `LAST-MODIFIED:${formatUtc(event.updatedAt || event.createdAt)}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(event.title)}`,
+        event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+        // Only the platform name; the meeting link itself is fetched from the
+        // access-controlled join endpoint
+        `LOCATION:${escapeText((event.joinDetails && event.joinDetails.platform) || 'Online')}`,
+        `URL:${APP_URL}/events/${event.id}/join`,
+        organizer ? `ORGANIZER;CN=${escapeText(organizer.name)}:mailto:${organizer.email}` : null,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT'
+    ].filter(Boolean);
+};
+
+// A full VCALENDAR document. `entries` are { event, cancelled, organizer }.
+// method is 'PUBLISH' for feeds/downloads, 'REQUEST' or 'CANCEL' for invites.
+const buildCalendar = (entries, { method = 'PUBLISH', name } = {}) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Virtual Event Platform//Events//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    ...entries.flatMap(({ event, ...options }) => buildVEvent(event, options)),
+    'END:VCALENDAR'
+]
+    .filter(Boolean)
+    .map(foldLine)
+    .join('\r\n') + '\r\n';
+
+// Email attachment carrying an invite (or its cancellation) for one or more events
+const calendarAttachment = (events, { cancelled = false } = {}) => ({
+    filename: cancelled ? 'cancellation.ics' : 'invite.ics',
+    contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    content: buildCalendar(
+        events.map(({ event, organizer }) => ({ event, organizer, cancelled })),
+        { method: cancelled ? 'CANCEL' : 'REQUEST' }
+    )
+});
+
+module.exports = { buildCalendar, calendarAttachment, eventUid };
\ No newline at end of file
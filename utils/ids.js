@@ -0,0 +1,10 @@
+let lastId = 0;
+
+// Timestamp-based ids like the original Date.now() ones, but strictly
+// increasing so records created in the same millisecond never collide
+const generateId = () => {
+    lastId = Math.max(Date.now(), lastId + 1);
+    return lastId.toString();
+};
+
+module.exports = { generateId };
\ No newline at end of file
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const {
+    EMAIL_TRANSPORT,
+    EMAIL_CAPTURE_DIR,
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_SECURE,
+    EMAIL_SERVICE,
+    EMAIL_USER,
+    EMAIL_PASS
+} = require('../config/config');
+
+// Writes every message to its own JSON file instead of sending it, so local
+// development and tests can inspect exactly what would have gone out
+const createCaptureTransport = (dir) => ({
+    sendMail: async (message) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const messageId = `${(message.headers && message.headers['X-Outbox-Id']) || Date.now()}`;
+        const file = path.join(dir, `${messageId}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({
+            ...message,
+            capturedAt: new Date().toISOString()
+        }, null, 2));
+        return { messageId, file };
+    }
+});
+
+const createSmtpTransport = () => nodemailer.createTransport({
+    ...(SMTP_HOST
+        ? { host: SMTP_HOST, port: SMTP_PORT, secure: SMTP_SECURE }
+        : { service: EMAIL_SERVICE }),
+    auth: {
+        user: EMAIL_USER,
+        pass: EMAIL_PASS
+    }
+});
+
+const transports = {
+    smtp: createSmtpTransport,
+    capture: () => createCaptureTransport(EMAIL_CAPTURE_DIR)
+};
+
+const createTransport = () => {
+    const create = transports[EMAIL_TRANSPORT];
+    if (!create) {
+        throw new Error(`Unknown EMAIL_TRANSPORT "${EMAIL_TRANSPORT}" (expected one of: ${Object.keys(transports).join(', ')})`);
+    }
+    return create();
+};
+
+module.exports = { createTransport, createCaptureTransport };
\ No newline at end of file
@@ -0,0 +1,71 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses outgoing requests (webhook deliveries) must never reach: this
+// host, private networks, link-local ranges (including the cloud metadata
+// service at 169.254.169.254) and anything reserved or multicast
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 4) {
+        return blockedAddresses.check(address, 'ipv4');
+    }
+    if (family === 6) {
+        // IPv4-mapped addresses (::ffff:127.0.0.1) are checked as IPv4
+        const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+        return mapped
+            ? blockedAddresses.check(mapped[1], 'ipv4')
+            : blockedAddresses.check(address, 'ipv6');
+    }
+    return false;
+};
+
+// URL hostnames keep IPv6 literals in brackets
+const hostAddress = (hostname) => hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Drop-in for dns.lookup as the `lookup` option of http(s).request: resolves
+// the host and fails if it points at a blocked address. Checking at connect
+// time covers names that resolve to something else after being validated.
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to private address ${blocked.address}`);
+            refused.code = 'EPRIVATEADDRESS';
+            return callback(refused);
+        }
+
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+module.exports = { isPrivateAddress, hostAddress, publicLookup };
\ No newline at end of file
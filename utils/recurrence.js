@@ -0,0 +1,74 @@
+// Expands a recurrence rule into concrete YYYY-MM-DD dates.
+//
+// rule: {
+//   frequency: 'daily' | 'weekly' | 'monthly',
+//   interval: repeat every N days/weeks/months (default 1),
+//   count: number of occurrences, and/or
+//   until: last possible date (inclusive, YYYY-MM-DD),
+//   exceptions: dates to skip
+// }
+// Monthly rules keep the start date's day of month and skip months that
+// don't have it (e.g. the 31st), as iCalendar does.
+
+const MAX_OCCURRENCES = 100;
+
+const parseDate = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const nthOccurrence = (start, frequency, steps) => {
+    const date = new Date(start.getTime());
+
+    if (frequency === 'daily') {
+        date.setUTCDate(date.getUTCDate() + steps);
+    } else if (frequency === 'weekly') {
+        date.setUTCDate(date.getUTCDate() + steps * 7);
+    } else if (frequency === 'monthly') {
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() + steps);
+        date.setUTCDate(start.getUTCDate());
+        // setUTCDate rolled over into the next month: this month has no such day
+        if (date.getUTCDate() !== start.getUTCDate()) {
+            return null;
+        }
+    } else {
+        throw new Error(`Unsupported recurrence frequency "${frequency}"`);
+    }
+
+    return date;
+};
+
+const expandRecurrence = (startDate, rule) => {
+    const { frequency, interval = 1, count, until, exceptions = [] } = rule;
+    const start = parseDate(startDate);
+    const end = until ? parseDate(until) : null;
+    const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const skipped = new Set(exceptions);
+
+    const dates = [];
+    let generated = 0;
+
+    // Exceptions still use up an occurrence from `count`, as EXDATE does
+    for (let step = 0; generated < limit; step += interval) {
+        const date = nthOccurrence(start, frequency, step);
+        if (!date) {
+            continue;
+        }
+        if (end && date > end) {
+            break;
+        }
+
+        generated++;
+        const formatted = formatDate(date);
+        if (!skipped.has(formatted)) {
+            dates.push(formatted);
+        }
+    }
+
+    return dates;
+};
+
+module.exports = { expandRecurrence, MAX_OCCURRENCES };
\ No newline at end of file
@@ -0,0 +1,56 @@
+const { validate } = require('./validator');
+
+// Per-event registration forms. Answers are checked with the same validator
+// as request bodies, using a schema built from the event's questions.
+const QUESTION_TYPES = ['text', 'choice', 'checkbox'];
+
+const answerRule = (question) => {
+    switch (question.type) {
+        case 'choice':
+            return question.multiple
+                ? {
+                    type: 'array',
+                    required: question.required,
+                    minItems: question.required ? 1 : undefined,
+                    unique: true,
+                    items: { type: 'string', enum: question.options }
+                }
+                : { type: 'string', required: question.required, enum: question.options };
+        case 'checkbox':
+            // A required checkbox is a consent: it has to be ticked
+            return question.required
+                ? { type: 'boolean', required: true, custom: (checked) => checked ? null : 'must be checked' }
+                : { type: 'boolean', default: false };
+        default:
+            return { type: 'string', required: question.required, maxLength: question.maxLength || 1000 };
+    }
+};
+
+// Returns { answers, errors } where answers only holds the form's questions
+// and errors use the request validation format (fields named answers.<id>)
+const validateAnswers = (questions, answers) => {
+    const schema = Object.fromEntries((questions || []).map(question => [question.id, answerRule(question)]));
+    const { value, errors } = validate(schema, answers);
+
+    return {
+        answers: value,
+        errors: errors.map(error => ({
+            location: 'body',
+            field: `answers.${error.field}`,
+            message: `answers.${error.message}`
+        }))
+    };
+};
+
+// One answer as a single CSV cell
+const formatAnswer = (value) => {
+    if (Array.isArray(value)) {
+        return value.join('; ');
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'yes' : 'no';
+    }
+    return value;
+};
+
+module.exports = { QUESTION_TYPES, validateAnswers, formatAnswer };
\ No newline at end of file
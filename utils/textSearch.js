@@ -0,0 +1,377 @@
+// In-process full-text search: tokenizing, a light Porter-style stemmer and
+// an inverted index ranked with BM25F (BM25 with per-field weights).
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+    'is', 'it', 'of', 'on', 'or', 'our', 'the', 'this', 'that', 'to', 'we', 'with',
+    'you', 'your'
+]);
+
+// Words (letters and digits) with their offsets in the original text
+const words = (text) => Array.from(
+    String(text || '').matchAll(/[\p{L}\p{N}]+/gu),
+    match => ({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length })
+);
+
+const DERIVATIONAL_SUFFIXES = [
+    ['ational', 'ate'],
+    ['tional', 'tion'],
+    ['ization', 'ize'],
+    ['fulness', 'ful'],
+    ['ousness', 'ous'],
+    ['iveness', 'ive'],
+    ['ement', ''],
+    ['ment', ''],
+    ['ness', ''],
+    ['able', ''],
+    ['ible', ''],
+    ['ful', '']
+];
+
+const hasVowel = (text) => /[aeiou]|.y/.test(text);
+
+// Reduce a lowercase word to its stem so "workshops", "meeting" and
+// "learned" match "workshop", "meet" and "learn". Index and queries use the
+// same function, so consistency matters more than linguistic accuracy.
+const stem = (word) => {
+    if (word.length <= 3 || /\d/.test(word)) {
+        return word;
+    }
+
+    let result = word;
+
+    // Plurals
+    if (result.endsWith('sses')) {
+        result = result.slice(0, -2);
+    } else if (result.endsWith('ies')) {
+        result = `${result.slice(0, -3)}i`;
+    } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+
+    // Past tense and gerunds
+    const inflected = result.match(/^(.+?)(ed|ing)$/);
+    if (result.endsWith('eed')) {
+        if (result.length > 4) {
+            result = result.slice(0, -1);
+        }
+    } else if (inflected && inflected[1].length >= 2 && hasVowel(inflected[1])) {
+        result = inflected[1];
+        if (/(at|bl|iz)$/.test(result)) {
+            result += 'e';
+        } else if (/([^aeiouslz])\1$/.test(result)) {
+            result = result.slice(0, -1);
+        } else if (/^[^aeiou]*[aeiou][^aeiouwxy]$/.test(result)) {
+            result += 'e';
+        }
+    }
+
+    if (/[^aeiou]y$/.test(result)) {
+        result = `${result.slice(0, -1)}i`;
+    }
+
+    const suffix = DERIVATIONAL_SUFFIXES.find(([ending]) =>
+        result.endsWith(ending) && result.length - ending.length >= 3
+    );
+    if (suffix) {
+        result = result.slice(0, -suffix[0].length) + suffix[1];
+    }
+
+    // "manage" and "management" both end up as "manag"
+    if (result.endsWith('e') && result.length > 4) {
+        result = result.slice(0, -1);
+    }
+
+    return result;
+};
+
+const isIndexable = (word) => !STOP_WORDS.has(word);
+
+// Edit distance with adjacent transpositions, giving up once it exceeds max
+const withinEditDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) {
+        return false;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) {
+            return false;
+        }
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length] <= max;
+};
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+
+// How much a query word counts when it only matches as a prefix or with a typo
+const PREFIX_WEIGHT = 0.6;
+const FUZZY_WEIGHT = 0.4;
+const MAX_EXPANSIONS = 50;
+
+class SearchIndex {
+    // fields: { name: boost }, e.g. { title: 3, tags: 2, description: 1 }
+    constructor(fields) {
+        this.fields = fields;
+        // term -> Map(docId -> { field: term frequency })
+        this.postings = new Map();
+        // docId -> { lengths: { field: word count }, terms: Set, words: Set }
+        this.docs = new Map();
+        this.totalLengths = Object.fromEntries(Object.keys(fields).map(field => [field, 0]));
+        // Surface words -> { stem, docs } for prefix and typo matching
+        this.vocabulary = new Map();
+        this.sortedWords = [];
+        this.sortedWordsStale = false;
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    // Add or replace a document. `doc` maps field names to text.
+    add(id, doc) {
+        this.remove(id);
+
+        const entry = { lengths: {}, terms: new Set(), words: new Set() };
+        Object.keys(this.fields).forEach(field => {
+            const fieldWords = words(doc[field]).map(({ word }) => word).filter(isIndexable);
+            entry.lengths[field] = fieldWords.length;
+            this.totalLengths[field] += fieldWords.length;
+
+            fieldWords.forEach(word => {
+                const term = stem(word);
+                entry.terms.add(term);
+                entry.words.add(word);
+
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                }
+                const postings = this.postings.get(term);
+                const frequencies = postings.get(id) || {};
+                frequencies[field] = (frequencies[field] || 0) + 1;
+                postings.set(id, frequencies);
+            });
+        });
+
+        entry.words.forEach(word => {
+            const known = this.vocabulary.get(word);
+            if (known) {
+                known.docs += 1;
+            } else {
+                this.vocabulary.set(word, { stem: stem(word), docs: 1 });
+                this.sortedWordsStale = true;
+            }
+        });
+
+        this.docs.set(id, entry);
+    }
+
+    remove(id) {
+        const entry = this.docs.get(id);
+        if (!entry) {
+            return;
+        }
+
+        entry.terms.forEach(term => {
+            const postings = this.postings.get(term);
+            postings.delete(id);
+            if (postings.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+
+        entry.words.forEach(word => {
+            const known = this.vocabulary.get(word);
+            known.docs -= 1;
+            if (known.docs === 0) {
+                this.vocabulary.delete(word);
+                this.sortedWordsStale = true;
+            }
+        });
+
+        Object.keys(this.fields).forEach(field => {
+            this.totalLengths[field] -= entry.lengths[field];
+        });
+        this.docs.delete(id);
+    }
+
+    // Vocabulary words starting with prefix, found by binary search
+    wordsWithPrefix(prefix) {
+        if (this.sortedWordsStale) {
+            this.sortedWords = Array.from(this.vocabulary.keys()).sort();
+            this.sortedWordsStale = false;
+        }
+
+        let low = 0;
+        let high = this.sortedWords.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.sortedWords[middle] < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const matches = [];
+        for (let i = low; i < this.sortedWords.length && matches.length < MAX_EXPANSIONS; i++) {
+            if (!this.sortedWords[i].startsWith(prefix)) {
+                break;
+            }
+            matches.push(this.sortedWords[i]);
+        }
+        return matches;
+    }
+
+    // Index terms a query word can match, with their weights: its stem, words
+    // it is a prefix of, and otherwise words one or two typos away
+    expand(word) {
+        const expansions = new Map();
+        const exact = stem(word);
+        if (this.postings.has(exact)) {
+            expansions.set(exact, 1);
+        }
+
+        if (word.length >= 2) {
+            this.wordsWithPrefix(word).forEach(match => {
+                const term = this.vocabulary.get(match).stem;
+                if (!expansions.has(term)) {
+                    expansions.set(term, PREFIX_WEIGHT);
+                }
+            });
+        }
+
+        if (expansions.size === 0 && word.length >= 4) {
+            const maxTypos = word.length >= 8 ? 2 : 1;
+            for (const [candidate, { stem: term }] of this.vocabulary) {
+                if (expansions.size >= MAX_EXPANSIONS) {
+                    break;
+                }
+                if (!expansions.has(term) && withinEditDistance(word, candidate, maxTypos)) {
+                    expansions.set(term, FUZZY_WEIGHT);
+                }
+            }
+        }
+
+        return expansions;
+    }
+
+    // Documents matching every query word, as Map(docId -> { score, terms })
+    // where terms are the index terms that matched (for highlighting).
+    // Returns null when the query has no searchable words.
+    search(query) {
+        const queryWords = [...new Set(words(query).map(({ word }) => word).filter(isIndexable))];
+        if (queryWords.length === 0) {
+            return null;
+        }
+
+        const averageLengths = Object.fromEntries(Object.keys(this.fields).map(field => [
+            field,
+            this.docs.size > 0 ? this.totalLengths[field] / this.docs.size || 1 : 1
+        ]));
+
+        let results = null;
+        for (const word of queryWords) {
+            const wordScores = new Map();
+
+            this.expand(word).forEach((weight, term) => {
+                const postings = this.postings.get(term);
+                const idf = Math.log(1 + (this.docs.size - postings.size + 0.5) / (postings.size + 0.5));
+
+                postings.forEach((frequencies, id) => {
+                    const lengths = this.docs.get(id).lengths;
+                    const weightedFrequency = Object.entries(frequencies).reduce((sum, [field, frequency]) =>
+                        sum + this.fields[field] * frequency /
+                            (1 - B + B * lengths[field] / averageLengths[field]),
+                    0);
+                    const score = weight * idf * weightedFrequency * (K1 + 1) / (weightedFrequency + K1);
+
+                    // A word counts once per document, through its best match
+                    const current = wordScores.get(id);
+                    if (!current || score > current.score) {
+                        wordScores.set(id, { score, term });
+                    }
+                });
+            });
+
+            if (results === null) {
+                results = new Map(Array.from(wordScores, ([id, { score, term }]) => [id, { score, terms: new Set([term]) }]));
+            } else {
+                const merged = new Map();
+                results.forEach((result, id) => {
+                    const match = wordScores.get(id);
+                    if (match) {
+                        result.terms.add(match.term);
+                        merged.set(id, { score: result.score + match.score, terms: result.terms });
+                    }
+                });
+                results = merged;
+            }
+
+            if (results.size === 0) {
+                break;
+            }
+        }
+
+        return results;
+    }
+}
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// HTML-escaped text with words whose stem is in `terms` wrapped in <mark>.
+// With maxLength, returns a window of the text around the first match.
+const highlight = (text, terms, { maxLength } = {}) => {
+    const source = String(text || '');
+    const matches = words(source).filter(({ word }) => terms.has(stem(word)));
+
+    let start = 0;
+    let end = source.length;
+    if (maxLength && source.length > maxLength) {
+        const anchor = matches.length > 0 ? matches[0].start : 0;
+        start = Math.max(0, Math.min(anchor - Math.floor(maxLength / 3), source.length - maxLength));
+        end = start + maxLength;
+        // Don't cut words in half
+        while (start > 0 && /[\p{L}\p{N}]/u.test(source[start - 1])) {
+            start -= 1;
+        }
+        while (end < source.length && /[\p{L}\p{N}]/u.test(source[end])) {
+            end += 1;
+        }
+    }
+
+    let result = '';
+    let position = start;
+    matches
+        .filter(match => match.start >= start && match.end <= end)
+        .forEach(match => {
+            result += escapeHtml(source.slice(position, match.start));
+            result += `<mark>${escapeHtml(source.slice(match.start, match.end))}</mark>`;
+            position = match.end;
+        });
+    result += escapeHtml(source.slice(position, end));
+
+    return `${start > 0 ? '…' : ''}${result}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = { SearchIndex, stem, highlight };
\ No newline at end of file
@@ -0,0 +1,136 @@
+const { DEFAULT_TIME_ZONE } = require('../config/config');
+
+// Time zone helpers built on Intl, so no tz database dependency is needed.
+// Events store their wall-clock date/time plus an IANA time zone, and the
+// canonical UTC instant derived from them.
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Wall-clock parts of an instant as seen in a time zone
+const getZonedParts = (instant, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(instant);
+
+    return Object.fromEntries(parts
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, Number(part.value)]));
+};
+
+// Offset of the time zone from UTC at the given instant, in milliseconds
+const getTimeZoneOffset = (instant, timeZone) => {
+    const parts = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// Convert a wall-clock date ('YYYY-MM-DD') and time ('HH:mm') in a time zone
+// to a UTC Date. Wall-clock times skipped by a DST jump are read with the
+// offset from before the jump, as iCalendar does: 02:30 becomes 03:30.
+const zonedTimeToUtc = (date, time, timeZone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Guess with the offset at the wall-clock time, then correct once in
+    // case that guess landed on the other side of a DST change
+    const guessOffset = getTimeZoneOffset(new Date(wallClock), timeZone);
+    const offset = getTimeZoneOffset(new Date(wallClock - guessOffset), timeZone);
+    if (getTimeZoneOffset(new Date(wallClock - offset), timeZone) === offset) {
+        return new Date(wallClock - offset);
+    }
+
+    // Neither offset gives back the wall-clock time, so it was skipped. The
+    // clocks went forward, so the offset before the jump is the smaller one.
+    return new Date(wallClock - Math.min(guessOffset, offset));
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Render an instant as { date, time, timeZone } in the given zone
+const toZonedDateTime = (instant, timeZone) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    return {
+        date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+        time: `${pad(parts.hour)}:${pad(parts.minute)}`,
+        timeZone
+    };
+};
+
+// Human-readable form for emails, e.g.
+// "Tuesday, January 5, 2027 at 10:00 AM EST (America/New_York)"
+const formatInTimeZone = (instant, timeZone) => {
+    const formatted = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    }).format(new Date(instant));
+    return `${formatted} (${timeZone})`;
+};
+
+// Fill in an event's canonical start/end instants from its wall-clock
+// date/time, time zone and duration
+const applyEventSchedule = (event) => {
+    const timeZone = event.timeZone || DEFAULT_TIME_ZONE;
+    const start = zonedTimeToUtc(event.date, event.time, timeZone);
+    const end = new Date(start.getTime() + event.durationMinutes * 60 * 1000);
+
+    event.timeZone = timeZone;
+    event.startsAt = start.toISOString();
+    event.endsAt = end.toISOString();
+    return event;
+};
+
+// Start instant of an event, also for records stored before startsAt existed
+const eventStart = (event) => event.startsAt
+    ? new Date(event.startsAt)
+    : zonedTimeToUtc(event.date, event.time, event.timeZone || DEFAULT_TIME_ZONE);
+
+// The time zone to show an event in for a given user
+const viewerTimeZone = (user, event) =>
+    (user && user.profile && user.profile.timeZone) || (event && event.timeZone) || DEFAULT_TIME_ZONE;
+
+// Event start/end as seen by a viewer, for API responses
+const localSchedule = (event, timeZone) => {
+    const start = eventStart(event);
+    return {
+        timeZone,
+        start: toZonedDateTime(start, timeZone),
+        end: event.endsAt ? toZonedDateTime(event.endsAt, timeZone) : null
+    };
+};
+
+// Event start time for an email to the given user
+const describeEventTime = (event, user) =>
+    formatInTimeZone(eventStart(event), viewerTimeZone(user, event));
+
+module.exports = {
+    isValidTimeZone,
+    zonedTimeToUtc,
+    toZonedDateTime,
+    formatInTimeZone,
+    applyEventSchedule,
+    eventStart,
+    viewerTimeZone,
+    localSchedule,
+    describeEventTime
+};
\ No newline at end of file
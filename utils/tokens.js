@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+    JWT_SECRET,
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL_DAYS,
+    EMAIL_VERIFICATION_TTL,
+    PASSWORD_RESET_TTL_MINUTES,
+    REALTIME_TICKET_TTL_SECONDS
+} = require('../config/config');
+const db = require('../db');
+
+const JOIN_LINK_GRACE_SECONDS = 24 * 60 * 60;
+
+const hashToken = (token) =>
+    crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { id: user.id, email: user.email, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+// directly; only a hash of the secret is stored
+const newRefreshToken = (sessionId) =>
+    `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    return sessionId && secret ? { sessionId } : null;
+};
+
+// Start a new session (one per login/device) and issue its first token pair
+const createSession = (user, { userAgent } = {}) => {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = newRefreshToken(sessionId);
+    const now = new Date();
+
+    db.sessions.create({
+        id: sessionId,
+        userId: user.id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: userAgent || null,
+        createdAt: now.toISOString(),
+        lastUsedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+    });
+
+    return {
+        token: signAccessToken(user, sessionId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+};
+
+// Swap a refresh token for a new token pair. Each refresh token works once:
+// presenting an already-rotated one means it leaked, so the whole session is
+// revoked. Returns null if the token can't be used.
+const rotateSession = (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    const session = parsed && db.sessions.findById(parsed.sessionId);
+
+    if (!session || !db.sessions.isActive(session.id)) {
+        return null;
+    }
+
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+        db.sessions.revoke(session.id, 'refresh_token_reuse');
+        return null;
+    }
+
+    const user = db.users.findById(session.userId);
+    if (!user) {
+        return null;
+    }
+
+    const nextRefreshToken = newRefreshToken(session.id);
+    session.refreshTokenHash = hashToken(nextRefreshToken);
+    session.lastUsedAt = new Date().toISOString();
+    db.sessions.save(session);
+
+    return {
+        user,
+        session,
+        tokens: {
+            token: signAccessToken(user, session.id),
+            refreshToken: nextRefreshToken,
+            expiresIn: ACCESS_TOKEN_TTL
+        }
+    };
+};
+
+// Email verification links carry a signed JWT, so nothing needs storing.
+// The email is included so the link stops working if the address changes.
+const signEmailVerificationToken = (user) => jwt.sign(
+    { id: user.id, email: user.email, purpose: 'verify-email' },
+    JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+);
+
+// Returns the user the token was issued for, or null if it is invalid
+const verifyEmailVerificationToken = (token) => {
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        if (payload.purpose !== 'verify-email') {
+            return null;
+        }
+        const user = db.users.findById(payload.id);
+        return user && user.email === payload.email ? user : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Join links in emails have to work when clicked, without an Authorization
+// header, so each recipient gets one signed for them and the event. It only
+// identifies the user: whether they may join is checked when it is opened.
+// It expires a day after the event ends, leaving room for a short overrun.
+const signJoinToken = (user, event) => jwt.sign(
+    {
+        id: user.id,
+        eventId: event.id,
+        purpose: 'join-event',
+        exp: Math.floor(new Date(event.endsAt).getTime() / 1000) + JOIN_LINK_GRACE_SECONDS
+    },
+    JWT_SECRET
+);
+
+// Returns { userId, eventId }, or null if the token is invalid
+const verifyJoinToken = (token) => {
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        return payload.purpose === 'join-event'
+            ? { userId: payload.id, eventId: payload.eventId }
+            : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Browsers' EventSource can't send headers, so streams are opened with a
+// ticket in the URL rather than the access token. A ticket only opens
+// streams, expires within seconds and carries the access token's expiry, so
+// the stream still ends when the login it came from would.
+const signStreamTicket = (accessToken) => jwt.sign(
+    { id: accessToken.id, email: accessToken.email, sid: accessToken.sid, accessExp: accessToken.exp, purpose: 'event-stream' },
+    JWT_SECRET,
+    { expiresIn: REALTIME_TICKET_TTL_SECONDS }
+);
+
+// Returns what authenticateToken would put on req.user, or null
+const verifyStreamTicket = (ticket) => {
+    try {
+        const payload = jwt.verify(ticket, JWT_SECRET);
+        if (payload.purpose !== 'event-stream') {
+            return null;
+        }
+        return { id: payload.id, email: payload.email, sid: payload.sid, exp: payload.accessExp };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Password reset tokens must be single-use, so unlike verification links
+// they are random values tracked in storage
+const createPasswordResetToken = (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    db.passwordResets.create({
+        tokenHash: hashToken(token),
+        userId: user.id,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString(),
+        usedAt: null
+    });
+
+    return token;
+};
+
+// The stored reset for a token that can still be used, or null
+const findPasswordReset = (token) => {
+    const reset = db.passwordResets.findByTokenHash(hashToken(String(token || '')));
+    return reset && !reset.usedAt && new Date(reset.expiresAt) > new Date() ? reset : null;
+};
+
+// Burns the token and returns its user, or null if it is unknown, used or expired
+const consumePasswordResetToken = (token) => {
+    const reset = findPasswordReset(token);
+    if (!reset) {
+        return null;
+    }
+
+    db.passwordResets.markUsed(reset.tokenHash);
+    return db.users.findById(reset.userId) || null;
+};
+
+// Calendar apps can't send a bearer token, so feed URLs carry a random token.
+// Only its hash is stored, so the URL can be shown once, when it is created.
+const createCalendarFeedToken = (user) => {
+    const token = crypto.randomBytes(24).toString('hex');
+    db.users.setCalendarTokenHash(user, hashToken(token));
+    return token;
+};
+
+// Returns the feed's user, or null if the token is unknown
+const findUserByCalendarToken = (token) => {
+    const tokenHash = hashToken(String(token || ''));
+    const user = db.users.findByCalendarTokenHash(tokenHash);
+    if (!user) {
+        return null;
+    }
+
+    const expected = Buffer.from(user.calendarFeedTokenHash);
+    const given = Buffer.from(tokenHash);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? user : null;
+};
+
+// Short code organizers show during an event so participants can check in.
+// It's an HMAC of the event and its start time: it can't be derived from the
+// event id, and rescheduling the event changes it.
+const eventCheckInCode = (event) => crypto
+    .createHmac('sha256', JWT_SECRET)
+    .update(`check-in:${event.id}:${event.startsAt}`)
+    .digest('hex')
+    .slice(0, 8)
+    .toUpperCase();
+
+const verifyEventCheckInCode = (event, code) => {
+    const expected = Buffer.from(eventCheckInCode(event));
+    const given = Buffer.from(String(code || '').trim().toUpperCase());
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Random code organizers share so people can see and join a private event.
+// Stored on the event so it can be replaced if it leaks.
+const newEventInviteCode = () => crypto.randomBytes(5).toString('hex').toUpperCase();
+
+const verifyEventInviteCode = (event, code) => {
+    if (!event.inviteCode) {
+        return false;
+    }
+    const expected = Buffer.from(event.inviteCode);
+    const given = Buffer.from(String(code || '').trim().toUpperCase());
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    hashToken,
+    signEmailVerificationToken,
+    verifyEmailVerificationToken,
+    signJoinToken,
+    verifyJoinToken,
+    signStreamTicket,
+    verifyStreamTicket,
+    createPasswordResetToken,
+    findPasswordReset,
+    consumePasswordResetToken,
+    createCalendarFeedToken,
+    findUserByCalendarToken,
+    eventCheckInCode,
+    verifyEventCheckInCode,
+    newEventInviteCode,
+    verifyEventInviteCode
+};
\ No newline at end of file
@@ -0,0 +1,210 @@
+// Minimal declarative validator used by middleware/validate.js.
+//
+// A schema is a plain object mapping field names to rules:
+//   { type, required, enum, min, max, minLength, maxLength, pattern,
+//     items, properties, minItems, maxItems, unique, default, nullable, custom }
+// Supported types: string, email, url, integer, number, boolean, date
+// (YYYY-MM-DD), time (HH:mm), datetime (ISO 8601), array, object.
+// Numbers and booleans given as strings (query params, form posts) are coerced.
+// An explicit null is kept for nullable fields, so updates can clear them.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const isValidCalendarDate = (value) => {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) {
+        return false;
+    }
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year &&
+        date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === day;
+};
+
+const isValidUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+};
+
+// Type checks return [cleanedValue] on success or [undefined, message] on failure
+const typeCheckers = {
+    string: (value) => typeof value === 'string'
+        ? [value.trim()]
+        : [undefined, 'must be a string'],
+
+    email: (value) => typeof value === 'string' && EMAIL_PATTERN.test(value.trim())
+        ? [value.trim()]
+        : [undefined, 'must be a valid email address'],
+
+    url: (value) => typeof value === 'string' && isValidUrl(value.trim())
+        ? [value.trim()]
+        : [undefined, 'must be a valid http(s) URL'],
+
+    number: (value) => {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return typeof number === 'number' && Number.isFinite(number)
+            ? [number]
+            : [undefined, 'must be a number'];
+    },
+
+    integer: (value) => {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return Number.isInteger(number)
+            ? [number]
+            : [undefined, 'must be an integer'];
+    },
+
+    boolean: (value) => {
+        if (typeof value === 'boolean') {
+            return [value];
+        }
+        if (value === 'true' || value === 'false') {
+            return [value === 'true'];
+        }
+        return [undefined, 'must be a boolean'];
+    },
+
+    date: (value) => typeof value === 'string' && isValidCalendarDate(value)
+        ? [value]
+        : [undefined, 'must be a valid date in YYYY-MM-DD format'],
+
+    time: (value) => typeof value === 'string' && TIME_PATTERN.test(value)
+        ? [value]
+        : [undefined, 'must be a valid time in HH:mm (24-hour) format'],
+
+    datetime: (value) => typeof value === 'string' && !isNaN(new Date(value).getTime())
+        ? [value]
+        : [undefined, 'must be a valid ISO 8601 date-time'],
+
+    array: (value) => Array.isArray(value)
+        ? [value]
+        : [undefined, 'must be an array'],
+
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? [value]
+        : [undefined, 'must be an object']
+};
+
+const isEmpty = (value) =>
+    value === undefined || value === null || value === '';
+
+const validateValue = (rule, value, field, errors) => {
+    const fail = (message) => {
+        errors.push({ field, message: `${field} ${message}` });
+        return undefined;
+    };
+
+    const checkType = typeCheckers[rule.type];
+    if (!checkType) {
+        throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+    }
+
+    const [cleaned, typeError] = checkType(value);
+    if (typeError) {
+        return fail(typeError);
+    }
+
+    if (rule.enum && !rule.enum.includes(cleaned)) {
+        return fail(`must be one of: ${rule.enum.join(', ')}`);
+    }
+
+    if (typeof cleaned === 'string') {
+        if (rule.minLength !== undefined && cleaned.length < rule.minLength) {
+            return fail(`must be at least ${rule.minLength} characters`);
+        }
+        if (rule.maxLength !== undefined && cleaned.length > rule.maxLength) {
+            return fail(`must be at most ${rule.maxLength} characters`);
+        }
+        if (rule.pattern && !rule.pattern.test(cleaned)) {
+            return fail(rule.patternMessage || 'has an invalid format');
+        }
+    }
+
+    if (typeof cleaned === 'number') {
+        if (rule.min !== undefined && cleaned < rule.min) {
+            return fail(`must be at least ${rule.min}`);
+        }
+        if (rule.max !== undefined && cleaned > rule.max) {
+            return fail(`must be at most ${rule.max}`);
+        }
+    }
+
+    let result = cleaned;
+
+    if (rule.type === 'array') {
+        if (rule.minItems !== undefined && cleaned.length < rule.minItems) {
+            return fail(`must contain at least ${rule.minItems} items`);
+        }
+        if (rule.maxItems !== undefined && cleaned.length > rule.maxItems) {
+            return fail(`must contain at most ${rule.maxItems} items`);
+        }
+        if (rule.items) {
+            result = cleaned.map((item, index) =>
+                validateValue(rule.items, item, `${field}[${index}]`, errors));
+        }
+        if (rule.unique && new Set(result.map(item => JSON.stringify(item))).size !== result.length) {
+            return fail('must not contain duplicates');
+        }
+    }
+
+    if (rule.type === 'object' && rule.properties) {
+        result = validateFields(rule.properties, cleaned, errors, `${field}.`);
+    }
+
+    if (rule.custom) {
+        const message = rule.custom(result);
+        if (message) {
+            return fail(message);
+        }
+    }
+
+    return result;
+};
+
+// Validate every declared field of an object. Undeclared fields are dropped.
+const validateFields = (schema, input, errors, prefix = '') => {
+    const source = input || {};
+    const output = {};
+
+    Object.entries(schema).forEach(([name, rule]) => {
+        const field = `${prefix}${name}`;
+        const value = source[name];
+
+        if (value === null && rule.nullable) {
+            output[name] = null;
+            return;
+        }
+
+        if (isEmpty(value)) {
+            if (rule.required) {
+                errors.push({ field, message: `${field} is required` });
+            } else if (rule.default !== undefined) {
+                output[name] = typeof rule.default === 'function' ? rule.default() : rule.default;
+            }
+            return;
+        }
+
+        const cleaned = validateValue(rule, value, field, errors);
+        if (cleaned !== undefined) {
+            output[name] = cleaned;
+        }
+    });
+
+    return output;
+};
+
+// Returns { value, errors } where errors lists every failing field
+const validate = (schema, input) => {
+    const errors = [];
+    const value = validateFields(schema, input, errors);
+    return { value, errors };
+};
+
+module.exports = { validate };
\ No newline at end of file
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// Signing for outgoing webhooks. Kept free of app dependencies so receivers
+// (scripts/webhook-receiver.js) can verify deliveries with it.
+
+// Webhook signing secrets are shown to the organizer once and kept in clear,
+// since every delivery has to be signed with them
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature of a webhook body sent at `timestamp` (Unix seconds). Receivers
+// recompute it from the X-Webhook-Signature timestamp and the raw body.
+const signWebhookPayload = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+// Check an X-Webhook-Signature header ("t=<unix seconds>,v1=<hex>") against
+// the raw body. Signatures older than `toleranceSeconds` are rejected so a
+// captured delivery can't be replayed later.
+const verifyWebhookSignature = (secret, header, body, { toleranceSeconds = 300, now = Date.now() } = {}) => {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1 ||
+        Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+    const given = Buffer.from(parts.v1);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+module.exports = {
+    newWebhookSecret,
+    signWebhookPayload,
+    verifyWebhookSignature
+};
\ No newline at end of file